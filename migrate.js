@@ -0,0 +1,21 @@
+import { SQL } from "bun";
+import dotenv from 'dotenv';
+import { createMigrator } from './src/migrations.js';
+
+// Applies pending milestone database migrations without starting the bot
+// Usage: bun run migrate [--dry-run]
+dotenv.config();
+
+const milestoneDb = new SQL({
+  url: process.env.MILESTONE_DB_URL
+});
+
+const dryRun = process.argv.includes('--dry-run');
+
+try {
+  await createMigrator(milestoneDb).runMigrations({ dryRun });
+  await milestoneDb.close();
+} catch (error) {
+  console.error('Error migrating milestone database:', error);
+  process.exit(1);
+}
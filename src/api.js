@@ -0,0 +1,283 @@
+import { formatInTimeZone } from 'date-fns-tz';
+import { createCache } from './cache.js';
+import { DEFAULT_TIME_ZONE } from './config.js';
+import {
+  LEADERBOARD_WINDOWS,
+  DEFAULT_LEADERBOARD_WINDOW,
+  getLeaderboardWindow,
+  isLeaderboardWindow,
+  rankEventsByTotal
+} from './leaderboard.js';
+
+// How often the embeddable page reloads itself, in seconds
+const PAGE_REFRESH_SECONDS = 60;
+
+/**
+ * Escapes text for use inside HTML
+ * @param {*} value - The text to escape
+ * @returns {string} The escaped text
+ */
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Builds a JSON response the website can fetch from any origin
+ * @param {Object} body - The response body
+ * @param {number} [status] - The HTTP status
+ * @param {number} [maxAge] - How long browsers and proxies may cache it, in seconds
+ * @returns {Response} The response
+ */
+function jsonResponse(body, status = 200, maxAge = 0) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: {
+      'Content-Type': 'application/json; charset=utf-8',
+      'Access-Control-Allow-Origin': '*',
+      'Cache-Control': maxAge > 0 ? `public, max-age=${maxAge}` : 'no-store'
+    }
+  });
+}
+
+/**
+ * Formats the leaderboard as a standalone HTML page for embedding on the website or showing on a TV
+ * @param {Object} leaderboard - The leaderboard as returned by GET /api/leaderboard
+ * @param {string} [timeZone] - The IANA time zone the update time is shown in
+ * @returns {string} The HTML page
+ */
+export function formatLeaderboardPage(leaderboard, timeZone = DEFAULT_TIME_ZONE) {
+  const rows = leaderboard.events.map(event => {
+    const total = event.capacity ? `${event.total_sign_ups}/${event.capacity}` : event.total_sign_ups;
+    return `<tr><td class="rank">${event.rank}</td><td>${escapeHtml(event.name)}</td><td class="count">+${event.new_sign_ups}</td><td class="count">${total}</td></tr>`;
+  });
+  const updatedText = formatInTimeZone(new Date(leaderboard.generated_at), timeZone, 'MMMM d, h:mm a zzz');
+  
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta http-equiv="refresh" content="${PAGE_REFRESH_SECONDS}">
+<title>Scrapyard Leaderboard</title>
+<style>
+  body { font-family: system-ui, sans-serif; margin: 0; padding: 1.5rem; background: #fff; color: #1d1c1d; }
+  h1 { margin: 0 0 0.25rem; font-size: 1.75rem; }
+  p { margin: 0 0 1rem; color: #616061; }
+  table { width: 100%; border-collapse: collapse; font-size: 1.1rem; }
+  th, td { padding: 0.4rem 0.6rem; border-bottom: 1px solid #e8e8e8; text-align: left; }
+  .rank, .count { text-align: right; font-variant-numeric: tabular-nums; white-space: nowrap; }
+</style>
+</head>
+<body>
+<h1>🏆 Scrapyard Leaderboard</h1>
+<p>New sign-ups ${escapeHtml(leaderboard.label)} · updated ${escapeHtml(updatedText)}</p>
+${rows.length > 0
+    ? `<table>
+<thead><tr><th class="rank">#</th><th>Event</th><th class="count">New</th><th class="count">Total</th></tr></thead>
+<tbody>
+${rows.join('\n')}
+</tbody>
+</table>`
+    : `<p>No new sign-ups ${escapeHtml(leaderboard.label)}.</p>`}
+</body>
+</html>
+`;
+}
+
+/**
+ * Creates the read-only HTTP API served alongside the Slack app
+ * @param {Object} deps - The bot's dependencies
+ * @param {Object} deps.warehouse - The warehouse queries from createWarehouse
+ * @param {Object} deps.store - The milestone database queries from createStore
+ * @param {Object} deps.config - The bot configuration from loadConfig
+ * @param {Function} deps.now - Returns the current time
+ * @param {Function} deps.fetchEventGoals - Returns sign-up goals keyed by event slug
+ * @param {Function} deps.checkHealth - Checks the databases and job runs, from createHealth
+ * @param {Function} deps.reportFailure - Logs a failure and alerts the maintainers
+ * @returns {Object} The request handler
+ */
+export function createApi({ warehouse, store, config, now, fetchEventGoals, checkHealth, reportFailure }) {
+  // Responses keyed by what was asked for, so page views within the TTL share one set of queries
+  const cache = createCache({ ttlSeconds: config.apiCacheSeconds, now });
+  
+  /**
+   * Loads the leaderboard for a window
+   * @param {string} windowKey - A key of LEADERBOARD_WINDOWS
+   * @returns {Promise<Object>} The leaderboard as served by GET /api/leaderboard
+   */
+  function getLeaderboard(windowKey) {
+    return cache.get(`leaderboard:${windowKey}`, async () => {
+      const [data, goals] = await Promise.all([
+        warehouse.fetchLeaderboardData(windowKey),
+        fetchEventGoals()
+      ]);
+      return {
+        window: windowKey,
+        label: getLeaderboardWindow(windowKey).label,
+        generated_at: now().toISOString(),
+        events: data.map(event => ({
+          rank: event.leaderboard_rank,
+          name: event.event_name,
+          slug: event.event_slug,
+          new_sign_ups: event.new_sign_ups,
+          total_sign_ups: event.total_sign_ups,
+          capacity: goals.get(event.event_slug) || null
+        }))
+      };
+    });
+  }
+  
+  /**
+   * Loads every event ranked by total sign-ups
+   * @returns {Promise<Object>} The events as served by GET /api/events
+   */
+  function getEvents() {
+    return cache.get('events', async () => {
+      const [allEvents, goals] = await Promise.all([
+        warehouse.fetchAllEventsData(),
+        fetchEventGoals()
+      ]);
+      return {
+        generated_at: now().toISOString(),
+        events: rankEventsByTotal(allEvents).map(event => ({
+          rank: event.overall_rank,
+          name: event.event_name,
+          slug: event.event_slug,
+          total_sign_ups: event.total_sign_ups,
+          capacity: goals.get(event.event_slug) || null
+        }))
+      };
+    });
+  }
+  
+  /**
+   * Loads a single event with its milestone history
+   * @param {string} slug - The event slug
+   * @returns {Promise<Object|null>} The event as served by GET /api/events/:slug, or null if there's no such event
+   */
+  function getEvent(slug) {
+    return cache.get(`event:${slug}`, async () => {
+      const [{ events }, leaderboard] = await Promise.all([
+        getEvents(),
+        getLeaderboard(DEFAULT_LEADERBOARD_WINDOW)
+      ]);
+      const event = events.find(e => e.slug && e.slug.toLowerCase() === slug);
+      if (!event) {
+        return null;
+      }
+      
+      const [tracking, milestones] = await Promise.all([
+        store.fetchEventTracking(event.slug),
+        store.fetchMilestoneHistory(event.slug)
+      ]);
+      const recent = leaderboard.events.find(e => e.slug === event.slug);
+      
+      return {
+        generated_at: now().toISOString(),
+        event: {
+          ...event,
+          new_sign_ups: recent ? recent.new_sign_ups : 0,
+          new_sign_ups_window: DEFAULT_LEADERBOARD_WINDOW,
+          last_milestone: tracking ? tracking.last_milestone_notified : null,
+          milestones: milestones.map(({ milestone, reached_at }) => ({
+            milestone,
+            reached_at: new Date(reached_at).toISOString()
+          }))
+        }
+      };
+    });
+  }
+  
+  /**
+   * Answers a request to the health server, which only serves GET /healthz
+   * It runs whether or not the API does, so monitoring doesn't depend on API_PORT
+   * @param {Request} request - The incoming request
+   * @returns {Promise<Response>} The response
+   */
+  async function handleHealthRequest(request) {
+    const url = new URL(request.url);
+    if (request.method !== 'GET' || url.pathname !== '/healthz') {
+      return jsonResponse({ error: 'Not found' }, 404);
+    }
+    
+    // Never cached, so monitoring always sees the current state
+    const report = await checkHealth();
+    return jsonResponse(report, report.status === 'error' ? 503 : 200);
+  }
+  
+  /**
+   * Answers an HTTP request, for use as Bun.serve's fetch handler
+   * @param {Request} request - The incoming request
+   * @returns {Promise<Response>} The response
+   */
+  async function handleApiRequest(request) {
+    const url = new URL(request.url);
+    const maxAge = config.apiCacheSeconds;
+    
+    if (request.method !== 'GET') {
+      return jsonResponse({ error: 'Only GET requests are supported' }, 405);
+    }
+    
+    const windowKey = (url.searchParams.get('window') || DEFAULT_LEADERBOARD_WINDOW).toLowerCase();
+    const eventMatch = url.pathname.match(/^\/api\/events\/([^/]+)\/?$/);
+    
+    try {
+      if (url.pathname === '/healthz') {
+        return await handleHealthRequest(request);
+      }
+      
+      if (url.pathname === '/' || url.pathname === '/api/leaderboard') {
+        if (!isLeaderboardWindow(windowKey)) {
+          return jsonResponse({ error: `Unknown window "${windowKey}". Use one of: ${Object.keys(LEADERBOARD_WINDOWS).join(', ')}` }, 400);
+        }
+        
+        const leaderboard = await getLeaderboard(windowKey);
+        if (url.pathname === '/api/leaderboard') {
+          return jsonResponse(leaderboard, 200, maxAge);
+        }
+        
+        return new Response(formatLeaderboardPage(leaderboard, config.jobTimeZone), {
+          headers: {
+            'Content-Type': 'text/html; charset=utf-8',
+            'Cache-Control': `public, max-age=${maxAge}`
+          }
+        });
+      }
+      
+      if (url.pathname === '/api/events') {
+        return jsonResponse(await getEvents(), 200, maxAge);
+      }
+      
+      if (eventMatch) {
+        let slug;
+        try {
+          slug = decodeURIComponent(eventMatch[1]).toLowerCase();
+        } catch {
+          return jsonResponse({ error: 'The event slug in the path is not valid URL encoding' }, 400);
+        }
+        
+        const event = await getEvent(slug);
+        return event
+          ? jsonResponse(event, 200, maxAge)
+          : jsonResponse({ error: 'Event not found' }, 404);
+      }
+      
+      return jsonResponse({ error: 'Not found' }, 404);
+    } catch (error) {
+      // Alerts are throttled by message, so name the route rather than every slug asked for
+      const route = eventMatch ? '/api/events/:slug' : url.pathname;
+      await reportFailure(`Error handling ${request.method} ${route}:`, error);
+      return jsonResponse({ error: 'Something went wrong fetching the leaderboard data' }, 500);
+    }
+  }
+  
+  return {
+    handleApiRequest,
+    handleHealthRequest
+  };
+}
@@ -0,0 +1,235 @@
+import { getDailySignups } from './snapshots.js';
+
+// Awards given each week, in the order they're listed
+export const AWARDS = {
+  growth: { emoji: '🚀', label: 'Fastest growing' },
+  streak: { emoji: '🔥', label: 'Longest streak' },
+  comeback: { emoji: '🔄', label: 'Biggest comeback' },
+  first: { emoji: '🌱', label: 'First sign-ups' }
+};
+
+// Awards cover the past week, judged against up to four weeks of sign-up history
+export const AWARD_WEEK_DAYS = 7;
+export const AWARD_HISTORY_DAYS = 28;
+
+// Events need this many sign-ups before the week to compete on growth, so going from 1 to 3 isn't +200%
+const MIN_GROWTH_BASE = 5;
+
+// Shorter streaks and quiet stretches are too common to be worth an award
+const MIN_STREAK_DAYS = 2;
+const MIN_QUIET_DAYS = 3;
+
+// Brand-new events listed in the weekly message; the rest still get a badge
+const MAX_FIRST_SIGNUP_EVENTS = 5;
+
+/**
+ * Counts the days in a row, up to today, with new sign-ups
+ * @param {Array<number>} daily - New sign-ups per day, oldest first
+ * @returns {Object} { days, signups } for the streak, with 0 days if there were no sign-ups today
+ */
+export function getSignupStreak(daily) {
+  let days = 0;
+  let signups = 0;
+  for (let index = daily.length - 1; index >= 0 && daily[index] > 0; index--) {
+    days++;
+    signups += daily[index];
+  }
+  return { days, signups };
+}
+
+/**
+ * Finds sign-ups that came back this week after a quiet stretch
+ * The latest run of days with sign-ups must have started this week, after days without any
+ * that themselves followed earlier sign-ups (a dormant event with no earlier history isn't a comeback)
+ * @param {Array<number>} daily - New sign-ups per day, oldest first
+ * @param {number} [weekDays] - How many of the latest days count as this week
+ * @returns {Object|null} { quietDays, signups }, or null if there was no comeback this week
+ */
+export function getComeback(daily, weekDays = AWARD_WEEK_DAYS) {
+  const lastActive = daily.findLastIndex(count => count > 0);
+  if (lastActive < daily.length - weekDays) {
+    return null;
+  }
+  
+  let runStart = lastActive;
+  while (runStart > 0 && daily[runStart - 1] > 0) {
+    runStart--;
+  }
+  
+  let quietStart = runStart;
+  while (quietStart > 0 && daily[quietStart - 1] === 0) {
+    quietStart--;
+  }
+  
+  const quietDays = runStart - quietStart;
+  if (runStart < daily.length - weekDays || quietStart === 0 || quietDays < MIN_QUIET_DAYS) {
+    return null;
+  }
+  
+  const signups = daily.slice(runStart, lastActive + 1).reduce((sum, count) => sum + count, 0);
+  return { quietDays, signups };
+}
+
+/**
+ * Picks the event with the best score, breaking ties by the tiebreaker then by name
+ * @param {Array} candidates - Objects with score, tiebreaker and event
+ * @returns {Object|null} The winning candidate, or null if there were none
+ */
+function pickWinner(candidates) {
+  const sorted = [...candidates].sort((a, b) =>
+    b.score - a.score ||
+    b.tiebreaker - a.tiebreaker ||
+    a.event.event_name.localeCompare(b.event.event_name)
+  );
+  return sorted[0] || null;
+}
+
+/**
+ * Works out this week's awards from the sign-up history
+ * @param {Array} snapshots - Rows with event_slug, event_name, total_sign_ups and captured_at for every event,
+ *   oldest first, covering AWARD_HISTORY_DAYS plus each event's last snapshot before then
+ * @param {Date} now - The current time
+ * @returns {Array} One entry per award that was won, with key and events ({ event_slug, event_name, detail })
+ */
+export function computeEventAwards(snapshots, now) {
+  const weekStart = now.getTime() - AWARD_WEEK_DAYS * 24 * 60 * 60 * 1000;
+  const byEvent = new Map();
+  for (const snapshot of snapshots) {
+    if (!byEvent.has(snapshot.event_slug)) {
+      byEvent.set(snapshot.event_slug, []);
+    }
+    byEvent.get(snapshot.event_slug).push(snapshot);
+  }
+  
+  // Without history from before this week every event would look brand new, e.g. right after the bot first starts
+  const hasEarlierHistory = snapshots.some(snapshot => new Date(snapshot.captured_at).getTime() < weekStart);
+  
+  const growth = [];
+  const streaks = [];
+  const comebacks = [];
+  const firsts = [];
+  
+  for (const rows of byEvent.values()) {
+    const latest = rows.at(-1);
+    const event = { event_slug: latest.event_slug, event_name: latest.event_name };
+    const total = Number(latest.total_sign_ups);
+    const daily = getDailySignups(rows, now, AWARD_HISTORY_DAYS);
+    const thisWeek = daily.slice(-AWARD_WEEK_DAYS).reduce((sum, count) => sum + count, 0);
+    
+    if (hasEarlierHistory && new Date(rows[0].captured_at).getTime() >= weekStart) {
+      firsts.push({ event, score: total, tiebreaker: 0, detail: `${total} sign-up${total === 1 ? '' : 's'} in its first week` });
+      continue;
+    }
+    
+    const before = total - thisWeek;
+    if (before >= MIN_GROWTH_BASE && thisWeek > 0) {
+      const percent = Math.round((thisWeek / before) * 100);
+      growth.push({ event, score: percent, tiebreaker: thisWeek, detail: `+${percent}% this week (${before} → ${total})` });
+    }
+    
+    const streak = getSignupStreak(daily);
+    if (streak.days >= MIN_STREAK_DAYS) {
+      streaks.push({ event, score: streak.days, tiebreaker: streak.signups, detail: `new sign-ups ${streak.days} days in a row` });
+    }
+    
+    const comeback = getComeback(daily);
+    if (comeback) {
+      comebacks.push({
+        event,
+        score: comeback.quietDays,
+        tiebreaker: comeback.signups,
+        detail: `${comeback.signups} sign-up${comeback.signups === 1 ? '' : 's'} after ${comeback.quietDays} quiet days`
+      });
+    }
+  }
+  
+  const awards = [];
+  for (const [key, candidates] of [['growth', growth], ['streak', streaks], ['comeback', comebacks]]) {
+    const winner = pickWinner(candidates);
+    if (winner) {
+      awards.push({ key, events: [{ ...winner.event, detail: winner.detail }] });
+    }
+  }
+  
+  if (firsts.length > 0) {
+    const sorted = firsts.sort((a, b) => b.score - a.score || a.event.event_name.localeCompare(b.event.event_name));
+    awards.push({ key: 'first', events: sorted.map(({ event, detail }) => ({ ...event, detail })) });
+  }
+  
+  return awards;
+}
+
+/**
+ * Collects each event's award emojis for showing next to its name
+ * @param {Array} awards - Awards from computeEventAwards
+ * @returns {Map} Emojis keyed by event slug, e.g. "🚀🔥"
+ */
+export function getAwardBadges(awards) {
+  const badges = new Map();
+  for (const { key, events } of awards) {
+    for (const event of events) {
+      badges.set(event.event_slug, (badges.get(event.event_slug) || '') + AWARDS[key].emoji);
+    }
+  }
+  return badges;
+}
+
+/**
+ * Formats this week's awards into a Slack message
+ * @param {Array} awards - Awards from computeEventAwards
+ * @returns {Object} A formatted Slack message
+ */
+export function formatAwardsMessage(awards) {
+  const blocks = [
+    {
+      type: "header",
+      text: {
+        type: "plain_text",
+        text: "🏅 This week's Scrapyard awards",
+        emoji: true
+      }
+    }
+  ];
+  
+  if (awards.length === 0) {
+    blocks.push({
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: "No awards this week - there wasn't enough sign-up history to go on."
+      }
+    });
+  }
+  
+  for (const { key, events } of awards) {
+    const { emoji, label } = AWARDS[key];
+    const shown = events.slice(0, MAX_FIRST_SIGNUP_EVENTS);
+    const lines = shown.map(event => `*${event.event_name}* · ${event.detail}`);
+    if (events.length > shown.length) {
+      lines.push(`_and ${events.length - shown.length} more_`);
+    }
+    
+    blocks.push({
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: `${emoji} *${label}*\n${lines.join('\n')}`
+      }
+    });
+  }
+  
+  blocks.push({
+    type: "context",
+    elements: [
+      {
+        type: "mrkdwn",
+        text: `Based on sign-ups in the past ${AWARD_WEEK_DAYS} days. Winners wear their badge on the leaderboard all week.`
+      }
+    ]
+  });
+  
+  return {
+    blocks,
+    text: "This week's Scrapyard awards" // Fallback text for notifications
+  };
+}
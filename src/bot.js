@@ -0,0 +1,1175 @@
+import { createApi } from './api.js';
+import { AWARD_HISTORY_DAYS, computeEventAwards, getAwardBadges, formatAwardsMessage } from './awards.js';
+import { createCache } from './cache.js';
+import { CAMPAIGN_PHASES, resolveCampaignState, formatCampaignRecapMessage } from './campaigns.js';
+import { createCommands } from './commands.js';
+import { EXPORT_WINDOWS, buildExportRows, buildExportFile } from './exports.js';
+import { createHome } from './home.js';
+import { formatDigestMessage } from './digests.js';
+import { getGoalThreshold, formatGoalMessage } from './goals.js';
+import { ALERT_COOLDOWN_MINUTES, createHealth, formatFailureAlert } from './health.js';
+import { JOB_DEFINITIONS, createScheduler, formatLeaderboardPostTimes } from './jobs.js';
+import { DEFAULT_LEADERBOARD_WINDOW, getLeaderboardWindow, formatLeaderboardMessage, rankEventsByTotal, applyEventAliases } from './leaderboard.js';
+import {
+  resolveMilestonePolicy,
+  getNextMilestone,
+  getMilestonesBetween,
+  formatMilestoneMessage,
+  formatMilestoneCatchUpMessage
+} from './milestones.js';
+import { getJobContext } from './logging.js';
+import {
+  OUTBOX_BATCH_SIZE,
+  OUTBOX_LEASE_SECONDS,
+  OUTBOX_SENT_RETRY_DELAYS_MS,
+  getOutboxRetry,
+  formatOutboxMetadata,
+  findOutboxPost
+} from './outbox.js';
+import { formatRegionName, getEventChannel } from './regions.js';
+import { buildEventSchedule, getDueCountdown, getEventStart, formatCountdownMessage } from './schedules.js';
+import { findStalledEvents, shouldNudge, formatStallReport, formatStallNudge } from './stalls.js';
+
+// A gap of more than this many milestone check intervals between two checks means the bot missed one
+const CATCH_UP_INTERVALS = 1.5;
+
+// Awards only change as sign-ups come in, so the live leaderboard and commands reuse them for a while
+const AWARDS_CACHE_SECONDS = 5 * 60;
+
+/**
+ * Creates the bot's scheduled jobs and command handlers
+ * @param {Object} deps - The bot's dependencies
+ * @param {Object} deps.warehouse - The warehouse queries from createWarehouse
+ * @param {Object} deps.store - The milestone database queries from createStore
+ * @param {Object} deps.slack - A Slack Web API client, e.g. app.client
+ * @param {Object} deps.config - The bot configuration from loadConfig
+ * @param {Function} [deps.now] - Returns the current time, defaults to the system clock
+ * @param {string} [deps.workerId] - Identifies this process when claiming outbox rows
+ * @returns {Object} The bot's jobs and handlers
+ */
+export function createBot({
+  warehouse,
+  store,
+  slack,
+  config,
+  now = () => new Date(),
+  workerId = `bot-${process.pid}-${crypto.randomUUID().slice(0, 8)}`
+}) {
+  // When the previous milestone check ran, or null before the first one since startup
+  let lastMilestoneCheckAt = null;
+  const awardsCache = createCache({ ttlSeconds: AWARDS_CACHE_SECONDS, now });
+  const health = createHealth({ warehouse, store, now });
+  // When each kind of failure was last alerted, keyed by job (or log message outside a job)
+  const lastAlertAt = new Map();
+  
+  /**
+   * Alerts config.maintainerChannel about a failure, at most once per ALERT_COOLDOWN_MINUTES for each job
+   * or, outside a job, for each kind of failed request
+   * @param {string} message - The log message the failure was reported with
+   * @param {Error} error - The error
+   */
+  async function alertMaintainers(message, error) {
+    if (!config.maintainerChannel) {
+      return;
+    }
+    
+    const context = getJobContext();
+    const alertKey = context ? context.job : message;
+    const lastAlert = lastAlertAt.get(alertKey);
+    if (lastAlert && now() - lastAlert < ALERT_COOLDOWN_MINUTES * 60 * 1000) {
+      console.log(`Not alerting maintainers about ${alertKey} again - muted since ${lastAlert.toISOString()}`);
+      return;
+    }
+    lastAlertAt.set(alertKey, now());
+    
+    try {
+      await slack.chat.postMessage({
+        channel: config.maintainerChannel,
+        ...formatFailureAlert({
+          what: context ? JOB_DEFINITIONS[context.job].label : 'Request',
+          jobId: context ? context.jobId : null,
+          message,
+          error
+        })
+      });
+    } catch (alertError) {
+      console.error('Error alerting maintainers:', alertError);
+    }
+  }
+  
+  /**
+   * Logs a failure, marks the job's run as failed for /healthz if it's part of one, and alerts the maintainers
+   * Jobs catch their own errors so one failure doesn't stop the schedule, and report them here, as do commands and actions
+   * @param {string} message - What failed, logged before the error
+   * @param {Error} error - The error
+   */
+  async function reportFailure(message, error) {
+    console.error(message, error);
+    
+    const context = getJobContext();
+    if (context && !context.error) {
+      context.error = error;
+    }
+    
+    await alertMaintainers(message, error);
+  }
+  
+  /**
+   * Fetches the sign-up goal (venue capacity) for every event
+   * Goals set in the milestone DB take precedence over the warehouse's events table
+   * @returns {Promise<Map>} Goals keyed by event slug
+   */
+  async function fetchEventGoals() {
+    const [warehouseGoals, storedGoals] = await Promise.all([
+      warehouse.fetchEventGoals(),
+      store.fetchEventGoals()
+    ]);
+    const goals = new Map();
+    
+    for (const row of warehouseGoals) {
+      const capacity = parseInt(row.capacity, 10);
+      if (capacity > 0) {
+        goals.set(row.event_slug, capacity);
+      }
+    }
+    
+    for (const row of storedGoals) {
+      goals.set(row.event_slug, Number(row.capacity));
+    }
+    
+    return goals;
+  }
+  
+  /**
+   * Fetches the time zone and local start time of every event
+   * Schedules set in the milestone DB take precedence over the warehouse's events table
+   * @returns {Promise<Map>} Schedules keyed by event slug
+   */
+  async function fetchEventSchedules() {
+    const [warehouseSchedules, storedSchedules] = await Promise.all([
+      warehouse.fetchEventSchedules(),
+      store.fetchEventSchedules()
+    ]);
+    const schedules = new Map();
+    
+    for (const row of [...warehouseSchedules, ...storedSchedules]) {
+      const schedule = buildEventSchedule(row.time_zone, row.starts_at_local);
+      if (schedule) {
+        schedules.set(row.event_slug, schedule);
+      }
+    }
+    
+    return schedules;
+  }
+  
+  /**
+   * Works out this week's awards from the sign-up history
+   * @returns {Promise<Array>} Awards from computeEventAwards
+   */
+  function fetchEventAwards() {
+    return awardsCache.get('awards', async () => {
+      const since = new Date(now().getTime() - AWARD_HISTORY_DAYS * 24 * 60 * 60 * 1000);
+      return computeEventAwards(await store.fetchAllSignupSnapshots(since), now());
+    });
+  }
+  
+  /**
+   * Fetches the award badges shown next to event names on leaderboards
+   * @returns {Promise<Map>} Award emojis keyed by event slug
+   */
+  async function fetchAwardBadges() {
+    return getAwardBadges(await fetchEventAwards());
+  }
+  
+  /**
+   * Finds the current campaign and its phase
+   * @returns {Promise<Object>} { campaign, phase, jobs }, with a null campaign if none exist
+   */
+  async function getCampaignState() {
+    const campaigns = await store.fetchCampaigns();
+    return resolveCampaignState(campaigns, now());
+  }
+  
+  /**
+   * Checks whether a job may run and logs why if it can't
+   * @param {string} job - The job name, e.g. 'leaderboard'
+   * @param {string} description - What is being skipped, for the log
+   * @returns {Promise<Object|null>} The campaign state if the job is enabled in the current phase, otherwise null
+   */
+  async function isJobEnabled(job, description) {
+    const state = await getCampaignState();
+    const { campaign, phase, jobs } = state;
+    
+    if (!jobs.includes(job)) {
+      const reason = campaign ? `${campaign.name} is in the ${phase} phase` : 'there is no campaign';
+      console.log(`Skipping ${description} - ${reason} (${now().toISOString()})`);
+      return null;
+    }
+    
+    return state;
+  }
+  
+  /**
+   * Sends a message as a DM to everyone subscribed to an event
+   * @param {string} eventSlug - The slug of the event
+   * @param {Object} message - The formatted Slack message
+   */
+  async function notifySubscribers(eventSlug, message) {
+    const subscribers = await store.fetchEventSubscribers(eventSlug);
+    
+    for (const userId of subscribers) {
+      try {
+        // Posting to a user ID delivers the message in the bot's DM with them
+        await slack.chat.postMessage({
+          channel: userId,
+          ...message
+        });
+      } catch (error) {
+        console.error(`Error sending DM to ${userId} for ${eventSlug}:`, error);
+      }
+    }
+    
+    if (subscribers.length > 0) {
+      console.log(`Sent ${eventSlug} update to ${subscribers.length} subscribers`);
+    }
+  }
+  
+  /**
+   * Posts a leaderboard filtered to each region's events to that region's channel
+   * @param {Array} data - The global leaderboard data
+   * @param {Object} options - The previousBoard, windowKey and goals used for the global board
+   */
+  async function postRegionalLeaderboards(data, { previousBoard, windowKey, goals, badges }) {
+    const { regionChannels } = config;
+    if (regionChannels.size === 0) {
+      return;
+    }
+    
+    const eventRegions = await store.fetchEventRegions();
+    
+    for (const [region, channelId] of regionChannels) {
+      try {
+        const regionData = data.filter(event => eventRegions.get(event.event_slug) === region);
+        const message = formatLeaderboardMessage(regionData, {
+          previousBoard,
+          windowKey,
+          goals,
+          badges,
+          regionName: formatRegionName(region)
+        });
+        
+        await slack.chat.postMessage({
+          channel: channelId,
+          ...message,
+          text: `Scrapyard ${formatRegionName(region)} Leaderboard Update` // Fallback text for notifications
+        });
+        
+        console.log(`Regional leaderboard (${region}, ${windowKey}) posted to ${channelId}`);
+      } catch (error) {
+        console.error(`Error posting regional leaderboard for ${region}:`, error);
+      }
+    }
+  }
+  
+  /**
+   * Posts the leaderboard to the configured Slack channel
+   * @param {string} [channelId] - The channel to post to, defaults to the main channel
+   * @param {string} [windowKey] - A key of LEADERBOARD_WINDOWS
+   */
+  async function postLeaderboard(channelId = config.slackChannel, windowKey = DEFAULT_LEADERBOARD_WINDOW) {
+    // Leaderboards only post during the campaign phases that enable them
+    if (!(await isJobEnabled('leaderboard', 'leaderboard post'))) {
+      return;
+    }
+    
+    try {
+      const [data, previousBoard, goals, badges] = await Promise.all([
+        warehouse.fetchLeaderboardData(windowKey),
+        store.fetchPreviousLeaderboard(windowKey),
+        fetchEventGoals(),
+        fetchAwardBadges()
+      ]);
+      const message = formatLeaderboardMessage(data, { previousBoard, windowKey, goals, badges });
+      
+      await slack.chat.postMessage({
+        channel: channelId,
+        ...message,
+        text: "Scrapyard Leaderboard Update" // Fallback text for notifications
+      });
+      
+      // Remember what this post looked like so the next one can show changes
+      // The post is already out, so a failure here is reported without skipping the regional boards
+      try {
+        await store.recordLeaderboardPost(channelId, windowKey, data);
+      } catch (error) {
+        await reportFailure('Error recording leaderboard post:', error);
+      }
+      
+      console.log(`Leaderboard (${windowKey}) posted to ${channelId} at ${now().toISOString()}`);
+      
+      // The global board goes to the main channel; each region also gets its own filtered board
+      if (channelId === config.slackChannel) {
+        await postRegionalLeaderboards(data, { previousBoard, windowKey, goals, badges });
+      }
+    } catch (error) {
+      await reportFailure('Error posting leaderboard:', error);
+    }
+  }
+  
+  /**
+   * Posts this week's awards to the main channel
+   */
+  async function postWeeklyAwards() {
+    // Awards go out with the leaderboards, in the campaign phases that enable them
+    if (!(await isJobEnabled('leaderboard', 'weekly awards'))) {
+      return;
+    }
+    
+    try {
+      const awards = await fetchEventAwards();
+      await slack.chat.postMessage({
+        channel: config.slackChannel,
+        ...formatAwardsMessage(awards)
+      });
+      console.log(`Weekly awards posted with ${awards.length} awards at ${now().toISOString()}`);
+    } catch (error) {
+      await reportFailure('Error posting weekly awards:', error);
+    }
+  }
+  
+  /**
+   * Posts what the next scheduled leaderboard would look like, whatever the campaign phase
+   * Previews aren't recorded, so they don't change the movement shown on the next real post
+   * @param {string} channelId - The channel to post the preview in
+   * @param {string} [windowKey] - A key of LEADERBOARD_WINDOWS
+   */
+  async function postLeaderboardPreview(channelId, windowKey = DEFAULT_LEADERBOARD_WINDOW) {
+    const [data, previousBoard, goals, badges] = await Promise.all([
+      warehouse.fetchLeaderboardData(windowKey),
+      store.fetchPreviousLeaderboard(windowKey),
+      fetchEventGoals(),
+      fetchAwardBadges()
+    ]);
+    const message = formatLeaderboardMessage(data, { previousBoard, windowKey, goals, badges });
+    
+    await slack.chat.postMessage({
+      channel: channelId,
+      blocks: [
+        {
+          type: "context",
+          elements: [
+            {
+              type: "mrkdwn",
+              text: `🧪 Preview of the leaderboard of new sign-ups ${getLeaderboardWindow(windowKey).label}, not posted to <#${config.slackChannel}>`
+            }
+          ]
+        },
+        ...message.blocks
+      ],
+      text: "Scrapyard Leaderboard Preview" // Fallback text for notifications
+    });
+    
+    console.log(`Leaderboard preview (${windowKey}) posted to ${channelId} at ${now().toISOString()}`);
+  }
+  
+  /**
+   * Uploads an export of every event's totals, window counts, ranks and milestones to a channel
+   * @param {string} channelId - The channel or DM to upload the file to
+   * @param {string} format - One of EXPORT_FORMATS
+   * @param {Object|null} [range] - { from, to } to also export the sign-ups between, with a null to meaning now
+   * @returns {Promise<Object>} { filename, rowCount } of the uploaded file
+   */
+  async function uploadExport(channelId, format, range = null) {
+    const generatedAt = now();
+    const resolvedRange = range ? { from: range.from, to: range.to || generatedAt } : null;
+    
+    const [allEvents, trackingRecords, milestones, snapshots, ...windowData] = await Promise.all([
+      warehouse.fetchAllEventsData(),
+      store.fetchAllEventTracking(),
+      store.fetchAllMilestoneHistory(),
+      resolvedRange ? store.fetchAllSignupSnapshots(resolvedRange.from) : [],
+      ...EXPORT_WINDOWS.map(windowKey => warehouse.fetchLeaderboardData(windowKey))
+    ]);
+    const rows = buildExportRows({
+      allEvents,
+      windows: Object.fromEntries(EXPORT_WINDOWS.map((windowKey, index) => [windowKey, windowData[index]])),
+      trackingRecords,
+      milestones,
+      snapshots,
+      range: resolvedRange
+    });
+    const file = buildExportFile(rows, { format, generatedAt, range: resolvedRange, timeZone: config.jobTimeZone });
+    
+    await slack.files.uploadV2({
+      channel_id: channelId,
+      filename: file.filename,
+      title: file.title,
+      content: file.content,
+      initial_comment: `📊 ${file.title} (${rows.length} event${rows.length === 1 ? '' : 's'})`
+    });
+    
+    console.log(`Uploaded ${file.filename} with ${rows.length} events to ${channelId} at ${generatedAt.toISOString()}`);
+    return { filename: file.filename, rowCount: rows.length };
+  }
+  
+  /**
+   * Sends an export to a user in their DM with the bot
+   * @param {string} userId - The Slack user ID
+   * @param {string} format - One of EXPORT_FORMATS
+   * @param {Object|null} [range] - As for uploadExport
+   * @returns {Promise<Object>} { filename, rowCount } of the uploaded file
+   */
+  async function sendExport(userId, format, range = null) {
+    // Files can't be uploaded to a user ID like messages can, so open the DM first
+    const { channel } = await slack.conversations.open({ users: userId });
+    return uploadExport(channel.id, format, range);
+  }
+  
+  /**
+   * Uploads a CSV export covering the past 7 days to config.exportChannel
+   */
+  async function postWeeklyExport() {
+    if (!(await isJobEnabled('exports', 'weekly export'))) {
+      return;
+    }
+    
+    if (!config.exportChannel) {
+      console.log('Skipping weekly export - EXPORT_CHANNEL is not set');
+      return;
+    }
+    
+    try {
+      const from = new Date(now().getTime() - 7 * 24 * 60 * 60 * 1000);
+      await uploadExport(config.exportChannel, 'csv', { from, to: null });
+    } catch (error) {
+      await reportFailure('Error uploading weekly export:', error);
+    }
+  }
+  
+  /**
+   * Edits a channel's live leaderboard, posting and pinning a new one if it doesn't exist yet
+   * @param {string} channelId - The channel ID
+   * @param {string|undefined} ts - The stored ts of the channel's live leaderboard
+   * @param {Object} message - The formatted leaderboard
+   */
+  async function updateLiveLeaderboard(channelId, ts, message) {
+    if (ts) {
+      try {
+        await slack.chat.update({ channel: channelId, ts, ...message });
+        return;
+      } catch (error) {
+        // Someone deleted the message, so it's replaced below; anything else is a real error
+        const reason = error.data && error.data.error;
+        if (reason !== 'message_not_found' && reason !== 'cant_update_message') {
+          throw error;
+        }
+        console.log(`Live leaderboard in ${channelId} can't be edited (${reason}), posting a new one`);
+      }
+    }
+    
+    const result = await slack.chat.postMessage({ channel: channelId, ...message });
+    await store.savePinnedLeaderboard(channelId, result.ts);
+    
+    try {
+      await slack.pins.add({ channel: channelId, timestamp: result.ts });
+    } catch (error) {
+      console.error(`Error pinning live leaderboard in ${channelId}:`, error);
+    }
+    
+    console.log(`Posted live leaderboard to ${channelId} (ts: ${result.ts})`);
+  }
+  
+  /**
+   * Refreshes the pinned live leaderboard in the main channel and each regional channel
+   */
+  async function refreshLiveLeaderboards() {
+    if (!(await isJobEnabled('leaderboard', 'live leaderboard refresh'))) {
+      return;
+    }
+    
+    try {
+      const windowKey = DEFAULT_LEADERBOARD_WINDOW;
+      const [data, previousBoard, goals, eventRegions, liveBoards, badges] = await Promise.all([
+        warehouse.fetchLeaderboardData(windowKey),
+        store.fetchPreviousLeaderboard(windowKey),
+        fetchEventGoals(),
+        store.fetchEventRegions(),
+        store.fetchPinnedLeaderboards(),
+        fetchAwardBadges()
+      ]);
+      const liveUpdatedAt = now();
+      
+      const boards = [
+        { channelId: config.slackChannel, data, regionName: null },
+        ...[...config.regionChannels].map(([region, channelId]) => ({
+          channelId,
+          data: data.filter(event => eventRegions.get(event.event_slug) === region),
+          regionName: formatRegionName(region)
+        }))
+      ];
+      
+      for (const { channelId, data: boardData, regionName } of boards) {
+        try {
+          const message = formatLeaderboardMessage(boardData, {
+            previousBoard,
+            windowKey,
+            goals,
+            badges,
+            regionName,
+            liveUpdatedAt,
+            timeZone: config.jobTimeZone
+          });
+          await updateLiveLeaderboard(channelId, liveBoards.get(channelId), {
+            ...message,
+            text: "Scrapyard Live Leaderboard" // Fallback text for notifications
+          });
+        } catch (error) {
+          console.error(`Error refreshing live leaderboard in ${channelId}:`, error);
+        }
+      }
+    } catch (error) {
+      await reportFailure('Error refreshing live leaderboards:', error);
+    }
+  }
+  
+  /**
+   * Posts goal progress when an event crosses one of the GOAL_THRESHOLDS
+   * @param {string} eventName - The name of the event
+   * @param {string} eventSlug - The slug of the event
+   * @param {number} currentCount - The event's total signups
+   * @param {number} capacity - The event's goal
+   * @param {number} lastGoalNotified - The last threshold announced for this event
+   * @param {string} channelId - The channel announcements for this event go to
+   */
+  async function checkGoalProgress(eventName, eventSlug, currentCount, capacity, lastGoalNotified, channelId) {
+    const threshold = getGoalThreshold(currentCount, capacity);
+    
+    if (threshold === lastGoalNotified) {
+      return;
+    }
+    
+    try {
+      if (threshold > lastGoalNotified) {
+        const message = formatGoalMessage(eventName, currentCount, capacity, threshold);
+        
+        await slack.chat.postMessage({
+          channel: channelId,
+          ...message
+        });
+        
+        console.log(`Posted goal progress for ${eventName}: ${threshold}% of ${capacity} (actual count: ${currentCount})`);
+        
+        await notifySubscribers(eventSlug, message);
+      }
+      
+      // Moving down (goal raised or sign-ups removed) re-arms the higher announcements
+      await store.setGoalNotified(eventSlug, threshold);
+    } catch (error) {
+      console.error(`Error updating goal progress for ${eventName}:`, error);
+    }
+  }
+  
+  /**
+   * Posts a countdown when an event gets within one of the COUNTDOWN_DAYS of its local start
+   * @param {string} eventName - The name of the event
+   * @param {string} eventSlug - The slug of the event
+   * @param {Object} schedule - The event's schedule
+   * @param {number|null} lastCountdownNotified - The last countdown day announced, or null if none
+   * @param {string} channelId - The channel announcements for this event go to
+   */
+  async function checkCountdown(eventName, eventSlug, schedule, lastCountdownNotified, channelId) {
+    const due = getDueCountdown(schedule.startsAt, now(), lastCountdownNotified);
+    if (!due) {
+      return;
+    }
+    
+    try {
+      const message = formatCountdownMessage(eventName, schedule, due.daysLeft);
+      
+      await slack.chat.postMessage({
+        channel: channelId,
+        ...message
+      });
+      
+      console.log(`Posted countdown for ${eventName}: starts in ${due.daysLeft} days`);
+      
+      await notifySubscribers(eventSlug, message);
+      
+      await store.setCountdownNotified(eventSlug, due.countdown);
+    } catch (error) {
+      console.error(`Error posting countdown for ${eventName}:`, error);
+    }
+  }
+  
+  /**
+   * Records a point in an event's signup history, reporting a failure without stopping the milestone check
+   * @param {string} eventName - The name of the event
+   * @param {string} eventSlug - The slug of the event
+   * @param {number} totalSignups - The event's current total signups
+   */
+  async function recordSignupSnapshot(eventName, eventSlug, totalSignups) {
+    try {
+      await store.recordSignupSnapshot(eventName, eventSlug, totalSignups);
+    } catch (error) {
+      await reportFailure(`Error recording signup snapshot for ${eventName}:`, error);
+    }
+  }
+  
+  /**
+   * Checks for milestone achievements and posts congratulatory messages
+   */
+  async function checkMilestones() {
+    // Milestones are only checked during the campaign phases that enable them
+    const campaignState = await isJobEnabled('milestones', 'milestone check');
+    if (!campaignState) {
+      return;
+    }
+    
+    // Milestones passed since the previous check are announced together, and worded as a
+    // catch-up when the bot has just started or missed checks
+    const checkStartedAt = now();
+    const catchUpGap = scheduler.getJobInterval('milestones') * CATCH_UP_INTERVALS;
+    const whileAway = lastMilestoneCheckAt === null || checkStartedAt - lastMilestoneCheckAt > catchUpGap;
+    lastMilestoneCheckAt = checkStartedAt;
+    
+    try {
+      console.log(`Checking milestones at ${checkStartedAt.toISOString()}`);
+      
+      // Fetch ALL events data, with events under an old slug counted towards the slug they were merged into
+      const [warehouseEvents, aliases] = await Promise.all([
+        warehouse.fetchAllEventsData(),
+        store.fetchEventAliases()
+      ]);
+      const allEvents = applyEventAliases(warehouseEvents, aliases);
+      
+      if (!allEvents || allEvents.length === 0) {
+        console.log('No events found for milestone checking');
+        return;
+      }
+      
+      console.log(`Processing ${allEvents.length} events for milestone checks`);
+      
+      // Load every policy, goal, region, schedule and tracking record once per check rather than once per event
+      const [policies, goals, eventRegions, schedules, trackingRecords] = await Promise.all([
+        store.fetchMilestonePolicies(),
+        fetchEventGoals(),
+        store.fetchEventRegions(),
+        fetchEventSchedules(),
+        store.fetchAllEventTracking()
+      ]);
+      
+      // Process each event
+      for (const event of allEvents) {
+        // Skip events with null or empty event name, or no slug to track them by
+        if (!event.event_name || !event.event_slug) {
+          console.log('Skipping event with no name or slug');
+          continue;
+        }
+        
+        const eventName = event.event_name;
+        const currentCount = event.total_sign_ups || 0;
+        const eventSlug = event.event_slug;
+        const policy = resolveMilestonePolicy(policies, eventSlug);
+        const capacity = goals.get(eventSlug);
+        const channelId = getEventChannel(eventSlug, eventRegions, config.regionChannels, config.slackChannel);
+        const schedule = schedules.get(eventSlug);
+        
+        // Once an event has started locally we keep tracking its count but stop announcing
+        // Events without a schedule are treated as starting with the campaign
+        const eventStart = getEventStart(schedule, campaignState.campaign);
+        const hasStarted = eventStart !== null && now() >= eventStart;
+        
+        // Skip events with no registrations
+        if (!currentCount) {
+          console.log(`Skipping ${eventName} with 0 signups`);
+          continue;
+        }
+        
+        // Check if we're already tracking this event
+        const record = trackingRecords.get(eventSlug);
+        
+        if (!record) {
+          // First time seeing this event - add to tracking without notification
+          const currentMilestone = getNextMilestone(currentCount, policy);
+          
+          try {
+            await store.insertEventTracking({
+              event_name: eventName,
+              event_slug: eventSlug,
+              last_known_count: currentCount,
+              last_milestone_notified: currentMilestone,
+              last_goal_notified: capacity ? getGoalThreshold(currentCount, capacity) : 0
+            });
+            
+            console.log(`Started tracking ${eventName} with ${currentCount} signups (milestone: ${currentMilestone}, slug: ${eventSlug})`);
+          } catch (insertError) {
+            console.error(`Error adding event ${eventName} to tracking:`, insertError);
+            continue;
+          }
+          
+          await recordSignupSnapshot(eventName, eventSlug, currentCount);
+        } else {
+          // We're already tracking this event
+          const lastKnownCount = record.last_known_count;
+          let lastMilestoneNotified = record.last_milestone_notified;
+          
+          // Only write history when the count actually moved
+          if (currentCount !== lastKnownCount) {
+            await recordSignupSnapshot(eventName, eventSlug, currentCount);
+          }
+          
+          // Determine the current milestone
+          const currentMilestone = getNextMilestone(currentCount, policy);
+          
+          // Dedupes and deleted sign-ups can drop a count below milestones already announced
+          if (currentCount < lastKnownCount) {
+            console.log(`${eventName} dropped from ${lastKnownCount} to ${currentCount} signups (on_decrease: ${policy.on_decrease})`);
+            
+            if (policy.on_decrease === 'rearm' && currentMilestone < lastMilestoneNotified) {
+              try {
+                await store.rearmMilestone(eventSlug, currentMilestone);
+                console.log(`Re-armed milestones above ${currentMilestone} for ${eventName} (was ${lastMilestoneNotified})`);
+                lastMilestoneNotified = currentMilestone;
+              } catch (updateError) {
+                console.error(`Error re-arming milestones for ${eventName}:`, updateError);
+              }
+            }
+          }
+          
+          // Check if we've crossed a new milestone threshold
+          const crossedNewMilestone = currentMilestone > lastMilestoneNotified;
+          
+          // Past the large threshold, only notify if the milestone clears the growth gate (20% by default)
+          // Explicit milestone lists are already curated, so the gate doesn't apply to them
+          const usesExplicitList = policy.milestones && policy.milestones.length > 0;
+          let shouldNotify = crossedNewMilestone;
+          if (!usesExplicitList && lastMilestoneNotified >= policy.large_threshold && crossedNewMilestone) {
+            shouldNotify = currentMilestone >= lastMilestoneNotified * policy.growth_gate;
+            if (!shouldNotify) {
+              console.log(`Holding back ${currentMilestone} for ${eventName}: below the growth gate of ${lastMilestoneNotified * policy.growth_gate}`);
+            }
+          }
+          
+          // Every milestone passed since the last announced one, so downtime, a bulk import or the
+          // growth gate holding some back at earlier checks doesn't hide any
+          // Milestones below the policy's min_count are never announced, so crossing only those just updates the count
+          const passed = shouldNotify
+            ? getMilestonesBetween(lastMilestoneNotified, currentMilestone, policy).filter(milestone => milestone >= policy.min_count)
+            : [];
+          
+          // Notify if we crossed a milestone
+          if (passed.length > 0 && !hasStarted) {
+            try {
+              // Milestones the last known count had already reached were held back rather than just passed
+              const heldBack = passed.some(milestone => milestone <= lastKnownCount);
+              
+              // Post the milestone message with the milestone value, not the current count
+              const message = passed.length > 1
+                ? formatMilestoneCatchUpMessage(eventName, passed, currentCount, capacity, heldBack ? 'held' : (whileAway ? 'away' : 'import'))
+                : formatMilestoneMessage(eventName, currentMilestone, currentCount, capacity);
+              
+              // Organizers following this event also get it in their DMs
+              const subscribers = await store.fetchEventSubscribers(eventSlug);
+              const messages = [channelId, ...subscribers].map(channel => ({ channel, message }));
+              
+              // The tracking update and the queued posts commit together, then deliverOutbox sends them
+              const queued = await store.enqueueMilestone({
+                eventName,
+                eventSlug,
+                count: currentCount,
+                previousMilestone: lastMilestoneNotified,
+                milestone: currentMilestone,
+                messages
+              });
+              
+              if (queued) {
+                console.log(`Queued milestone for ${eventName} to ${channelId}: reached ${passed.length > 1 ? passed.join(', ') : currentMilestone} signups milestone (actual count: ${currentCount})`);
+              } else {
+                console.log(`Skipping milestone for ${eventName} - already recorded by another check`);
+              }
+            } catch (updateError) {
+              await reportFailure(`Error updating milestone for ${eventName}:`, updateError);
+            }
+          } else if (currentCount !== lastKnownCount || record.event_name !== eventName) {
+            try {
+              // Just update the count, and the name if the event was renamed
+              if (record.event_name !== eventName) {
+                console.log(`${record.event_name} was renamed to ${eventName} (slug: ${eventSlug})`);
+              }
+              await store.updateEventCount(eventSlug, eventName, currentCount);
+            } catch (updateError) {
+              console.error(`Error updating count for ${eventName}:`, updateError);
+            }
+          }
+          
+          // Announce 50%, 90% and sold out for events with a goal
+          if (capacity && !hasStarted) {
+            await checkGoalProgress(eventName, eventSlug, currentCount, capacity, record.last_goal_notified, channelId);
+          }
+          
+          // Count down to the event's local start
+          if (schedule && !hasStarted) {
+            await checkCountdown(eventName, eventSlug, schedule, record.last_countdown_notified, channelId);
+          }
+        }
+      }
+    } catch (error) {
+      await reportFailure('Error checking milestones:', error);
+    }
+    
+    // Send what this check queued straight away rather than waiting for the outbox job
+    await deliverOutbox();
+  }
+  
+  /**
+   * Looks in Slack for a post an earlier attempt at an outbox row made but didn't record,
+   * e.g. because the process died before markOutboxSent
+   * If Slack can't be asked (e.g. a missing history scope), the row is treated as not posted
+   * @param {Object} row - The claimed outbox row
+   * @param {string|null} threadTs - The thread the row is posted in, if any
+   * @returns {Promise<string|null>} The earlier post's ts, or null if there isn't one
+   */
+  async function findEarlierOutboxPost(row, threadTs) {
+    try {
+      // Posts to a user ID land in the bot's DM with them, whose history is read by its channel ID
+      const channel = /^[UW]/.test(row.channel_id)
+        ? (await slack.conversations.open({ users: row.channel_id })).channel.id
+        : row.channel_id;
+      const oldest = String(new Date(row.created_at).getTime() / 1000);
+      const { messages = [] } = threadTs
+        ? await slack.conversations.replies({ channel, ts: threadTs, oldest, include_all_metadata: true, limit: 200 })
+        : await slack.conversations.history({ channel, oldest, include_all_metadata: true, limit: 200 });
+      return findOutboxPost(messages, row);
+    } catch (error) {
+      console.error(`Error checking for an earlier post of outbox row ${row.id}, sending it:`, error);
+      return null;
+    }
+  }
+  
+  /**
+   * Records an outbox row as sent, retrying a failed write so the row isn't posted again once its claim lapses
+   * @param {Object} row - The outbox row
+   * @param {string} ts - The ts Slack returned for the message
+   * @param {string|null} threadTs - The thread the message was posted in, if any
+   */
+  async function recordOutboxSent(row, ts, threadTs) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        await store.markOutboxSent(row.id, ts, threadTs);
+        return;
+      } catch (error) {
+        const delay = OUTBOX_SENT_RETRY_DELAYS_MS[attempt];
+        if (delay === undefined) {
+          throw error;
+        }
+        console.error(`Error marking outbox row ${row.id} as sent, retrying in ${delay}ms:`, error.message);
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  }
+  
+  /**
+   * Sends queued milestone announcements, retrying failed sends with backoff
+   * Safe to run from several replicas at once since each row is claimed before it's sent
+   */
+  async function deliverOutbox() {
+    let rows;
+    try {
+      rows = await store.claimOutbox(workerId, OUTBOX_BATCH_SIZE, OUTBOX_LEASE_SECONDS);
+    } catch (error) {
+      await reportFailure('Error claiming outbox messages:', error);
+      return;
+    }
+    
+    for (const row of rows) {
+      let result;
+      let threadTs;
+      try {
+        // Later milestones reply in the thread of the event's first one, and still show in the channel
+        threadTs = await store.fetchMilestoneThread(row.event_slug, row.channel_id);
+        // A row claimed before may already have been posted by a worker that couldn't record it
+        const earlierTs = row.attempts > 1 ? await findEarlierOutboxPost(row, threadTs) : null;
+        if (earlierTs) {
+          console.log(`Outbox row ${row.id} was already posted (ts: ${earlierTs}), not sending it again`);
+          result = { ts: earlierTs };
+        } else {
+          result = await slack.chat.postMessage({
+            channel: row.channel_id,
+            ...row.message,
+            ...(threadTs ? { thread_ts: threadTs, reply_broadcast: true } : {}),
+            metadata: formatOutboxMetadata(row)
+          });
+        }
+      } catch (error) {
+        const { retry, delaySeconds } = getOutboxRetry(error, row.attempts);
+        
+        try {
+          if (retry) {
+            await store.scheduleOutboxRetry(row.id, error.message, delaySeconds);
+            console.error(`Error sending ${row.milestone} milestone for ${row.event_name} to ${row.channel_id}, retrying in ${delaySeconds}s:`, error.message);
+          } else {
+            await store.markOutboxFailed(row.id, error.message);
+            console.error(`Giving up on ${row.milestone} milestone for ${row.event_name} to ${row.channel_id} after ${row.attempts} attempts:`, error.message);
+          }
+        } catch (updateError) {
+          console.error(`Error updating outbox row ${row.id}:`, updateError);
+        }
+        continue;
+      }
+      
+      try {
+        await recordOutboxSent(row, result.ts, threadTs);
+        console.log(`Sent ${row.milestone} milestone for ${row.event_name} to ${row.channel_id} (ts: ${result.ts})`);
+      } catch (error) {
+        // The post went out, so the claim is left to lapse and the next attempt finds the post in Slack
+        await reportFailure(`Error marking outbox row ${row.id} as sent:`, error);
+      }
+    }
+  }
+  
+  /**
+   * Reports events with no new sign-ups for config.stallDays to the core team channel, and if
+   * config.stallNudges is on, sends their organizers a nudge with promotion tips
+   */
+  async function checkStalledEvents() {
+    const campaignState = await isJobEnabled('stalls', 'stalled event check');
+    if (!campaignState) {
+      return;
+    }
+    
+    try {
+      const [trackingRecords, schedules, subscriptions, lastIncreases] = await Promise.all([
+        store.fetchAllEventTracking(),
+        fetchEventSchedules(),
+        store.fetchSubscriptions(),
+        store.fetchLastSignupIncreases()
+      ]);
+      const stalled = findStalledEvents(trackingRecords, {
+        now: now(),
+        stallDays: config.stallDays,
+        schedules,
+        campaign: campaignState.campaign,
+        lastIncreases
+      });
+      
+      if (stalled.length === 0) {
+        console.log(`No stalled events at ${now().toISOString()}`);
+        return;
+      }
+      
+      if (config.coreTeamChannel) {
+        const subscriberCounts = new Map();
+        for (const { event_slug } of subscriptions) {
+          subscriberCounts.set(event_slug, (subscriberCounts.get(event_slug) || 0) + 1);
+        }
+        
+        await slack.chat.postMessage({
+          channel: config.coreTeamChannel,
+          ...formatStallReport(stalled, config.stallDays, subscriberCounts)
+        });
+        console.log(`Reported ${stalled.length} stalled events to the core team`);
+      }
+      
+      if (!config.stallNudges) {
+        return;
+      }
+      
+      for (const event of stalled.filter(shouldNudge)) {
+        try {
+          await notifySubscribers(event.event_slug, formatStallNudge(event));
+          await store.setStallNotified(event.event_slug);
+        } catch (error) {
+          console.error(`Error nudging organizers of ${event.event_name}:`, error);
+        }
+      }
+    } catch (error) {
+      await reportFailure('Error checking for stalled events:', error);
+    }
+  }
+  
+  /**
+   * Sends each subscriber a DM summarizing their events and their rank changes
+   */
+  async function sendSubscriberDigests() {
+    if (!(await isJobEnabled('digests', 'subscriber digests'))) {
+      return;
+    }
+    
+    try {
+      const subscriptions = await store.fetchSubscriptions();
+      if (subscriptions.length === 0) {
+        return;
+      }
+      
+      const [allEvents, recentData, goals] = await Promise.all([
+        warehouse.fetchAllEventsData(),
+        warehouse.fetchLeaderboardData('24h'),
+        fetchEventGoals()
+      ]);
+      
+      const eventsBySlug = new Map(rankEventsByTotal(allEvents).map(event => [event.event_slug, event]));
+      const recentBySlug = new Map(recentData.map(row => [row.event_slug, Number(row.new_sign_ups)]));
+      
+      // Group subscriptions by user so each person gets a single DM
+      const subscriptionsByUser = new Map();
+      for (const subscription of subscriptions) {
+        if (!subscriptionsByUser.has(subscription.user_id)) {
+          subscriptionsByUser.set(subscription.user_id, []);
+        }
+        subscriptionsByUser.get(subscription.user_id).push(subscription);
+      }
+      
+      for (const [userId, userSubscriptions] of subscriptionsByUser) {
+        const rows = userSubscriptions
+          .filter(subscription => eventsBySlug.has(subscription.event_slug))
+          .map(subscription => ({
+            event: eventsBySlug.get(subscription.event_slug),
+            recentSignups: recentBySlug.get(subscription.event_slug) || 0,
+            previousRank: subscription.last_digest_rank
+          }));
+        
+        if (rows.length === 0) continue;
+        
+        try {
+          await slack.chat.postMessage({
+            channel: userId,
+            ...formatDigestMessage(rows, goals)
+          });
+          
+          // Remember today's ranks so tomorrow's digest can show movement
+          for (const { event } of rows) {
+            await store.setDigestRank(userId, event.event_slug, event.overall_rank);
+          }
+        } catch (error) {
+          console.error(`Error sending digest to ${userId}:`, error);
+        }
+      }
+      
+      console.log(`Sent daily digests to ${subscriptionsByUser.size} subscribers`);
+    } catch (error) {
+      await reportFailure('Error sending subscriber digests:', error);
+    }
+  }
+  
+  /**
+   * Posts each phase's announcement once, and the final recap when a campaign wraps up
+   */
+  async function runCampaignLifecycle() {
+    const { campaign, phase, jobs } = await getCampaignState();
+    
+    if (!campaign || campaign.announced_phase === phase) {
+      return;
+    }
+    
+    try {
+      let message = null;
+      
+      if (phase === 'wrap-up' && jobs.includes('recap')) {
+        const allEvents = await warehouse.fetchAllEventsData();
+        message = formatCampaignRecapMessage(campaign, rankEventsByTotal(allEvents));
+      } else if (CAMPAIGN_PHASES[phase].announcement) {
+        const postTimes = formatLeaderboardPostTimes(scheduler.listJobs(), config.jobTimeZone);
+        const text = CAMPAIGN_PHASES[phase].announcement(campaign, { postTimes });
+        message = {
+          blocks: [{ type: "section", text: { type: "mrkdwn", text } }],
+          text // Fallback text for notifications
+        };
+      }
+      
+      if (message) {
+        await slack.chat.postMessage({
+          channel: config.slackChannel,
+          ...message
+        });
+        console.log(`Posted ${phase} announcement for ${campaign.name}`);
+      }
+      
+      await store.setAnnouncedPhase(campaign.id, phase);
+    } catch (error) {
+      await reportFailure(`Error running lifecycle for ${campaign.name}:`, error);
+    }
+  }
+  
+  // Jobs are only scheduled once start() is called, so tests can build a bot without timers
+  const scheduler = createScheduler({
+    jobs: {
+      'morning-leaderboard': () => postLeaderboard(),
+      'evening-leaderboard': () => postLeaderboard(),
+      'weekly-digest': () => postLeaderboard(config.slackChannel, '7d'),
+      'weekly-awards': postWeeklyAwards,
+      'weekly-export': postWeeklyExport,
+      'live-leaderboard': refreshLiveLeaderboards,
+      'milestones': checkMilestones,
+      'outbox': deliverOutbox,
+      'subscriber-digests': sendSubscriberDigests,
+      'stalled-events': checkStalledEvents,
+      'campaign-lifecycle': runCampaignLifecycle
+    },
+    store,
+    timeZone: config.jobTimeZone,
+    health,
+    onError: (key, error) => alertMaintainers(`Error running job ${key}:`, error)
+  });
+  
+  const commands = createCommands({
+    warehouse,
+    store,
+    config,
+    now,
+    getCampaignState,
+    fetchEventGoals,
+    fetchEventSchedules,
+    fetchAwardBadges,
+    scheduler,
+    postLeaderboardPreview,
+    sendExport,
+    reportFailure
+  });
+  
+  const home = createHome({
+    warehouse,
+    store,
+    slack,
+    now,
+    getCampaignState,
+    fetchEventGoals,
+    timeZone: config.jobTimeZone,
+    reportFailure
+  });
+  
+  const api = createApi({
+    warehouse,
+    store,
+    config,
+    now,
+    fetchEventGoals,
+    checkHealth: health.checkHealth,
+    reportFailure
+  });
+  
+  return {
+    getCampaignState,
+    postLeaderboard,
+    refreshLiveLeaderboards,
+    checkMilestones,
+    deliverOutbox,
+    sendSubscriberDigests,
+    checkStalledEvents,
+    runCampaignLifecycle,
+    postLeaderboardPreview,
+    postWeeklyAwards,
+    postWeeklyExport,
+    startJobs: scheduler.start,
+    listJobs: scheduler.listJobs,
+    runJob: scheduler.runJob,
+    setSocketModeStatus: health.setSocketModeStatus,
+    buildCommandResponse: commands.buildCommandResponse,
+    handleSlashCommand: commands.handleSlashCommand,
+    handleLeaderboardAction: commands.handleLeaderboardAction,
+    handleAppHomeOpened: home.handleAppHomeOpened,
+    handleHomeAction: home.handleHomeAction,
+    handleHomeOptions: home.handleHomeOptions,
+    handleApiRequest: api.handleApiRequest,
+    handleHealthRequest: api.handleHealthRequest
+  };
+}
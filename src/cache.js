@@ -0,0 +1,45 @@
+/**
+ * Creates a small in-memory cache whose entries expire after a fixed time
+ * Callers that ask for a key while it's loading share that load instead of starting another,
+ * so a burst of requests or jobs that start together only query once
+ * @param {Object} options
+ * @param {number} options.ttlSeconds - How long a loaded value is reused
+ * @param {Function} [options.now] - Returns the current time
+ * @returns {Object} The cache
+ */
+export function createCache({ ttlSeconds, now = () => new Date() }) {
+  const entries = new Map();
+
+  /**
+   * Returns a cached value, loading it if it's missing or expired
+   * Values are shared between callers, so they must not be changed
+   * @param {string} key - What is being loaded, e.g. "leaderboard:12h"
+   * @param {Function} load - Loads the value
+   * @returns {Promise<*>} The value
+   */
+  async function get(key, load) {
+    const entry = entries.get(key);
+    if (entry && entry.expiresAt > now().getTime()) {
+      return entry.value;
+    }
+
+    // Drop expired entries so keys that are never asked for again don't pile up
+    for (const [cachedKey, cachedEntry] of entries) {
+      if (cachedEntry.expiresAt <= now().getTime()) {
+        entries.delete(cachedKey);
+      }
+    }
+
+    const value = load();
+    entries.set(key, { value, expiresAt: now().getTime() + ttlSeconds * 1000 });
+    try {
+      return await value;
+    } catch (error) {
+      // Don't keep serving a failed load
+      entries.delete(key);
+      throw error;
+    }
+  }
+
+  return { get };
+}
@@ -0,0 +1,132 @@
+import { formatInTimeZone } from 'date-fns-tz';
+import { DEFAULT_TIME_ZONE } from './config.js';
+
+// What the bot does in each phase of a campaign
+// jobs lists the enabled jobs; message is shown when someone runs the slash command while it's disabled
+// announcement is posted to the main channel once when the phase begins, given postTimes from formatLeaderboardPostTimes
+export const CAMPAIGN_PHASES = {
+  'pre-registration': {
+    jobs: [],
+    message: campaign => `Sign-ups for ${campaign.name} haven't opened yet. Check back once registration starts!`
+  },
+  'registration': {
+    jobs: ['leaderboard', 'milestones', 'digests', 'stalls', 'exports', 'commands'],
+    announcement: (campaign, { postTimes } = {}) => postTimes
+      ? `📣 Sign-ups for *${campaign.name}* are open! Leaderboards will be posted here at ${postTimes}.`
+      : `📣 Sign-ups for *${campaign.name}* are open! Leaderboards will be posted here during registration.`
+  },
+  'event-day': {
+    // Milestones keep running for events that haven't started in their own time zone yet
+    jobs: ['milestones'],
+    message: campaign => `${campaign.name} is happening now! Leaderboard updates are paused until it wraps up.`,
+    announcement: campaign => `🛠️ *${campaign.name}* has started! Leaderboard updates are paused while events are running, and cities that haven't kicked off yet will keep getting milestones. Good luck to every organizer!`
+  },
+  'wrap-up': {
+    jobs: ['commands', 'exports', 'recap']
+  },
+  'ended': {
+    jobs: [],
+    message: campaign => `${campaign.name} has ended. Thanks to every organizer who made it happen!`
+  }
+};
+
+// Fields of a campaign that can be changed with `/scrapyard-leaderboard campaign set`
+export const CAMPAIGN_DATE_FIELDS = ['registration_opens_at', 'event_starts_at', 'event_ends_at', 'wrap_up_ends_at'];
+
+/**
+ * Determines which phase a campaign is in
+ * @param {Object} campaign - The campaign record
+ * @param {Date} [now] - The moment to check, defaults to the current time
+ * @returns {string} A key of CAMPAIGN_PHASES
+ */
+export function getCampaignPhase(campaign, now = new Date()) {
+  if (campaign.registration_opens_at && now < new Date(campaign.registration_opens_at)) {
+    return 'pre-registration';
+  }
+  if (now < new Date(campaign.event_starts_at)) {
+    return 'registration';
+  }
+  if (now < new Date(campaign.event_ends_at)) {
+    return 'event-day';
+  }
+  if (now < new Date(campaign.wrap_up_ends_at)) {
+    return 'wrap-up';
+  }
+  return 'ended';
+}
+
+/**
+ * Finds the current campaign and its phase
+ * The current campaign is the earliest one that hasn't finished wrapping up, or else the most recent one
+ * @param {Array} campaigns - Every campaign, ordered by event start
+ * @param {Date} now - The moment to check
+ * @returns {Object} { campaign, phase, jobs }, with a null campaign if none exist
+ */
+export function resolveCampaignState(campaigns, now) {
+  const campaign = campaigns.find(c => now < new Date(c.wrap_up_ends_at)) || campaigns[campaigns.length - 1];
+  if (!campaign) {
+    return { campaign: null, phase: null, jobs: [] };
+  }
+  
+  const phase = getCampaignPhase(campaign, now);
+  // A campaign can override the jobs enabled in any phase, e.g. {"event-day": ["commands"]}
+  const jobs = (campaign.phase_jobs && campaign.phase_jobs[phase]) || CAMPAIGN_PHASES[phase].jobs;
+  
+  return { campaign, phase, jobs };
+}
+
+/**
+ * Formats the final recap posted when a campaign wraps up
+ * @param {Object} campaign - The campaign record
+ * @param {Array} rankedEvents - All events, sorted and ranked by total signups
+ * @returns {Object} A formatted Slack message
+ */
+export function formatCampaignRecapMessage(campaign, rankedEvents) {
+  const totalSignups = rankedEvents.reduce((sum, event) => sum + Number(event.total_sign_ups), 0);
+  const topEvents = rankedEvents.slice(0, 10).map(event =>
+    `${event.overall_rank}. *${event.event_name}* · ${event.total_sign_ups}:bust_in_silhouette:`
+  );
+  
+  return {
+    blocks: [
+      {
+        type: "header",
+        text: {
+          type: "plain_text",
+          text: `🏁 ${campaign.name} recap`,
+          emoji: true
+        }
+      },
+      {
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text: `*${totalSignups}* people signed up across *${rankedEvents.length}* events. Thank you to every organizer!`
+        }
+      },
+      {
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text: `*Top events by total sign-ups*\n${topEvents.join('\n') || 'No events found.'}`
+        }
+      }
+    ],
+    text: `${campaign.name} recap: ${totalSignups} sign-ups across ${rankedEvents.length} events` // Fallback text for notifications
+  };
+}
+
+/**
+ * Formats a campaign's dates and phase for display
+ * @param {Object} campaign - The campaign record
+ * @param {Date} [now] - The moment to show the phase for, defaults to the current time
+ * @param {string} [timeZone] - The IANA time zone the dates are shown in
+ * @returns {string} One mrkdwn line per campaign
+ */
+export function formatCampaignSummary(campaign, now = new Date(), timeZone = DEFAULT_TIME_ZONE) {
+  const dates = CAMPAIGN_DATE_FIELDS
+    .filter(field => campaign[field])
+    .map(field => `${field.replace(/_at$/, '').replace(/_/g, ' ')}: ${formatInTimeZone(new Date(campaign[field]), timeZone, 'MMM d, yyyy h:mm a zzz')}`)
+    .join(' · ');
+  return `• *${campaign.name}* (\`${campaign.id}\`) · _${getCampaignPhase(campaign, now)}_\n    ${dates}`;
+}
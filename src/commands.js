@@ -0,0 +1,1002 @@
+import { formatInTimeZone } from 'date-fns-tz';
+import { CAMPAIGN_PHASES, CAMPAIGN_DATE_FIELDS, getCampaignPhase, formatCampaignSummary } from './campaigns.js';
+import { DEFAULT_TIME_ZONE } from './config.js';
+import { formatGoalProgress } from './goals.js';
+import { parseExportArgs } from './exports.js';
+import { JOB_DEFINITIONS, validateCronTime, formatJobsMessage } from './jobs.js';
+import {
+  LEADERBOARD_WINDOWS,
+  DEFAULT_LEADERBOARD_WINDOW,
+  isLeaderboardSort,
+  isLeaderboardWindow,
+  formatInteractiveLeaderboard,
+  rankEventsByTotal,
+  applyEventAliases,
+  findEvents,
+  formatAllEventsMessage
+} from './leaderboard.js';
+import {
+  DEFAULT_POLICY_SLUG,
+  POLICY_FIELDS,
+  parsePolicyChanges,
+  formatMilestonePolicyMessage
+} from './milestones.js';
+import { formatRegionName } from './regions.js';
+import { buildEventSchedule, formatEventStart } from './schedules.js';
+
+/**
+ * Parses the text passed to the slash command into a subcommand
+ * @param {string} text - The raw text after `/scrapyard-leaderboard`
+ * @returns {Object} The parsed subcommand, e.g. { name: 'all', page: 2 }
+ */
+export function parseLeaderboardCommand(text) {
+  const trimmed = (text || '').trim();
+  
+  if (!trimmed) {
+    return { name: 'leaderboard', windowKey: DEFAULT_LEADERBOARD_WINDOW };
+  }
+  
+  const [first, ...rest] = trimmed.split(/\s+/);
+  const keyword = first.toLowerCase();
+  
+  if (keyword === 'help') {
+    return { name: 'help' };
+  }
+  
+  if (isLeaderboardWindow(keyword)) {
+    return { name: 'leaderboard', windowKey: keyword };
+  }
+  
+  if (keyword === 'subscribe' || keyword === 'unsubscribe') {
+    return { name: keyword, query: rest.join(' ') };
+  }
+  
+  if (keyword === 'subscriptions') {
+    return { name: 'subscriptions' };
+  }
+  
+  if (keyword === 'region') {
+    return { name: 'region', args: rest };
+  }
+  
+  if (keyword === 'schedule') {
+    return { name: 'schedule', args: rest };
+  }
+  
+  if (keyword === 'campaign') {
+    return { name: 'campaign', args: rest };
+  }
+  
+  if (keyword === 'goal') {
+    return { name: 'goal', args: rest };
+  }
+  
+  if (keyword === 'policy') {
+    return { name: 'policy', args: rest };
+  }
+  
+  if (keyword === 'reconcile') {
+    return { name: 'reconcile' };
+  }
+  
+  if (keyword === 'merge') {
+    return { name: 'merge', args: rest };
+  }
+  
+  if (keyword === 'admin') {
+    return { name: 'admin', args: rest };
+  }
+  
+  if (keyword === 'export') {
+    return { name: 'export', args: rest };
+  }
+  
+  if (keyword === 'all') {
+    const page = parseInt(rest[0], 10);
+    return { name: 'all', page: Number.isInteger(page) && page > 0 ? page : 1 };
+  }
+  
+  // Anything else is treated as an event name or slug
+  return { name: 'event', query: trimmed };
+}
+
+/**
+ * Formats the stats for a single event into a Slack message
+ * @param {Object} event - The event, with overall_rank set
+ * @param {number} recentSignups - Signups in the past 12 hours
+ * @param {number} totalEvents - The number of ranked events
+ * @param {Object|null} tracking - The event's milestone tracking record
+ * @param {number} [capacity] - The event's goal, if it has one
+ * @param {Object} [schedule] - The event's time zone and local start, if known
+ * @param {string} [timeZone] - The IANA time zone the last milestone's time is shown in
+ * @returns {Object} A formatted Slack message block
+ */
+export function formatEventMessage(event, recentSignups, totalEvents, tracking, capacity, schedule, timeZone = DEFAULT_TIME_ZONE) {
+  let milestoneText = "No milestones celebrated yet";
+  if (tracking && tracking.last_notified_at) {
+    const notifiedAt = formatInTimeZone(new Date(tracking.last_notified_at), timeZone, 'MMMM d, h:mm a zzz');
+    milestoneText = `${tracking.last_milestone_notified} signups (${notifiedAt})`;
+  }
+  
+  return {
+    blocks: [
+      {
+        type: "header",
+        text: {
+          type: "plain_text",
+          text: `📍 ${event.event_name}`,
+          emoji: true
+        }
+      },
+      {
+        type: "section",
+        fields: [
+          { type: "mrkdwn", text: `*Total sign-ups*\n${event.total_sign_ups}:bust_in_silhouette:` },
+          { type: "mrkdwn", text: `*Past 12 hours*\n${recentSignups}↑` },
+          { type: "mrkdwn", text: `*Overall rank*\n#${event.overall_rank} of ${totalEvents}` },
+          { type: "mrkdwn", text: `*Last milestone*\n${milestoneText}` },
+          { type: "mrkdwn", text: `*Goal*\n${capacity ? formatGoalProgress(event.total_sign_ups, capacity) : 'Not set'}` },
+          { type: "mrkdwn", text: `*Starts*\n${schedule ? formatEventStart(schedule) : 'Not set'}` }
+        ]
+      },
+      {
+        type: "context",
+        elements: [
+          {
+            type: "mrkdwn",
+            text: `Slug: \`${event.event_slug}\` · \`/scrapyard-leaderboard help\` for more commands`
+          }
+        ]
+      }
+    ],
+    text: `${event.event_name}: ${event.total_sign_ups} sign-ups` // Fallback text
+  };
+}
+
+/**
+ * Formats a list of events matching an ambiguous query
+ * @param {string} query - The search query
+ * @param {Array} matches - The matching events
+ * @returns {Object} A formatted Slack message block
+ */
+export function formatEventMatchesMessage(query, matches) {
+  const rows = matches.slice(0, 20).map(event =>
+    `• *${event.event_name}* · \`${event.event_slug}\` · ${event.total_sign_ups}:bust_in_silhouette:`
+  );
+  
+  if (matches.length > 20) {
+    rows.push(`…and ${matches.length - 20} more. Try a more specific name.`);
+  }
+  
+  return {
+    blocks: [
+      {
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text: `Found ${matches.length} events matching "${query}":\n${rows.join('\n')}`
+        }
+      },
+      {
+        type: "context",
+        elements: [
+          {
+            type: "mrkdwn",
+            text: "Use `/scrapyard-leaderboard <slug>` to see a single event"
+          }
+        ]
+      }
+    ],
+    text: `Found ${matches.length} events matching "${query}"` // Fallback text
+  };
+}
+
+/**
+ * Formats the events whose total differs from the count the old leaderboard query gave
+ * @param {Array} rows - Rows from fetchSignupReconciliation
+ * @returns {Object} A formatted Slack message
+ */
+export function formatReconciliationMessage(rows) {
+  if (rows.length === 0) {
+    return { text: "Every event's total matches the old leaderboard count." };
+  }
+  
+  const lines = rows.slice(0, 30).map(row => {
+    const name = row.event_name ? `*${row.event_name}*` : '_Sign-ups without a named event_';
+    const slug = row.event_slug ? ` · \`${row.event_slug}\`` : '';
+    const difference = row.total_sign_ups - row.audience_sign_ups;
+    return `• ${name}${slug} · ${row.total_sign_ups} now · ${row.audience_sign_ups} on the old leaderboard (${difference > 0 ? '+' : ''}${difference})`;
+  });
+  
+  if (rows.length > 30) {
+    lines.push(`…and ${rows.length - 30} more.`);
+  }
+  
+  return {
+    blocks: [
+      {
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text: `*${rows.length} events count differently from the old leaderboard query*\n${lines.join('\n')}`
+        }
+      },
+      {
+        type: "context",
+        elements: [
+          {
+            type: "mrkdwn",
+            text: "Totals now count every sign-up for a named event. The old leaderboard only counted people in `loops.audience` and also listed sign-ups without an event"
+          }
+        ]
+      }
+    ],
+    text: `${rows.length} events count differently from the old leaderboard query` // Fallback text
+  };
+}
+
+/**
+ * Formats the help text for the slash command
+ * @returns {Object} A formatted Slack message block
+ */
+export function formatHelpMessage() {
+  const commands = [
+    "`/scrapyard-leaderboard` · Every event with new sign-ups in the past 12 hours, with page and sort controls",
+    "`/scrapyard-leaderboard 24h|7d|launch` · The same leaderboard for another window",
+    "`/scrapyard-leaderboard <event name or slug>` · Stats for a single event, e.g. `austin`",
+    "`/scrapyard-leaderboard all [page]` · Every event ranked by total sign-ups",
+    "`/scrapyard-leaderboard subscribe <event>` · Get DMs about an event's milestones and a daily digest",
+    "`/scrapyard-leaderboard unsubscribe <event>` · Stop getting DMs about an event",
+    "`/scrapyard-leaderboard subscriptions` · List the events you're subscribed to",
+    "`/scrapyard-leaderboard export csv|json [<from> [<to>]]` · DM yourself every event's totals, ranks and milestones as a file, with sign-ups between two dates (YYYY-MM-DD)",
+    "`/scrapyard-leaderboard policy [slug|default]` · View or change milestone policies (admins only)",
+    "`/scrapyard-leaderboard goal <slug> <capacity|clear>` · Set an event's sign-up goal (admins only)",
+    "`/scrapyard-leaderboard region [<slug> <region|clear>]` · List regions or set an event's region (admins only)",
+    "`/scrapyard-leaderboard schedule <slug> <time zone> <local start>` · Set an event's local start time (admins only)",
+    "`/scrapyard-leaderboard campaign` · View or change campaigns and their dates (admins only)",
+    "`/scrapyard-leaderboard merge [<old slug> <new slug>]` · List merged events or carry an event's history over to a new slug (admins only)",
+    "`/scrapyard-leaderboard admin [jobs|pause|resume|run|schedule|preview]` · List, pause, reschedule or run the bot's jobs and preview the leaderboard (admins only)",
+    "`/scrapyard-leaderboard reconcile` · List events whose totals differ from the old leaderboard count (admins only)",
+    "`/scrapyard-leaderboard help` · Show this message"
+  ];
+  
+  return {
+    blocks: [
+      {
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text: `*Scrapyard Leaderboard commands*\n${commands.join('\n')}`
+        }
+      }
+    ],
+    text: "Scrapyard Leaderboard commands" // Fallback text
+  };
+}
+
+/**
+ * Reads the leaderboard state stored in an interactive element's value
+ * @param {string} value - The JSON value of the clicked button or chosen option
+ * @returns {Object} The window, sort and page to show, with anything unreadable reset to its default
+ */
+export function parseLeaderboardState(value) {
+  let state = {};
+  try {
+    state = JSON.parse(value) || {};
+  } catch {
+    // Fall back to the default view
+  }
+  
+  const page = Number(state.page);
+  return {
+    windowKey: isLeaderboardWindow(state.windowKey) ? state.windowKey : DEFAULT_LEADERBOARD_WINDOW,
+    sortKey: isLeaderboardSort(state.sortKey) ? state.sortKey : 'new',
+    page: Number.isInteger(page) && page > 0 ? page : 1
+  };
+}
+
+/**
+ * Creates the slash command handlers
+ * @param {Object} deps - The bot's dependencies
+ * @param {Object} deps.warehouse - The warehouse queries from createWarehouse
+ * @param {Object} deps.store - The milestone database queries from createStore
+ * @param {Object} deps.config - The bot configuration from loadConfig
+ * @param {Function} deps.now - Returns the current time
+ * @param {Function} deps.getCampaignState - Resolves the current campaign and phase
+ * @param {Function} deps.fetchEventGoals - Returns sign-up goals keyed by event slug
+ * @param {Function} deps.fetchEventSchedules - Returns schedules keyed by event slug
+ * @param {Function} deps.fetchAwardBadges - Returns award emojis keyed by event slug
+ * @param {Object} deps.scheduler - The job scheduler from createScheduler
+ * @param {Function} deps.postLeaderboardPreview - Posts a preview of the scheduled leaderboard to a channel
+ * @param {Function} deps.sendExport - Uploads an export of every event to a user's DMs
+ * @param {Function} deps.reportFailure - Logs a failed command or action and alerts the maintainers
+ * @returns {Object} The command and interaction handlers
+ */
+export function createCommands({
+  warehouse,
+  store,
+  config,
+  now,
+  getCampaignState,
+  fetchEventGoals,
+  fetchEventSchedules,
+  fetchAwardBadges,
+  scheduler,
+  postLeaderboardPreview,
+  sendExport,
+  reportFailure
+}) {
+  /**
+   * Checks whether a Slack user may run admin commands
+   * @param {string} userId - The Slack user ID
+   * @returns {boolean} True if the user is listed in ADMIN_USER_IDS
+   */
+  function isAdmin(userId) {
+    return config.adminUserIds.includes(userId);
+  }
+  
+  /**
+   * Handles `/scrapyard-leaderboard schedule <slug> <time zone> <local start>|clear`
+   * @param {Array<string>} args - The words after `schedule`
+   * @param {string} userId - The Slack user running the command
+   * @returns {Promise<Object>} A formatted Slack message
+   */
+  async function handleScheduleCommand(args, userId) {
+    if (!isAdmin(userId)) {
+      return { text: "Sorry, only bot admins can change event schedules." };
+    }
+    
+    const [slugArg, timeZone, startsAtLocal] = args;
+    const usage = "Usage: `/scrapyard-leaderboard schedule <slug> <time zone> <local start>`, e.g. `schedule tokyo Asia/Tokyo 2025-03-15T10:00`";
+    
+    if (!slugArg || !timeZone) {
+      return { text: usage };
+    }
+    
+    const eventSlug = slugArg.toLowerCase();
+    
+    if (timeZone === 'clear') {
+      await store.deleteEventSchedule(eventSlug);
+      console.log(`Schedule for ${eventSlug} cleared by ${userId}`);
+      return { text: `Cleared the stored schedule for \`${eventSlug}\`. The warehouse schedule will be used if it has one.` };
+    }
+    
+    const schedule = buildEventSchedule(timeZone, startsAtLocal);
+    if (!schedule) {
+      return { text: `Couldn't read that time zone or start time. ${usage}` };
+    }
+    
+    await store.saveEventSchedule(eventSlug, timeZone, startsAtLocal, userId);
+    console.log(`Schedule for ${eventSlug} set to ${startsAtLocal} ${timeZone} by ${userId}`);
+    
+    return { text: `\`${eventSlug}\` starts ${formatEventStart(schedule)}.` };
+  }
+  
+  /**
+   * Handles `/scrapyard-leaderboard campaign [set <id> field=value ... [name=...]|delete <id>]`
+   * @param {Array<string>} args - The words after `campaign`
+   * @param {string} userId - The Slack user running the command
+   * @returns {Promise<Object>} A formatted Slack message
+   */
+  async function handleCampaignCommand(args, userId) {
+    if (!isAdmin(userId)) {
+      return { text: "Sorry, only bot admins can manage campaigns." };
+    }
+    
+    const [action, id, ...fieldArgs] = args;
+    
+    if (action === 'set' && id) {
+      const changes = {};
+      
+      for (let i = 0; i < fieldArgs.length; i++) {
+        const [field, ...valueParts] = fieldArgs[i].split('=');
+        const value = valueParts.join('=');
+        
+        // The name may contain spaces, so it takes the rest of the command
+        if (field === 'name') {
+          changes.name = [value, ...fieldArgs.slice(i + 1)].join(' ').trim();
+          break;
+        }
+        
+        if (!CAMPAIGN_DATE_FIELDS.includes(field)) {
+          return { text: `Unknown field \`${field}\`. Use \`name\` or one of: ${CAMPAIGN_DATE_FIELDS.map(f => `\`${f}\``).join(', ')}` };
+        }
+        
+        const date = new Date(value);
+        if (Number.isNaN(date.getTime())) {
+          return { text: `\`${field}\` must be an ISO date, e.g. \`${field}=2026-03-15T00:00:00Z\`` };
+        }
+        changes[field] = date;
+      }
+      
+      const existing = await store.fetchCampaign(id);
+      const campaign = { name: id, ...existing, ...changes };
+      
+      if (!campaign.event_starts_at || !campaign.event_ends_at || !campaign.wrap_up_ends_at) {
+        return { text: "A new campaign needs `event_starts_at`, `event_ends_at` and `wrap_up_ends_at`." };
+      }
+      
+      await store.saveCampaign(id, campaign);
+      console.log(`Campaign ${id} updated by ${userId}: ${JSON.stringify(changes)}`);
+    } else if (action === 'delete' && id) {
+      await store.deleteCampaign(id);
+      console.log(`Campaign ${id} deleted by ${userId}`);
+    } else if (action) {
+      return { text: "Usage: `/scrapyard-leaderboard campaign [set <id> field=value ... [name=...]|delete <id>]`" };
+    }
+    
+    const [campaigns, { campaign: current }] = await Promise.all([store.fetchCampaigns(), getCampaignState()]);
+    const currentText = current
+      ? `Current campaign: *${current.name}* (${getCampaignPhase(current, now())})`
+      : "There is no current campaign.";
+    
+    return {
+      text: `${currentText}\n${campaigns.map(campaign => formatCampaignSummary(campaign, now(), config.jobTimeZone)).join('\n') || 'No campaigns yet.'}`
+    };
+  }
+  
+  /**
+   * Handles `/scrapyard-leaderboard region [<slug> <region|clear>]`
+   * @param {Array<string>} args - The words after `region`
+   * @param {string} userId - The Slack user running the command
+   * @returns {Promise<Object>} A formatted Slack message
+   */
+  async function handleRegionCommand(args, userId) {
+    if (!isAdmin(userId)) {
+      return { text: "Sorry, only bot admins can change event regions." };
+    }
+    
+    const { regionChannels } = config;
+    const [slugArg, regionArg] = args;
+    
+    if (!slugArg) {
+      const eventRegions = await store.fetchEventRegions();
+      const rows = [...regionChannels].map(([region, channelId]) => {
+        const count = [...eventRegions.values()].filter(eventRegion => eventRegion === region).length;
+        return `• *${formatRegionName(region)}* (\`${region}\`) → <#${channelId}> · ${count} events`;
+      });
+      return {
+        text: rows.length > 0
+          ? `*Regional channels*\n${rows.join('\n')}`
+          : "No regional channels are configured. Set `REGION_CHANNELS` to add some."
+      };
+    }
+    
+    if (!regionArg) {
+      return { text: "Usage: `/scrapyard-leaderboard region <slug> <region|clear>`" };
+    }
+    
+    const eventSlug = slugArg.toLowerCase();
+    const region = regionArg.toLowerCase();
+    
+    if (region === 'clear') {
+      await store.deleteEventRegion(eventSlug);
+      console.log(`Region for ${eventSlug} cleared by ${userId}`);
+      return { text: `\`${eventSlug}\` no longer belongs to a region. Its announcements will go to the main channel.` };
+    }
+    
+    if (!regionChannels.has(region)) {
+      return { text: `Unknown region \`${region}\`. Configured regions: ${[...regionChannels.keys()].map(r => `\`${r}\``).join(', ') || 'none'}` };
+    }
+    
+    await store.saveEventRegion(eventSlug, region, userId);
+    console.log(`Region for ${eventSlug} set to ${region} by ${userId}`);
+    
+    return { text: `\`${eventSlug}\` is now in *${formatRegionName(region)}*. Its milestones will be posted to <#${regionChannels.get(region)}>.` };
+  }
+  
+  /**
+   * Handles `/scrapyard-leaderboard policy [slug|default] [set field=value ...|reset]`
+   * @param {Array<string>} args - The words after `policy`
+   * @param {string} userId - The Slack user running the command
+   * @returns {Promise<Object>} A formatted Slack message
+   */
+  async function handlePolicyCommand(args, userId) {
+    if (!isAdmin(userId)) {
+      return { text: "Sorry, only bot admins can view or change milestone policies." };
+    }
+    
+    const [slugArg, action, ...changeArgs] = args;
+    const eventSlug = (slugArg || DEFAULT_POLICY_SLUG).toLowerCase();
+    
+    if (action === 'set') {
+      const { changes, error } = parsePolicyChanges(changeArgs);
+      if (error) {
+        return { text: error };
+      }
+      
+      // Fields that aren't being changed keep their current override, or stay inherited
+      const existing = (await store.fetchMilestonePolicies()).get(eventSlug) || {};
+      const row = {};
+      for (const field of POLICY_FIELDS) {
+        row[field] = field in changes ? changes[field] : (existing[field] ?? null);
+      }
+      
+      await store.saveMilestonePolicy(eventSlug, row, userId);
+      console.log(`Milestone policy for ${eventSlug} changed by ${userId}: ${JSON.stringify(changes)}`);
+    } else if (action === 'reset') {
+      await store.deleteMilestonePolicy(eventSlug);
+      console.log(`Milestone policy for ${eventSlug} reset by ${userId}`);
+    } else if (action) {
+      return { text: "Usage: `/scrapyard-leaderboard policy [slug|default] [set field=value ...|reset]`" };
+    }
+    
+    const policies = await store.fetchMilestonePolicies();
+    return formatMilestonePolicyMessage(eventSlug, policies, config.jobTimeZone);
+  }
+  
+  /**
+   * Handles `/scrapyard-leaderboard goal <slug> [capacity|clear]`
+   * @param {Array<string>} args - The words after `goal`
+   * @param {string} userId - The Slack user running the command
+   * @returns {Promise<Object>} A formatted Slack message
+   */
+  async function handleGoalCommand(args, userId) {
+    if (!isAdmin(userId)) {
+      return { text: "Sorry, only bot admins can change event goals." };
+    }
+    
+    const [slugArg, value] = args;
+    if (!slugArg || !value) {
+      return { text: "Usage: `/scrapyard-leaderboard goal <slug> <capacity|clear>`" };
+    }
+    
+    const eventSlug = slugArg.toLowerCase();
+    
+    if (value === 'clear') {
+      await store.deleteEventGoal(eventSlug);
+      console.log(`Goal for ${eventSlug} cleared by ${userId}`);
+      return { text: `Cleared the stored goal for \`${eventSlug}\`. The warehouse capacity will be used if it has one.` };
+    }
+    
+    const capacity = Number(value);
+    if (!Number.isInteger(capacity) || capacity <= 0) {
+      return { text: "The goal must be a whole number above 0, e.g. `/scrapyard-leaderboard goal austin 120`" };
+    }
+    
+    await store.saveEventGoal(eventSlug, capacity, userId);
+    console.log(`Goal for ${eventSlug} set to ${capacity} by ${userId}`);
+    
+    return { text: `Set the goal for \`${eventSlug}\` to ${capacity} sign-ups.` };
+  }
+  
+  /**
+   * Handles `/scrapyard-leaderboard subscribe|unsubscribe <event name or slug>`
+   * @param {string} action - Either 'subscribe' or 'unsubscribe'
+   * @param {string} query - The event name or slug
+   * @param {string} userId - The Slack user running the command
+   * @returns {Promise<Object>} A formatted Slack message
+   */
+  async function handleSubscriptionCommand(action, query, userId) {
+    if (!query) {
+      return { text: `Usage: \`/scrapyard-leaderboard ${action} <event name or slug>\`` };
+    }
+    
+    const allEvents = await warehouse.fetchAllEventsData();
+    const matches = findEvents(allEvents, await resolveEventAlias(query));
+    
+    if (matches.length === 0) {
+      return { text: `No events found matching "${query}". Try \`/scrapyard-leaderboard all\` to see every event.` };
+    }
+    
+    if (matches.length > 1) {
+      return formatEventMatchesMessage(query, matches);
+    }
+    
+    const event = matches[0];
+    
+    if (action === 'subscribe') {
+      await store.addSubscription(userId, event.event_slug);
+      console.log(`${userId} subscribed to ${event.event_slug}`);
+      return { text: `You'll now get DMs about *${event.event_name}*: milestones, goal progress and a daily digest with its rank.` };
+    }
+    
+    await store.removeSubscription(userId, event.event_slug);
+    console.log(`${userId} unsubscribed from ${event.event_slug}`);
+    return { text: `You won't get DMs about *${event.event_name}* anymore.` };
+  }
+  
+  /**
+   * Lists the events a user is subscribed to
+   * @param {string} userId - The Slack user running the command
+   * @returns {Promise<Object>} A formatted Slack message
+   */
+  async function handleSubscriptionsListCommand(userId) {
+    const eventSlugs = await store.fetchUserSubscriptions(userId);
+    
+    if (eventSlugs.length === 0) {
+      return { text: "You aren't subscribed to any events. Use `/scrapyard-leaderboard subscribe <event>` to follow one." };
+    }
+    
+    const slugs = eventSlugs.map(slug => `\`${slug}\``).join(', ');
+    return { text: `You're subscribed to: ${slugs}` };
+  }
+  
+  /**
+   * Handles `/scrapyard-leaderboard admin [jobs|pause|resume|run|schedule|preview] ...`
+   * @param {Array<string>} args - The words after `admin`
+   * @param {string} userId - The Slack user running the command
+   * @returns {Promise<Object>} A formatted Slack message
+   */
+  async function handleAdminCommand(args, userId) {
+    if (!isAdmin(userId)) {
+      return { text: "Sorry, only bot admins can manage the bot's jobs." };
+    }
+    
+    const [subcommand = 'jobs', jobArg, ...rest] = args;
+    const action = subcommand.toLowerCase();
+    const jobKeys = Object.keys(JOB_DEFINITIONS);
+    const usage = "Usage: `/scrapyard-leaderboard admin [jobs|pause <job>|resume <job>|run <job>|schedule <job> <cron time>|reset|preview [window]]`";
+    
+    if (action === 'jobs') {
+      return formatJobsMessage(scheduler.listJobs(), config.jobTimeZone);
+    }
+    
+    if (action === 'preview') {
+      const windowKey = (jobArg || DEFAULT_LEADERBOARD_WINDOW).toLowerCase();
+      if (!config.testChannel) {
+        return { text: "There's no test channel to post previews in. Set `TEST_SLACK_CHANNEL` first." };
+      }
+      if (!isLeaderboardWindow(windowKey)) {
+        return { text: `Unknown window "${windowKey}". Use one of: ${Object.keys(LEADERBOARD_WINDOWS).join(', ')}` };
+      }
+      
+      await postLeaderboardPreview(config.testChannel, windowKey);
+      return { text: `Posted a preview of the ${windowKey} leaderboard to <#${config.testChannel}>.` };
+    }
+    
+    if (!['pause', 'resume', 'run', 'schedule'].includes(action)) {
+      return { text: usage };
+    }
+    
+    const jobKey = (jobArg || '').toLowerCase();
+    if (!JOB_DEFINITIONS[jobKey]) {
+      return { text: `Unknown job "${jobArg || ''}". Jobs: ${jobKeys.map(key => `\`${key}\``).join(', ')}` };
+    }
+    const { label } = JOB_DEFINITIONS[jobKey];
+    
+    if (action === 'pause' || action === 'resume') {
+      await scheduler.setJobPaused(jobKey, action === 'pause', userId);
+      return { text: `${action === 'pause' ? 'Paused' : 'Resumed'} *${label}* (\`${jobKey}\`).` };
+    }
+    
+    if (action === 'run') {
+      const startedAt = now();
+      console.log(`${userId} ran job ${jobKey} on demand`);
+      await scheduler.runJob(jobKey);
+      const seconds = ((now() - startedAt) / 1000).toFixed(1);
+      return { text: `Ran *${label}* (\`${jobKey}\`) in ${seconds}s. Like a scheduled run, it does nothing in campaign phases that turn it off.` };
+    }
+    
+    // A cron time has spaces in it, so it's the rest of the command
+    const cronTime = rest.join(' ');
+    if (!cronTime) {
+      return { text: `Usage: \`/scrapyard-leaderboard admin schedule ${jobKey} <cron time>|reset\`, e.g. \`0 0 7 * * *\` for 7am every day` };
+    }
+    
+    if (cronTime.toLowerCase() === 'reset') {
+      await scheduler.setJobTime(jobKey, null, userId);
+      return { text: `*${label}* (\`${jobKey}\`) runs at its default time, \`${JOB_DEFINITIONS[jobKey].cronTime}\`, again.` };
+    }
+    
+    const error = validateCronTime(cronTime, config.jobTimeZone);
+    if (error) {
+      return { text: `\`${cronTime}\` isn't a valid cron time: ${error}` };
+    }
+    
+    await scheduler.setJobTime(jobKey, cronTime, userId);
+    const job = scheduler.listJobs().find(j => j.key === jobKey);
+    const next = job.paused ? "It's paused, so it won't run until it's resumed." : `Next run: ${formatInTimeZone(job.nextRun, config.jobTimeZone, 'EEE MMM d, h:mm:ss a zzz')}.`;
+    return { text: `*${label}* (\`${jobKey}\`) now runs at \`${cronTime}\` (${config.jobTimeZone}). ${next}` };
+  }
+  
+  /**
+   * Handles `/scrapyard-leaderboard export csv|json [<from date> [<to date>]]`
+   * @param {Array<string>} args - The words after `export`
+   * @param {string} userId - The Slack user running the command
+   * @returns {Promise<Object>} A formatted Slack message
+   */
+  async function handleExportCommand(args, userId) {
+    const parsed = parseExportArgs(args, config.jobTimeZone);
+    if (parsed.error) {
+      return { text: parsed.error };
+    }
+    
+    const { filename, rowCount } = await sendExport(userId, parsed.format, parsed.range);
+    return { text: `Sent \`${filename}\` with ${rowCount} event${rowCount === 1 ? '' : 's'} to your DMs.` };
+  }
+  
+  /**
+   * Swaps an old slug for the slug its event was merged into, so lookups by the old slug still work
+   * @param {string} query - The event name or slug the user typed
+   * @param {Map} [aliases] - Aliases already fetched with fetchEventAliases, fetched here if not given
+   * @returns {Promise<string>} The slug the query is an alias of, or the query itself
+   */
+  async function resolveEventAlias(query, aliases = null) {
+    const known = aliases || await store.fetchEventAliases();
+    return known.get(query.trim().toLowerCase()) || query;
+  }
+  
+  /**
+   * Handles `/scrapyard-leaderboard merge [<old slug> <new slug>]`
+   * @param {Array<string>} args - The words after `merge`
+   * @param {string} userId - The Slack user who ran the command
+   * @returns {Promise<Object>} A Slack message
+   */
+  async function handleMergeCommand(args, userId) {
+    if (!isAdmin(userId)) {
+      return { text: "Sorry, only bot admins can merge events." };
+    }
+    
+    const usage = "Usage: `/scrapyard-leaderboard merge <old slug> <new slug>`, e.g. `merge sf san-francisco` after an event's slug changed";
+    const aliases = await store.fetchEventAliases();
+    
+    if (args.length === 0) {
+      if (aliases.size === 0) {
+        return { text: `No events have been merged yet. ${usage}` };
+      }
+      
+      const lines = [...aliases].map(([alias, slug]) => `• \`${alias}\` → \`${slug}\``);
+      return { text: `*Merged events*\n${lines.join('\n')}` };
+    }
+    
+    if (args.length !== 2) {
+      return { text: usage };
+    }
+    
+    const fromSlug = args[0].toLowerCase();
+    // Merging into an old slug merges into whatever that slug now points to
+    const intoSlug = aliases.get(args[1].toLowerCase()) || args[1].toLowerCase();
+    
+    if (fromSlug === intoSlug) {
+      return { text: `\`${fromSlug}\` can't be merged into itself.` };
+    }
+    
+    const allEvents = await warehouse.fetchAllEventsData();
+    const into = allEvents.find(event => event.event_slug === intoSlug);
+    if (!into) {
+      return { text: `No event has the slug \`${intoSlug}\`. Check \`/scrapyard-leaderboard all\` for current slugs.` };
+    }
+    
+    const carriedOver = await store.mergeEvents(fromSlug, intoSlug, userId);
+    console.log(`${userId} merged ${fromSlug} into ${intoSlug}`);
+    
+    const history = carriedOver
+      ? "Its milestone history, subscribers and settings carried over"
+      : `\`${fromSlug}\` wasn't being tracked, so only its subscribers and settings (if any) carried over`;
+    return { text: `Merged \`${fromSlug}\` into *${into.event_name}* (\`${intoSlug}\`). ${history}, and any sign-ups still under \`${fromSlug}\` now count towards its milestones.` };
+  }
+  
+  /**
+   * Builds the response for a single event lookup
+   * @param {string} query - The event name or slug to look up
+   * @returns {Promise<Object>} A formatted Slack message
+   */
+  async function buildEventLookupMessage(query) {
+    const [allEvents, leaderboardData, goals, schedules, aliases] = await Promise.all([
+      warehouse.fetchAllEventsData(),
+      warehouse.fetchLeaderboardData(),
+      fetchEventGoals(),
+      fetchEventSchedules(),
+      store.fetchEventAliases()
+    ]);
+    
+    // Events still reported under an old slug count towards the slug they were merged into
+    const rankedEvents = rankEventsByTotal(applyEventAliases(allEvents, aliases));
+    const matches = findEvents(rankedEvents, await resolveEventAlias(query, aliases));
+    
+    if (matches.length === 0) {
+      return {
+        text: `No events found matching "${query}". Try \`/scrapyard-leaderboard all\` to see every event.`
+      };
+    }
+    
+    if (matches.length > 1) {
+      return formatEventMatchesMessage(query, matches);
+    }
+    
+    const event = matches[0];
+    // The leaderboard only includes events with new sign-ups, so no rows means 0
+    // Rows are matched by slug, as a renamed event's rows can still carry its old name
+    const recentSignups = leaderboardData
+      .filter(row => (aliases.get(row.event_slug) || row.event_slug) === event.event_slug)
+      .reduce((sum, row) => sum + Number(row.new_sign_ups), 0);
+    
+    let tracking = null;
+    try {
+      tracking = await store.fetchEventTracking(event.event_slug);
+    } catch (error) {
+      console.error(`Error fetching tracking record for ${event.event_name}:`, error);
+    }
+    
+    return formatEventMessage(
+      event,
+      recentSignups,
+      rankedEvents.length,
+      tracking,
+      goals.get(event.event_slug),
+      schedules.get(event.event_slug),
+      config.jobTimeZone
+    );
+  }
+  
+  /**
+   * Builds the response for a slash command invocation
+   * @param {string} text - The raw text after `/scrapyard-leaderboard`
+   * @param {string} userId - The Slack user who ran the command
+   * @returns {Promise<Object>} A formatted Slack message
+   */
+  async function buildCommandResponse(text, userId) {
+    const command = parseLeaderboardCommand(text);
+    
+    switch (command.name) {
+      case 'help':
+        return formatHelpMessage();
+      case 'all': {
+        const allEvents = await warehouse.fetchAllEventsData();
+        return formatAllEventsMessage(rankEventsByTotal(allEvents), command.page);
+      }
+      case 'event':
+        return buildEventLookupMessage(command.query);
+      case 'policy':
+        return handlePolicyCommand(command.args, userId);
+      case 'goal':
+        return handleGoalCommand(command.args, userId);
+      case 'region':
+        return handleRegionCommand(command.args, userId);
+      case 'campaign':
+        return handleCampaignCommand(command.args, userId);
+      case 'schedule':
+        return handleScheduleCommand(command.args, userId);
+      case 'merge':
+        return handleMergeCommand(command.args, userId);
+      case 'admin':
+        return handleAdminCommand(command.args, userId);
+      case 'export':
+        return handleExportCommand(command.args, userId);
+      case 'reconcile':
+        if (!isAdmin(userId)) {
+          return { text: "Sorry, only bot admins can reconcile sign-up counts." };
+        }
+        return formatReconciliationMessage(await warehouse.fetchSignupReconciliation());
+      case 'subscribe':
+      case 'unsubscribe':
+        return handleSubscriptionCommand(command.name, command.query, userId);
+      case 'subscriptions':
+        return handleSubscriptionsListCommand(userId);
+      default:
+        return buildInteractiveLeaderboard({ windowKey: command.windowKey, sortKey: 'new', page: 1 });
+    }
+  }
+  
+  /**
+   * Builds one page of the interactive leaderboard
+   * @param {Object} state - The window, sort and page to show, from parseLeaderboardState
+   * @returns {Promise<Object>} A formatted Slack message
+   */
+  async function buildInteractiveLeaderboard({ windowKey, sortKey, page }) {
+    const [data, previousBoard, goals, badges] = await Promise.all([
+      warehouse.fetchLeaderboardData(windowKey),
+      store.fetchPreviousLeaderboard(windowKey),
+      fetchEventGoals(),
+      fetchAwardBadges()
+    ]);
+    return {
+      ...formatInteractiveLeaderboard(data, { windowKey, sortKey, page, goals, previousBoard, badges }),
+      text: "Scrapyard Leaderboard Update" // Fallback text
+    };
+  }
+  
+  /**
+   * Replies with the campaign phase's message when commands are turned off in the current phase
+   * @param {Function} respond - Replies to the user who ran the command or clicked the button
+   * @returns {Promise<boolean>} True if commands are disabled and the user has been told
+   */
+  async function respondIfCommandsDisabled(respond) {
+    const { campaign, phase, jobs } = await getCampaignState();
+    if (jobs.includes('commands')) {
+      return false;
+    }
+    
+    const phaseMessage = campaign && CAMPAIGN_PHASES[phase].message;
+    await respond({
+      response_type: 'ephemeral',
+      replace_original: false,
+      text: phaseMessage ? phaseMessage(campaign) : "There's no Scrapyard campaign running right now. Leaderboard updates are not available."
+    });
+    return true;
+  }
+  
+  /**
+   * Handles an invocation of `/scrapyard-leaderboard`, as registered with app.command
+   * @param {Object} args - The Bolt listener arguments
+   * @param {Object} args.command - The slash command payload
+   * @param {Function} args.ack - Acknowledges the command
+   * @param {Function} args.respond - Replies to the user who ran the command
+   */
+  async function handleSlashCommand({ command, ack, respond }) {
+    await ack();
+    
+    // Admins can still manage campaigns and jobs outside the active phases so a new campaign can be set up
+    const isAlwaysEnabled = ['campaign', 'admin'].includes(parseLeaderboardCommand(command.text).name);
+    try {
+      if (!isAlwaysEnabled && await respondIfCommandsDisabled(respond)) {
+        return;
+      }
+      
+      // Log the user who triggered the command
+      const userId = command.user_id;
+      const username = command.user_name;
+      console.log(`Slash command "${command.text || ''}" triggered by user: ${username} (${userId}) at ${now().toISOString()}`);
+      
+      const message = await buildCommandResponse(command.text, userId);
+      
+      await respond({
+        response_type: 'ephemeral', // Only visible to the user who triggered the command
+        ...message
+      });
+    } catch (error) {
+      await reportFailure('Error handling slash command:', error);
+      await respond({
+        response_type: 'ephemeral',
+        text: "Sorry, there was an error fetching the leaderboard data."
+      });
+    }
+  }
+  
+  /**
+   * Handles a click on one of the leaderboard's buttons or menus, as registered with app.action
+   * Page and sort changes redraw the user's own leaderboard in place, while the
+   * "Browse all events" button on channel posts opens a new one only they can see
+   * @param {Object} args - The Bolt listener arguments
+   * @param {Object} args.action - The clicked element
+   * @param {Object} args.body - The interaction payload
+   * @param {Function} args.ack - Acknowledges the interaction
+   * @param {Function} args.respond - Replies through the interaction's response_url
+   */
+  async function handleLeaderboardAction({ action, body, ack, respond }) {
+    await ack();
+    
+    const userId = body.user.id;
+    // Channel posts are shared, so only ephemeral leaderboards are redrawn in place
+    const replaceOriginal = Boolean(body.container && body.container.is_ephemeral);
+    
+    try {
+      if (await respondIfCommandsDisabled(respond)) {
+        return;
+      }
+      
+      console.log(`Leaderboard action "${action.action_id}" triggered by user: ${body.user.username || body.user.name} (${userId}) at ${now().toISOString()}`);
+      
+      if (action.action_id === 'leaderboard_event') {
+        const { action: eventAction, slug } = JSON.parse(action.selected_option.value);
+        const message = eventAction === 'subscribe'
+          ? await handleSubscriptionCommand('subscribe', slug, userId)
+          : await buildEventLookupMessage(slug);
+        
+        // Keep the leaderboard open so the user can carry on browsing
+        await respond({ response_type: 'ephemeral', replace_original: false, ...message });
+        return;
+      }
+      
+      const value = action.selected_option ? action.selected_option.value : action.value;
+      const message = await buildInteractiveLeaderboard(parseLeaderboardState(value));
+      
+      await respond({ response_type: 'ephemeral', replace_original: replaceOriginal, ...message });
+    } catch (error) {
+      await reportFailure('Error handling leaderboard action:', error);
+      await respond({
+        response_type: 'ephemeral',
+        replace_original: false,
+        text: "Sorry, there was an error fetching the leaderboard data."
+      });
+    }
+  }
+  
+  return {
+    isAdmin,
+    buildCommandResponse,
+    handleSlashCommand,
+    handleLeaderboardAction
+  };
+}
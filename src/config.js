@@ -0,0 +1,65 @@
+import { parseRegionChannels } from './regions.js';
+
+// Time zone jobs run in and times are shown in, unless JOB_TIME_ZONE says otherwise
+export const DEFAULT_TIME_ZONE = 'America/New_York';
+
+/**
+ * Reads the bot's settings from environment variables
+ * @param {Object} [env] - The environment to read, defaults to process.env
+ * @returns {Object} The bot configuration
+ */
+export function loadConfig(env = process.env) {
+  return {
+    // Main channel for the global leaderboard and announcements
+    slackChannel: env.SLACK_CHANNEL,
+
+    // Slack user IDs allowed to run admin commands
+    adminUserIds: (env.ADMIN_USER_IDS || '').split(',').map(id => id.trim()).filter(Boolean),
+
+    // Channel for leaderboard previews posted with `admin preview`, or undefined if there isn't one
+    testChannel: env.TEST_SLACK_CHANNEL,
+
+    // Time zone the scheduled jobs' cron times are read in and times in messages are shown in
+    jobTimeZone: env.JOB_TIME_ZONE || DEFAULT_TIME_ZONE,
+
+    // Private channel for the core team's stalled event report, or undefined to not post it
+    coreTeamChannel: env.CORE_TEAM_CHANNEL,
+
+    // Days without new sign-ups before an event counts as stalled
+    stallDays: Number(env.STALL_DAYS) || 5,
+
+    // Whether organizers subscribed to a stalled event get a nudge with promotion tips
+    stallNudges: env.STALL_NUDGES === 'true',
+
+    // Channel the weekly CSV export is uploaded to, or undefined to not upload it
+    exportChannel: env.EXPORT_CHANNEL,
+
+    // Channel alerted when a job or warehouse query fails, or undefined to only log failures
+    maintainerChannel: env.MAINTAINER_CHANNEL,
+
+    // "json" for one structured log entry per line, or "text" for plain console output
+    logFormat: env.LOG_FORMAT === 'text' ? 'text' : 'json',
+
+    // Slack channel IDs keyed by region
+    regionChannels: parseRegionChannels(env.REGION_CHANNELS),
+
+    // How long warehouse results are shared between jobs and commands before being queried again
+    warehouseCacheSeconds: Number(env.WAREHOUSE_CACHE_SECONDS) || 30,
+
+    // Port for the read-only HTTP API and leaderboard page, or null to not serve it
+    apiPort: env.API_PORT ? Number(env.API_PORT) : null,
+
+    // Port for the GET /healthz server, which always runs
+    healthPort: Number(env.HEALTH_PORT) || 8080,
+
+    // How long API responses are reused before the warehouse is queried again
+    apiCacheSeconds: Number(env.API_CACHE_SECONDS) || 60,
+
+    // Columns of the warehouse events table read with to_jsonb, so they may be missing
+    warehouseFields: {
+      capacity: env.WAREHOUSE_CAPACITY_FIELD || 'capacity',
+      timeZone: env.WAREHOUSE_TIMEZONE_FIELD || 'time_zone',
+      start: env.WAREHOUSE_START_FIELD || 'start_time'
+    }
+  };
+}
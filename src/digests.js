@@ -0,0 +1,51 @@
+import { formatGoalProgress } from './goals.js';
+
+/**
+ * Formats a subscriber's daily digest of their events
+ * @param {Array} rows - One entry per subscribed event with event, recentSignups and previousRank
+ * @param {Map} goals - Sign-up goals keyed by event slug
+ * @returns {Object} A formatted Slack message
+ */
+export function formatDigestMessage(rows, goals) {
+  const lines = rows.map(({ event, recentSignups, previousRank }) => {
+    let movement = '';
+    if (previousRank && previousRank !== event.overall_rank) {
+      const change = previousRank - event.overall_rank;
+      movement = change > 0 ? ` ▲${change}` : ` ▼${-change}`;
+    }
+    
+    const capacity = goals.get(event.event_slug);
+    const progress = capacity ? ` · ${formatGoalProgress(event.total_sign_ups, capacity)}` : '';
+    return `• *${event.event_name}* · ${recentSignups}↑ today · ${event.total_sign_ups}:bust_in_silhouette: · #${event.overall_rank}${movement}${progress}`;
+  });
+  
+  return {
+    blocks: [
+      {
+        type: "header",
+        text: {
+          type: "plain_text",
+          text: "☀️ Your daily Scrapyard digest",
+          emoji: true
+        }
+      },
+      {
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text: lines.join('\n')
+        }
+      },
+      {
+        type: "context",
+        elements: [
+          {
+            type: "mrkdwn",
+            text: "New sign-ups in the past 24 hours↑ · Total sign-ups:bust_in_silhouette: · Overall rank (▲▼ since yesterday) · `/scrapyard-leaderboard unsubscribe <event>` to stop"
+          }
+        ]
+      }
+    ],
+    text: "Your daily Scrapyard digest" // Fallback text for notifications
+  };
+}
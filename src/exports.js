@@ -0,0 +1,204 @@
+import { formatInTimeZone, fromZonedTime } from 'date-fns-tz';
+import { rankEventsByTotal } from './leaderboard.js';
+
+export const EXPORT_FORMATS = ['csv', 'json'];
+
+// Leaderboard windows whose new sign-ups and ranks are exported, besides the totals
+export const EXPORT_WINDOWS = ['12h', '24h', '7d'];
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Checks that a string is a real calendar date, e.g. "2025-02-30" isn't
+ * @param {string} value - The date, e.g. "2025-02-14"
+ * @returns {boolean} True if it's a valid YYYY-MM-DD date
+ */
+function isValidDate(value) {
+  if (!DATE_PATTERN.test(value)) {
+    return false;
+  }
+  const date = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().startsWith(value);
+}
+
+/**
+ * Parses the arguments of `/scrapyard-leaderboard export`
+ * Dates are whole days in the given time zone, so `2025-02-01 2025-02-07` covers all of both days
+ * @param {Array<string>} args - The words after `export`, e.g. ["csv", "2025-02-01", "2025-02-07"]
+ * @param {string} timeZone - The IANA time zone the dates are read in
+ * @returns {Object} Either { format, range } with range null or { from, to } (to is null for "until now"), or { error }
+ */
+export function parseExportArgs(args, timeZone) {
+  const [formatArg, fromArg, toArg] = args;
+  const format = (formatArg || '').toLowerCase();
+  
+  if (!EXPORT_FORMATS.includes(format)) {
+    return { error: "Usage: `/scrapyard-leaderboard export csv|json [<from date> [<to date>]]`, e.g. `export csv 2025-02-01 2025-02-07`" };
+  }
+  
+  if (!fromArg) {
+    return { format, range: null };
+  }
+  
+  for (const value of [fromArg, toArg].filter(Boolean)) {
+    if (!isValidDate(value)) {
+      return { error: `\`${value}\` isn't a date. Use YYYY-MM-DD, e.g. \`2025-02-01\`` };
+    }
+  }
+  
+  const from = fromZonedTime(`${fromArg}T00:00`, timeZone);
+  let to = null;
+  if (toArg) {
+    // The end of the to date is the start of the next day
+    const nextDay = new Date(new Date(`${toArg}T00:00:00Z`).getTime() + 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    to = fromZonedTime(`${nextDay}T00:00`, timeZone);
+    if (to <= from) {
+      return { error: `The to date (${toArg}) can't be before the from date (${fromArg}).` };
+    }
+  }
+  
+  return { format, range: { from, to } };
+}
+
+/**
+ * Finds an event's total at a point in its sign-up history
+ * @param {Array} snapshots - The event's snapshots, oldest first
+ * @param {Date} time - The point in time
+ * @returns {number|null} The total from the last snapshot at or before the time, or null if the history doesn't go back that far
+ */
+function getSignupsAt(snapshots, time) {
+  const snapshot = snapshots.filter(row => new Date(row.captured_at) <= time).at(-1);
+  return snapshot ? Number(snapshot.total_sign_ups) : null;
+}
+
+/**
+ * Combines the warehouse totals, window counts and milestone tracking into one row per event
+ * @param {Object} data
+ * @param {Array} data.allEvents - Every event, from fetchAllEventsData
+ * @param {Object} data.windows - fetchLeaderboardData results keyed by EXPORT_WINDOWS entry
+ * @param {Map} data.trackingRecords - Tracking records keyed by event slug
+ * @param {Map} data.milestones - Milestone histories ({ milestone, reached_at }) keyed by event slug
+ * @param {Array} [data.snapshots] - Sign-up history from fetchAllSignupSnapshots, needed with a range
+ * @param {Object|null} [data.range] - { from, to } to export the sign-ups between, with to already resolved
+ * @returns {Array} Rows ranked by total sign-ups
+ */
+export function buildExportRows({ allEvents, windows, trackingRecords, milestones, snapshots = [], range = null }) {
+  const windowRows = new Map(EXPORT_WINDOWS.map(windowKey => [
+    windowKey,
+    new Map((windows[windowKey] || []).map(row => [row.event_slug, row]))
+  ]));
+  
+  const history = new Map();
+  for (const snapshot of snapshots) {
+    if (!history.has(snapshot.event_slug)) {
+      history.set(snapshot.event_slug, []);
+    }
+    history.get(snapshot.event_slug).push(snapshot);
+  }
+  
+  return rankEventsByTotal(allEvents).map(event => {
+    const row = {
+      rank: event.overall_rank,
+      event_name: event.event_name,
+      event_slug: event.event_slug,
+      total_sign_ups: Number(event.total_sign_ups)
+    };
+    
+    for (const windowKey of EXPORT_WINDOWS) {
+      const recent = windowRows.get(windowKey).get(event.event_slug);
+      row[`new_${windowKey}`] = recent ? Number(recent.new_sign_ups) : 0;
+      row[`rank_${windowKey}`] = recent ? recent.leaderboard_rank : null;
+    }
+    
+    if (range) {
+      const eventHistory = history.get(event.event_slug) || [];
+      const fromSignups = getSignupsAt(eventHistory, range.from);
+      const toSignups = getSignupsAt(eventHistory, range.to);
+      row.from_sign_ups = fromSignups;
+      row.to_sign_ups = toSignups;
+      row.range_sign_ups = fromSignups !== null && toSignups !== null ? toSignups - fromSignups : null;
+    }
+    
+    const tracking = trackingRecords.get(event.event_slug);
+    row.last_milestone = tracking ? tracking.last_milestone_notified : null;
+    row.milestones = (milestones.get(event.event_slug) || []).map(({ milestone, reached_at }) => ({
+      milestone,
+      reached_at: new Date(reached_at).toISOString()
+    }));
+    row.count_changed_at = tracking && tracking.last_updated_at ? new Date(tracking.last_updated_at).toISOString() : null;
+    
+    return row;
+  });
+}
+
+/**
+ * Quotes a value for a CSV cell
+ * Text starting with a formula character is prefixed with ' so spreadsheets don't run event names as formulas
+ * @param {*} value - The cell value
+ * @returns {string} The CSV cell
+ */
+function formatCsvCell(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Formats export rows as a CSV file, one line per event with milestones as "25 (date); 50 (date)"
+ * @param {Array} rows - Rows from buildExportRows
+ * @returns {string} The CSV, with a header line
+ */
+export function formatExportCsv(rows) {
+  if (rows.length === 0) {
+    return '';
+  }
+  
+  const columns = Object.keys(rows[0]);
+  const lines = rows.map(row => columns.map(column => {
+    const value = column === 'milestones'
+      ? row.milestones.map(({ milestone, reached_at }) => `${milestone} (${reached_at})`).join('; ')
+      : row[column];
+    return formatCsvCell(value);
+  }).join(','));
+  
+  return [columns.join(','), ...lines].join('\n') + '\n';
+}
+
+/**
+ * Builds the export file for upload
+ * @param {Array} rows - Rows from buildExportRows
+ * @param {Object} options
+ * @param {string} options.format - One of EXPORT_FORMATS
+ * @param {Date} options.generatedAt - When the export was made
+ * @param {Object|null} options.range - The { from, to } the export covers, if any
+ * @param {string} options.timeZone - The IANA time zone dates in the file name are shown in
+ * @returns {Object} { filename, title, content }
+ */
+export function buildExportFile(rows, { format, generatedAt, range, timeZone }) {
+  const day = date => formatInTimeZone(date, timeZone, 'yyyy-MM-dd');
+  // The range's end is exclusive, so a range ending at midnight is named after the day before
+  const lastDay = range ? new Date(range.to.getTime() - 1) : generatedAt;
+  const dates = range ? `${day(range.from)}-to-${day(lastDay)}` : day(generatedAt);
+  
+  const content = format === 'json'
+    ? JSON.stringify({
+      generated_at: generatedAt.toISOString(),
+      range: range ? { from: range.from.toISOString(), to: range.to.toISOString() } : null,
+      events: rows
+    }, null, 2)
+    : formatExportCsv(rows);
+  
+  return {
+    filename: `scrapyard-leaderboard-${dates}.${format}`,
+    title: range
+      ? `Scrapyard leaderboard export, ${day(range.from)} to ${day(lastDay)}`
+      : `Scrapyard leaderboard export, ${day(generatedAt)}`,
+    content
+  };
+}
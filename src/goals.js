@@ -0,0 +1,78 @@
+// Percent-of-goal levels that get their own announcement
+export const GOAL_THRESHOLDS = [50, 90, 100];
+
+/**
+ * Returns the percentage of an event's goal that has been reached
+ * @param {number} count - The event's total signups
+ * @param {number} capacity - The event's goal
+ * @returns {number} The whole percentage reached, e.g. 68
+ */
+export function getGoalPercent(count, capacity) {
+  return Math.floor((Number(count) / capacity) * 100);
+}
+
+/**
+ * Returns the highest entry of GOAL_THRESHOLDS an event has reached
+ * @param {number} count - The event's total signups
+ * @param {number} capacity - The event's goal
+ * @returns {number} The reached threshold, or 0 if none
+ */
+export function getGoalThreshold(count, capacity) {
+  const percent = getGoalPercent(count, capacity);
+  const reached = GOAL_THRESHOLDS.filter(threshold => percent >= threshold);
+  return reached.length > 0 ? Math.max(...reached) : 0;
+}
+
+/**
+ * Renders a text progress bar towards an event's goal
+ * @param {number} count - The event's total signups
+ * @param {number} capacity - The event's goal
+ * @returns {string} The progress bar, e.g. "▓▓▓▓░░ 68% of 120"
+ */
+export function formatGoalProgress(count, capacity) {
+  const percent = getGoalPercent(count, capacity);
+  const filled = Math.min(6, Math.round(percent / 100 * 6));
+  return `${'▓'.repeat(filled)}${'░'.repeat(6 - filled)} ${percent}% of ${capacity}`;
+}
+
+/**
+ * Formats an announcement for an event reaching a share of its goal
+ * @param {string} eventName - The name of the event
+ * @param {number} count - The event's total signups
+ * @param {number} capacity - The event's goal
+ * @param {number} threshold - The entry of GOAL_THRESHOLDS that was reached
+ * @returns {Object} A formatted Slack message
+ */
+export function formatGoalMessage(eventName, count, capacity, threshold) {
+  let message;
+  
+  if (threshold >= 100) {
+    message = `🎟️ *${eventName}* is sold out! All ${capacity} spots are taken.`;
+  } else if (threshold >= 90) {
+    message = `⏳ *${eventName}* is ${threshold}% full - only ${capacity - count} spots left!`;
+  } else {
+    message = `🏟️ *${eventName}* is halfway to filling its venue!`;
+  }
+  
+  return {
+    blocks: [
+      {
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text: message
+        }
+      },
+      {
+        type: "context",
+        elements: [
+          {
+            type: "mrkdwn",
+            text: formatGoalProgress(count, capacity)
+          }
+        ]
+      }
+    ],
+    text: `${eventName} reached ${threshold}% of its goal of ${capacity}` // Fallback text for notifications
+  };
+}
@@ -0,0 +1,144 @@
+// How long /healthz waits for each database before reporting it as down
+const PING_TIMEOUT_MS = 5000;
+
+// A failure is alerted once, then muted for this long so a job that runs every minute doesn't flood the channel
+export const ALERT_COOLDOWN_MINUTES = 30;
+
+/**
+ * Runs a connection check, failing it if it takes longer than PING_TIMEOUT_MS
+ * @param {Function} ping - Resolves once the connection answers
+ * @returns {Promise<Object>} { ok, latency_ms } or { ok: false, error }
+ */
+async function runCheck(ping) {
+  const startedAt = Date.now();
+  let timer;
+  try {
+    await Promise.race([
+      ping(),
+      new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error(`No answer after ${PING_TIMEOUT_MS / 1000}s`)), PING_TIMEOUT_MS);
+      })
+    ]);
+    return { ok: true, latency_ms: Date.now() - startedAt };
+  } catch (error) {
+    return { ok: false, error: error.message };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Formats the alert posted to the maintainer channel when a job or query fails
+ * @param {Object} failure
+ * @param {string} failure.what - What failed, e.g. a job label
+ * @param {string|null} failure.jobId - The failed run's job ID, for finding its logs
+ * @param {string} failure.message - The log message the failure was reported with
+ * @param {Error} failure.error - The error
+ * @returns {Object} A formatted Slack message
+ */
+export function formatFailureAlert({ what, jobId, message, error }) {
+  const run = jobId ? ` (run \`${jobId}\`)` : '';
+  
+  return {
+    blocks: [
+      {
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text: `🚨 *${what}* failed${run}\n${message.replace(/:$/, '')}\n\`\`\`${error.message}\`\`\``
+        }
+      },
+      {
+        type: "context",
+        elements: [
+          {
+            type: "mrkdwn",
+            text: `Nothing was posted in its place. Repeat failures are muted for ${ALERT_COOLDOWN_MINUTES} minutes; see \`/healthz\` for the current state.`
+          }
+        ]
+      }
+    ],
+    text: `${what} failed: ${error.message}` // Fallback text for notifications
+  };
+}
+
+/**
+ * Creates the bot's health tracker, which remembers how each job's last run went and the
+ * Socket Mode connection state, and checks the databases for GET /healthz
+ * @param {Object} deps
+ * @param {Object} deps.warehouse - The warehouse queries from createWarehouse
+ * @param {Object} deps.store - The milestone database queries from createStore
+ * @param {Function} deps.now - Returns the current time
+ * @returns {Object} The health tracker
+ */
+export function createHealth({ warehouse, store, now }) {
+  // Socket Mode starts out connecting until index.js hears otherwise from the receiver
+  let socketMode = 'connecting';
+  const jobs = new Map();
+  
+  /**
+   * Records the Socket Mode connection state
+   * @param {string} status - e.g. "connected" or "disconnected"
+   */
+  function setSocketModeStatus(status) {
+    socketMode = status;
+  }
+  
+  /**
+   * Records how a job's run went
+   * @param {string} jobKey - A key of JOB_DEFINITIONS
+   * @param {Error|null} error - Why the run failed, or null if it succeeded
+   */
+  function recordJobRun(jobKey, error) {
+    const job = jobs.get(jobKey) || { last_success_at: null, last_failure_at: null, last_error: null };
+    if (error) {
+      job.last_failure_at = now().toISOString();
+      job.last_error = error.message;
+    } else {
+      job.last_success_at = now().toISOString();
+    }
+    jobs.set(jobKey, job);
+  }
+  
+  /**
+   * Checks the databases and summarizes the bot's health
+   * "error" means a database or Slack can't be reached; "degraded" means a job's latest run failed
+   * @returns {Promise<Object>} The report served by GET /healthz
+   */
+  async function checkHealth() {
+    const [warehouseCheck, storeCheck] = await Promise.all([
+      runCheck(() => warehouse.ping()),
+      runCheck(() => store.ping())
+    ]);
+    const checks = {
+      warehouse: warehouseCheck,
+      milestone_db: storeCheck,
+      socket_mode: { ok: socketMode === 'connected', status: socketMode }
+    };
+    
+    const jobReport = Object.fromEntries([...jobs].map(([jobKey, job]) => [jobKey, {
+      ...job,
+      failing: job.last_failure_at !== null && (job.last_success_at === null || job.last_failure_at > job.last_success_at)
+    }]));
+    
+    let status = 'ok';
+    if (Object.values(checks).some(check => !check.ok)) {
+      status = 'error';
+    } else if (Object.values(jobReport).some(job => job.failing)) {
+      status = 'degraded';
+    }
+    
+    return {
+      status,
+      checked_at: now().toISOString(),
+      checks,
+      jobs: jobReport
+    };
+  }
+  
+  return {
+    setSocketModeStatus,
+    recordJobRun,
+    checkHealth
+  };
+}
@@ -0,0 +1,334 @@
+import { formatInTimeZone } from 'date-fns-tz';
+import { CAMPAIGN_PHASES } from './campaigns.js';
+import { DEFAULT_TIME_ZONE } from './config.js';
+import { formatGoalProgress } from './goals.js';
+import { DEFAULT_LEADERBOARD_WINDOW, getLeaderboardWindow, rankEventsByTotal, findEvents } from './leaderboard.js';
+import { getDailySignups } from './snapshots.js';
+
+// Bars used to draw trends, from the quietest day to the busiest
+const SPARKLINE_BARS = ['▁', '▂', '▃', '▄', '▅', '▆', '▇', '█'];
+
+// Days of sign-up history shown for each followed event
+export const HOME_TREND_DAYS = 7;
+
+// Leaderboard rows per section, keeping each section well under Slack's 3000 character limit
+const HOME_ROWS_PER_SECTION = 25;
+
+// Slack shows at most 100 options in a select menu
+const MAX_SELECT_OPTIONS = 100;
+
+/**
+ * Draws a row of numbers as a sparkline, e.g. ▁▃▂▅█
+ * @param {Array<number>} values - The numbers to draw
+ * @returns {string} One bar per value, scaled to the largest
+ */
+export function formatSparkline(values) {
+  const max = Math.max(...values);
+  if (max <= 0) {
+    return SPARKLINE_BARS[0].repeat(values.length);
+  }
+  
+  return values
+    .map(value => SPARKLINE_BARS[Math.round((value / max) * (SPARKLINE_BARS.length - 1))])
+    .join('');
+}
+
+/**
+ * Formats the line about one of the user's followed events
+ * @param {Object} entry
+ * @param {Object} entry.event - The event, ranked by rankEventsByTotal
+ * @param {number} entry.recentSignups - New sign-ups in the leaderboard window
+ * @param {Object|null} entry.tracking - The event's milestone tracking record
+ * @param {Array} entry.milestones - Rows with milestone and reached_at
+ * @param {Array<number>} entry.dailySignups - New sign-ups per day, oldest first
+ * @param {number} [capacity] - The event's sign-up goal
+ * @param {string} windowLabel - Describes the leaderboard window, e.g. "in the past 12 hours"
+ * @param {string} timeZone - The IANA time zone milestone dates are shown in
+ * @returns {string} The mrkdwn text for the event
+ */
+function formatFollowedEvent({ event, recentSignups, tracking, milestones, dailySignups }, capacity, windowLabel, timeZone) {
+  const progress = capacity ? ` · ${formatGoalProgress(event.total_sign_ups, capacity)}` : '';
+  const weekTotal = dailySignups.reduce((sum, count) => sum + count, 0);
+  
+  let milestoneText = 'No milestones yet';
+  if (milestones.length > 0) {
+    milestoneText = 'Milestones: ' + milestones
+      .map(({ milestone, reached_at }) => `${milestone} (${formatInTimeZone(new Date(reached_at), timeZone, 'MMM d')})`)
+      .join(', ');
+  } else if (tracking && tracking.last_milestone_notified > 0) {
+    // Milestones announced before the outbox existed only left their latest value behind
+    milestoneText = `Last milestone: ${tracking.last_milestone_notified}`;
+  }
+  
+  return [
+    `*${event.event_name}* · ${event.total_sign_ups}:bust_in_silhouette: · #${event.overall_rank} overall · ${recentSignups}↑ ${windowLabel}${progress}`,
+    `Last ${dailySignups.length} days \`${formatSparkline(dailySignups)}\` +${weekTotal} · ${milestoneText}`
+  ].join('\n');
+}
+
+/**
+ * Formats a user's Home tab
+ * @param {Object} options
+ * @param {Array} options.leaderboardData - The current leaderboard rows
+ * @param {Array} options.followed - One entry per followed event, see formatFollowedEvent
+ * @param {Map} options.goals - Sign-up goals keyed by event slug
+ * @param {Date} options.now - When the view was built
+ * @param {string|null} [options.phaseMessage] - Shown instead of the leaderboard when commands are disabled
+ * @param {string} [options.timeZone] - The IANA time zone times are shown in
+ * @returns {Object} A Home tab view for views.publish
+ */
+export function formatHomeView({ leaderboardData, followed, goals, now, phaseMessage = null, timeZone = DEFAULT_TIME_ZONE }) {
+  const { label } = getLeaderboardWindow(DEFAULT_LEADERBOARD_WINDOW);
+  const updatedText = formatInTimeZone(now, timeZone, 'MMMM d, h:mm a zzz');
+  
+  const blocks = [
+    {
+      type: "header",
+      text: {
+        type: "plain_text",
+        text: "🏆 Scrapyard Leaderboard",
+        emoji: true
+      }
+    },
+    {
+      type: "actions",
+      elements: [
+        {
+          type: "button",
+          action_id: "home_refresh",
+          text: { type: "plain_text", text: "🔄 Refresh", emoji: true }
+        },
+        {
+          type: "external_select",
+          action_id: "home_follow",
+          placeholder: { type: "plain_text", text: "Follow an event…" },
+          min_query_length: 0
+        }
+      ]
+    },
+    {
+      type: "context",
+      elements: [
+        {
+          type: "mrkdwn",
+          text: `Updated ${updatedText}`
+        }
+      ]
+    },
+    {
+      type: "header",
+      text: {
+        type: "plain_text",
+        text: "⭐ Your events",
+        emoji: true
+      }
+    }
+  ];
+  
+  if (followed.length === 0) {
+    blocks.push({
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: "You aren't following any events yet. Pick one above to see its progress here and get DMs about its milestones."
+      }
+    });
+  }
+  
+  for (const entry of followed) {
+    blocks.push({
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: formatFollowedEvent(entry, goals.get(entry.event.event_slug), label, timeZone)
+      },
+      accessory: {
+        type: "button",
+        action_id: "home_unfollow",
+        text: { type: "plain_text", text: "Unfollow" },
+        value: entry.event.event_slug
+      }
+    });
+  }
+  
+  blocks.push(
+    { type: "divider" },
+    {
+      type: "header",
+      text: {
+        type: "plain_text",
+        text: `📈 New sign-ups ${label}`,
+        emoji: true
+      }
+    }
+  );
+  
+  if (phaseMessage) {
+    blocks.push({
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: phaseMessage
+      }
+    });
+  } else if (leaderboardData.length === 0) {
+    blocks.push({
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: `No new sign-ups ${label}.`
+      }
+    });
+  } else {
+    const rows = leaderboardData.map(event =>
+      `${event.leaderboard_rank}. *${event.event_name}* · ${event.new_sign_ups}↑ · ${event.total_sign_ups}:bust_in_silhouette:`
+    );
+    for (let start = 0; start < rows.length; start += HOME_ROWS_PER_SECTION) {
+      blocks.push({
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text: rows.slice(start, start + HOME_ROWS_PER_SECTION).join('\n')
+        }
+      });
+    }
+  }
+  
+  return { type: "home", blocks };
+}
+
+/**
+ * Creates the Home tab handlers
+ * @param {Object} deps - The bot's dependencies
+ * @param {Object} deps.warehouse - The warehouse queries from createWarehouse
+ * @param {Object} deps.store - The milestone database queries from createStore
+ * @param {Object} deps.slack - The Slack Web API client
+ * @param {Function} deps.now - Returns the current time
+ * @param {Function} deps.getCampaignState - Resolves the current campaign and phase
+ * @param {Function} deps.fetchEventGoals - Returns sign-up goals keyed by event slug
+ * @param {string} deps.timeZone - The IANA time zone times are shown in
+ * @param {Function} deps.reportFailure - Logs a failure and alerts the maintainers
+ * @returns {Object} The Home tab handlers
+ */
+export function createHome({ warehouse, store, slack, now, getCampaignState, fetchEventGoals, timeZone, reportFailure }) {
+  /**
+   * Builds and publishes a user's Home tab
+   * @param {string} userId - The Slack user whose Home tab to publish
+   */
+  async function publishHome(userId) {
+    try {
+      const [{ campaign, phase, jobs }, allEvents, leaderboardData, goals, slugs] = await Promise.all([
+        getCampaignState(),
+        warehouse.fetchAllEventsData(),
+        warehouse.fetchLeaderboardData(DEFAULT_LEADERBOARD_WINDOW),
+        fetchEventGoals(),
+        store.fetchUserSubscriptions(userId)
+      ]);
+      
+      const eventsBySlug = new Map(rankEventsByTotal(allEvents).map(event => [event.event_slug, event]));
+      const recentBySlug = new Map(leaderboardData.map(row => [row.event_slug, Number(row.new_sign_ups)]));
+      const trendStart = new Date(now().getTime() - HOME_TREND_DAYS * 24 * 60 * 60 * 1000);
+      
+      const followed = await Promise.all(slugs
+        .filter(slug => eventsBySlug.has(slug))
+        .map(async slug => {
+          const event = eventsBySlug.get(slug);
+          const [tracking, milestones, snapshots] = await Promise.all([
+            store.fetchEventTracking(event.event_slug),
+            store.fetchMilestoneHistory(event.event_slug),
+            store.fetchSignupSnapshots(event.event_slug, trendStart)
+          ]);
+          return {
+            event,
+            recentSignups: recentBySlug.get(slug) || 0,
+            tracking,
+            milestones,
+            dailySignups: getDailySignups(snapshots, now(), HOME_TREND_DAYS)
+          };
+        }));
+      
+      // Outside the phases that enable commands, the leaderboard is replaced by the phase's message
+      let phaseMessage = null;
+      if (!jobs.includes('commands')) {
+        const message = campaign && CAMPAIGN_PHASES[phase].message;
+        phaseMessage = message ? message(campaign) : "There's no Scrapyard campaign running right now. Leaderboard updates are not available.";
+      }
+      
+      await slack.views.publish({
+        user_id: userId,
+        view: formatHomeView({ leaderboardData, followed, goals, now: now(), phaseMessage, timeZone })
+      });
+    } catch (error) {
+      await reportFailure('Error publishing Home tab:', error);
+    }
+  }
+  
+  /**
+   * Publishes the Home tab when a user opens it, as registered with app.event('app_home_opened')
+   * @param {Object} args - The Bolt listener arguments
+   * @param {Object} args.event - The app_home_opened event
+   */
+  async function handleAppHomeOpened({ event }) {
+    // The same event fires for the Messages tab
+    if (event.tab !== 'home') {
+      return;
+    }
+    
+    await publishHome(event.user);
+  }
+  
+  /**
+   * Handles the Home tab's buttons and menus, as registered with app.action
+   * @param {Object} args - The Bolt listener arguments
+   * @param {Object} args.action - The clicked element
+   * @param {Object} args.body - The interaction payload
+   * @param {Function} args.ack - Acknowledges the interaction
+   */
+  async function handleHomeAction({ action, body, ack }) {
+    await ack();
+    
+    const userId = body.user.id;
+    try {
+      if (action.action_id === 'home_follow') {
+        await store.addSubscription(userId, action.selected_option.value);
+      } else if (action.action_id === 'home_unfollow') {
+        await store.removeSubscription(userId, action.value);
+      }
+    } catch (error) {
+      await reportFailure(`Error handling Home tab action ${action.action_id}:`, error);
+    }
+    
+    await publishHome(userId);
+  }
+  
+  /**
+   * Suggests events for the Home tab's follow menu, as registered with app.options
+   * @param {Object} args - The Bolt listener arguments
+   * @param {Object} args.options - The block_suggestion payload, with what the user typed in `value`
+   * @param {Function} args.ack - Replies with the options to show
+   */
+  async function handleHomeOptions({ options, ack }) {
+    try {
+      const rankedEvents = rankEventsByTotal(await warehouse.fetchAllEventsData());
+      const query = (options.value || '').trim();
+      const matches = query ? findEvents(rankedEvents, query) : rankedEvents;
+      
+      await ack({
+        options: matches.slice(0, MAX_SELECT_OPTIONS).map(event => ({
+          text: { type: "plain_text", text: event.event_name.slice(0, 75) },
+          value: event.event_slug
+        }))
+      });
+    } catch (error) {
+      await reportFailure('Error loading events for the Home tab:', error);
+      await ack({ options: [] });
+    }
+  }
+  
+  return {
+    publishHome,
+    handleAppHomeOpened,
+    handleHomeAction,
+    handleHomeOptions
+  };
+}
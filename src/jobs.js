@@ -0,0 +1,269 @@
+import { CronJob, CronTime } from 'cron';
+import { formatInTimeZone } from 'date-fns-tz';
+import { runInJobContext, getJobContext } from './logging.js';
+
+/**
+ * The bot's scheduled jobs and their default cron times, in the order they're listed
+ * Admins can pause them or change their times with `/scrapyard-leaderboard admin`; overrides are kept in job_schedules
+ */
+export const JOB_DEFINITIONS = {
+  'morning-leaderboard': { label: 'Morning leaderboard', cronTime: '0 0 8 * * *' },
+  'evening-leaderboard': { label: 'Evening leaderboard', cronTime: '0 0 20 * * *' },
+  'weekly-digest': { label: 'Weekly digest (past 7 days)', cronTime: '0 0 9 * * 1' },
+  'weekly-awards': { label: 'Weekly awards', cronTime: '0 0 10 * * 1' },
+  'weekly-export': { label: 'Weekly export', cronTime: '0 30 9 * * 1' },
+  'live-leaderboard': { label: 'Live leaderboard refresh', cronTime: '0 */5 * * * *' },
+  'milestones': { label: 'Milestone checks', cronTime: '0 */15 * * * *' },
+  'outbox': { label: 'Milestone delivery', cronTime: '*/15 * * * * *' },
+  'subscriber-digests': { label: 'Subscriber digests', cronTime: '0 0 9 * * *' },
+  'stalled-events': { label: 'Stalled event check', cronTime: '0 0 11 * * *' },
+  'campaign-lifecycle': { label: 'Campaign lifecycle', cronTime: '0 */5 * * * *' }
+};
+
+/**
+ * Checks that a cron time can be scheduled
+ * @param {string} cronTime - A cron expression, with or without seconds
+ * @param {string} timeZone - The IANA time zone jobs run in
+ * @returns {string|null} Why the cron time is invalid, or null if it's fine
+ */
+export function validateCronTime(cronTime, timeZone) {
+  try {
+    new CronTime(cronTime, timeZone);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+/**
+ * Formats the bot's jobs for `/scrapyard-leaderboard admin jobs`
+ * @param {Array} jobs - Jobs as returned by the scheduler's listJobs
+ * @param {string} timeZone - The IANA time zone jobs run in
+ * @returns {Object} A formatted Slack message
+ */
+export function formatJobsMessage(jobs, timeZone) {
+  const lines = jobs.map(job => {
+    const time = job.isCustom ? `\`${job.cronTime}\` (changed from \`${job.defaultCronTime}\`)` : `\`${job.cronTime}\``;
+    const next = job.paused
+      ? '⏸️ paused'
+      : `next ${formatInTimeZone(job.nextRun, timeZone, 'EEE MMM d, h:mm:ss a zzz')}`;
+    return `• *${job.key}* · ${job.label} · ${time} · ${next}`;
+  });
+  
+  return {
+    blocks: [
+      {
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text: `*Scheduled jobs* (${timeZone})\n${lines.join('\n')}`
+        }
+      },
+      {
+        type: "context",
+        elements: [
+          {
+            type: "mrkdwn",
+            text: "`admin pause|resume|run <job>` · `admin schedule <job> <cron time>|reset` · `admin preview [window]`"
+          }
+        ]
+      }
+    ],
+    text: "Scheduled jobs" // Fallback text
+  };
+}
+
+// The jobs that post the scheduled leaderboard, whose times the registration announcement gives
+const LEADERBOARD_POST_JOBS = ['morning-leaderboard', 'evening-leaderboard'];
+
+/**
+ * Describes when the scheduled leaderboards are posted, e.g. "8am and 8pm EST"
+ * Only fixed daily times can be put into words, so any other cron time gives null
+ * @param {Array} jobs - Jobs as returned by the scheduler's listJobs
+ * @param {string} timeZone - The IANA time zone jobs run in
+ * @returns {string|null} The post times, or null if none are scheduled or they can't be described
+ */
+export function formatLeaderboardPostTimes(jobs, timeZone) {
+  const posts = jobs.filter(job => LEADERBOARD_POST_JOBS.includes(job.key) && !job.paused);
+  if (posts.length === 0) {
+    return null;
+  }
+  
+  const times = [];
+  for (const job of posts) {
+    const fields = job.cronTime.trim().split(/\s+/);
+    if (fields.length !== 5 && fields.length !== 6) {
+      return null;
+    }
+    
+    const [minute, hour, dayOfMonth, month, dayOfWeek] = fields.slice(-5);
+    const second = fields.length === 6 ? fields[0] : '0';
+    if (![second, minute, hour].every(field => /^\d+$/.test(field)) || [dayOfMonth, month, dayOfWeek].some(field => field !== '*')) {
+      return null;
+    }
+    times.push({ hour: Number(hour), minute: Number(minute), nextRun: job.nextRun });
+  }
+  
+  times.sort((a, b) => (a.hour * 60 + a.minute) - (b.hour * 60 + b.minute));
+  const labels = times.map(({ hour, minute }) => {
+    const minutes = minute ? `:${String(minute).padStart(2, '0')}` : '';
+    return `${hour % 12 || 12}${minutes}${hour < 12 ? 'am' : 'pm'}`;
+  });
+  return `${labels.join(' and ')} ${formatInTimeZone(times[0].nextRun, timeZone, 'zzz')}`;
+}
+
+/**
+ * Creates the scheduler that runs the bot's jobs on their cron times
+ * @param {Object} deps
+ * @param {Object} deps.jobs - The function each job runs, keyed like JOB_DEFINITIONS
+ * @param {Object} deps.store - The milestone database queries from createStore
+ * @param {string} deps.timeZone - The IANA time zone jobs run in
+ * @param {Object} [deps.health] - The health tracker from createHealth, told how each run went
+ * @param {Function} [deps.onError] - Called with the job's key and the error when a job throws, e.g. to alert maintainers
+ * @returns {Object} The scheduler
+ */
+export function createScheduler({ jobs, store, timeZone, health = null, onError = null }) {
+  // Each job's current cron time, whether it's paused and, once started, its CronJob
+  const entries = new Map(Object.entries(JOB_DEFINITIONS).map(([key, definition]) => [key, {
+    key,
+    ...definition,
+    defaultCronTime: definition.cronTime,
+    paused: false,
+    cronJob: null
+  }]));
+  
+  /**
+   * Runs a job, logging instead of throwing if it fails so one bad run doesn't stop the schedule
+   * The run gets its own job ID; jobs that catch their own errors mark the run failed through its context
+   * @param {string} key - A key of JOB_DEFINITIONS
+   */
+  async function runJob(key) {
+    await runInJobContext(key, async () => {
+      const context = getJobContext();
+      try {
+        await jobs[key]();
+      } catch (error) {
+        console.error(`Error running job ${key}:`, error);
+        context.error = error;
+        if (onError) {
+          await onError(key, error);
+        }
+      }
+      
+      if (health) {
+        health.recordJobRun(key, context.error);
+      }
+    });
+  }
+  
+  /**
+   * Applies the stored overrides and starts every job that isn't paused
+   * Throws without starting anything if the overrides can't be loaded, so paused jobs aren't started by mistake
+   */
+  async function start() {
+    const overrides = await store.fetchJobSchedules();
+    
+    for (const entry of entries.values()) {
+      const override = overrides.get(entry.key);
+      if (override) {
+        entry.paused = Boolean(override.paused);
+        
+        const error = override.cron_time ? validateCronTime(override.cron_time, timeZone) : null;
+        if (error) {
+          console.error(`Ignoring stored cron time "${override.cron_time}" for ${entry.key}: ${error}`);
+        } else if (override.cron_time) {
+          entry.cronTime = override.cron_time;
+        }
+      }
+      
+      entry.cronJob = new CronJob(entry.cronTime, () => runJob(entry.key), null, !entry.paused, timeZone);
+    }
+  }
+  
+  /**
+   * Lists every job with its schedule
+   * @returns {Array} Jobs with key, label, cronTime, defaultCronTime, isCustom, paused and nextRun (a Date, null while paused)
+   */
+  function listJobs() {
+    return [...entries.values()].map(entry => ({
+      key: entry.key,
+      label: entry.label,
+      cronTime: entry.cronTime,
+      defaultCronTime: entry.defaultCronTime,
+      isCustom: entry.cronTime !== entry.defaultCronTime,
+      paused: entry.paused,
+      nextRun: entry.paused
+        ? null
+        : (entry.cronJob ? entry.cronJob.nextDate() : new CronTime(entry.cronTime, timeZone).sendAt()).toJSDate()
+    }));
+  }
+  
+  /**
+   * Works out how long a job waits between runs at its current cron time, even while it's paused
+   * @param {string} key - A key of JOB_DEFINITIONS
+   * @returns {number} Milliseconds between its next two runs
+   */
+  function getJobInterval(key) {
+    const [next, after] = new CronTime(entries.get(key).cronTime, timeZone).sendAt(2);
+    return after.toMillis() - next.toMillis();
+  }
+  
+  /**
+   * Stores a job's schedule, so it's kept across restarts
+   * @param {Object} entry - The job's entry
+   * @param {string} userId - The Slack user who changed it
+   */
+  async function saveEntry(entry, userId) {
+    await store.saveJobSchedule(entry.key, {
+      cronTime: entry.cronTime === entry.defaultCronTime ? null : entry.cronTime,
+      paused: entry.paused
+    }, userId);
+  }
+  
+  /**
+   * Pauses or resumes a job
+   * @param {string} key - A key of JOB_DEFINITIONS
+   * @param {boolean} paused - True to pause the job, false to resume it
+   * @param {string} userId - The Slack user who changed it
+   */
+  async function setJobPaused(key, paused, userId) {
+    const entry = entries.get(key);
+    entry.paused = paused;
+    
+    if (entry.cronJob && paused) {
+      entry.cronJob.stop();
+    } else if (entry.cronJob) {
+      entry.cronJob.start();
+    }
+    
+    await saveEntry(entry, userId);
+    console.log(`${userId} ${paused ? 'paused' : 'resumed'} job ${key}`);
+  }
+  
+  /**
+   * Changes when a job runs
+   * @param {string} key - A key of JOB_DEFINITIONS
+   * @param {string|null} cronTime - The new cron time, already checked with validateCronTime, or null for the default
+   * @param {string} userId - The Slack user who changed it
+   */
+  async function setJobTime(key, cronTime, userId) {
+    const entry = entries.get(key);
+    entry.cronTime = cronTime || entry.defaultCronTime;
+    
+    if (entry.cronJob) {
+      entry.cronJob.setTime(new CronTime(entry.cronTime, timeZone));
+    }
+    
+    await saveEntry(entry, userId);
+    console.log(`${userId} set job ${key} to run at "${entry.cronTime}"`);
+  }
+  
+  return {
+    start,
+    listJobs,
+    getJobInterval,
+    runJob,
+    setJobPaused,
+    setJobTime
+  };
+}
@@ -0,0 +1,614 @@
+import { formatInTimeZone } from 'date-fns-tz';
+import { DEFAULT_TIME_ZONE } from './config.js';
+import { formatGoalProgress } from './goals.js';
+
+// Time windows the leaderboard can rank by, keyed by the name used in commands
+// An interval of null means every signup since launch counts
+export const LEADERBOARD_WINDOWS = {
+  '12h': { interval: '12 hours', label: 'in the past 12 hours' },
+  '24h': { interval: '24 hours', label: 'in the past 24 hours' },
+  '7d': { interval: '7 days', label: 'in the past 7 days' },
+  'launch': { interval: null, label: 'since launch' }
+};
+
+// Window used by the scheduled leaderboard posts
+export const DEFAULT_LEADERBOARD_WINDOW = '12h';
+
+/**
+ * Checks whether a key names a leaderboard window
+ * Inherited keys like "constructor" aren't windows, so user input can't pick them
+ * @param {string} windowKey - The key to check, e.g. "24h"
+ * @returns {boolean} True if it's a key of LEADERBOARD_WINDOWS
+ */
+export function isLeaderboardWindow(windowKey) {
+  return typeof windowKey === 'string' && Object.hasOwn(LEADERBOARD_WINDOWS, windowKey);
+}
+
+/**
+ * Looks up a leaderboard window by its key
+ * @param {string} windowKey - A key of LEADERBOARD_WINDOWS, e.g. "24h"
+ * @returns {Object} The window definition
+ */
+export function getLeaderboardWindow(windowKey) {
+  if (!isLeaderboardWindow(windowKey)) {
+    throw new Error(`Unknown leaderboard window: ${windowKey}`);
+  }
+  return LEADERBOARD_WINDOWS[windowKey];
+}
+
+/**
+ * Describes how an event moved since the previous leaderboard
+ * @param {Object} event - The event's current leaderboard row
+ * @param {Map} previousBoard - Entries of the previous leaderboard keyed by event slug
+ * @returns {Object} The rank movement marker and the change in new sign-ups
+ */
+export function describeLeaderboardChange(event, previousBoard) {
+  if (previousBoard.size === 0) {
+    return { movement: '', delta: '' };
+  }
+  
+  // Entries recorded before boards were keyed by slug are keyed by name
+  const previous = previousBoard.get(event.event_slug) || previousBoard.get(event.event_name);
+  if (!previous) {
+    return { movement: ' 🆕', delta: '' };
+  }
+  
+  // A lower rank number is better, so a positive difference means the event moved up
+  const rankChange = Number(previous.leaderboard_rank) - Number(event.leaderboard_rank);
+  let movement = '';
+  if (rankChange > 0) {
+    movement = ` ▲${rankChange}`;
+  } else if (rankChange < 0) {
+    movement = ` ▼${-rankChange}`;
+  }
+  
+  // Compare this window's new sign-ups with the previous board's window
+  const signupChange = Number(event.new_sign_ups) - Number(previous.new_sign_ups);
+  const delta = signupChange === 0 ? ' (±0)' : ` (${signupChange > 0 ? '+' : ''}${signupChange})`;
+  
+  return { movement, delta };
+}
+
+/**
+ * Formats an event's award badges for showing after its name
+ * @param {Object} event - The event's leaderboard row
+ * @param {Map} badges - Award emojis keyed by event slug
+ * @returns {string} The badges with a leading space, or an empty string if the event has none
+ */
+function formatBadges(event, badges) {
+  const badge = badges.get(event.event_slug);
+  return badge ? ` ${badge}` : '';
+}
+
+/**
+ * Formats the leaderboard data into a Slack message
+ * @param {Array} data The leaderboard data
+ * @param {Object} [options]
+ * @param {Map} [options.previousBoard] Entries of the previous scheduled leaderboard keyed by event slug
+ * @param {string} [options.windowKey] The window the data was ranked by
+ * @param {Map} [options.goals] Sign-up goals keyed by event slug
+ * @param {string} [options.regionName] Region the data was filtered to, if any
+ * @param {Date} [options.liveUpdatedAt] When a live, edited-in-place board was last refreshed
+ * @param {Map} [options.badges] Award emojis keyed by event slug, from getAwardBadges
+ * @param {string} [options.timeZone] The IANA time zone a live board's update time is shown in
+ * @returns {Object} A formatted Slack message block
+ */
+export function formatLeaderboardMessage(data, {
+  previousBoard = new Map(),
+  windowKey = DEFAULT_LEADERBOARD_WINDOW,
+  goals = new Map(),
+  regionName = null,
+  liveUpdatedAt = null,
+  badges = new Map(),
+  timeZone = DEFAULT_TIME_ZONE
+} = {}) {
+  const { label } = getLeaderboardWindow(windowKey);
+  const regionSuffix = regionName ? ` · ${regionName}` : '';
+  
+  if (!data || data.length === 0) {
+    const blocks = [
+      {
+        type: "header",
+        text: {
+          type: "plain_text",
+          text: `🏆 Scrapyard Leaderboard${regionSuffix}`,
+          emoji: true
+        }
+      },
+      {
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text: `No new sign-ups ${label}.`
+        }
+      }
+    ];
+    addLiveFooter(blocks, liveUpdatedAt, timeZone);
+    return { blocks };
+  }
+
+  // Create the header section
+  const blocks = [
+    {
+      type: "header",
+      text: {
+        type: "plain_text",
+        text: `🏆 New sign-ups ${label}${regionSuffix}`,
+        emoji: true
+      }
+    },
+    {
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: "Top 10 by new sign-ups:"
+      }
+    }
+  ];
+
+  // Top 10 events - one row per event for better visibility
+  const topEvents = data.slice(0, 10);
+  if (topEvents.length > 0) {
+    // Emoji number mapping
+    const rankEmojis = {
+      1: ":one:",
+      2: ":two:",
+      3: ":three:",
+      4: ":four:",
+      5: ":five:",
+      6: ":six:",
+      7: ":seven:",
+      8: ":eight:",
+      9: ":nine:",
+      10: ":keycap_ten:"
+    };
+    
+    const topEventsText = topEvents.map((event, index) => {
+      const displayRank = index + 1; // Use array index + 1 for emoji lookup
+      const rank = event.leaderboard_rank; // Keep the actual rank for debugging
+      const rankDisplay = rankEmojis[displayRank] || `${rank}.`;
+      // Keep the full name for top 10
+      const name = event.event_name;
+      const { movement, delta } = describeLeaderboardChange(event, previousBoard);
+      const capacity = goals.get(event.event_slug);
+      const progress = capacity ? ` · ${formatGoalProgress(event.total_sign_ups, capacity)}` : '';
+      return `${rankDisplay} *${name}*${formatBadges(event, badges)}${movement} · ${event.new_sign_ups}↑${delta} · ${event.total_sign_ups}:bust_in_silhouette:${progress}`;
+    }).join('\n');
+    
+    blocks.push({
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: topEventsText
+      }
+    });
+  }
+  
+  // Remaining events in compact format (11-25)
+  const remainingEvents = data.slice(10, 25);
+  if (remainingEvents.length > 0) {
+    blocks.push({
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: "Other events with new sign-ups:"
+      }
+    });
+    
+    // Group remaining events by their new sign-up count
+    const eventsBySignups = {};
+    remainingEvents.forEach(event => {
+      const signups = event.new_sign_ups;
+      if (!eventsBySignups[signups]) {
+        eventsBySignups[signups] = [];
+      }
+      eventsBySignups[signups].push(event);
+    });
+    
+    // Sort by signup count (descending)
+    const signupCounts = Object.keys(eventsBySignups).sort((a, b) => b - a);
+    
+    const compactRows = signupCounts.map(signupCount => {
+      const eventsWithCount = eventsBySignups[signupCount];
+      const eventNames = eventsWithCount.map(event => {
+        // Remove "Scrapyard" prefix for the compact view
+        const name = event.event_name.replace('Scrapyard ', '');
+        const { movement } = describeLeaderboardChange(event, previousBoard);
+        const capacity = goals.get(event.event_slug);
+        const total = capacity ? `${event.total_sign_ups}/${capacity}` : event.total_sign_ups;
+        return `*${name}*${formatBadges(event, badges)}${movement} (${total})`;
+      }).join(', ');
+      
+      return `• ${signupCount}↑: ${eventNames}`;
+    });
+    
+    blocks.push({
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: compactRows.join('\n')
+      }
+    });
+  }
+  
+  // Everything past the top 25 is only reachable through the interactive view
+  blocks.push({
+    type: "actions",
+    elements: [
+      {
+        type: "button",
+        action_id: "leaderboard_browse",
+        text: { type: "plain_text", text: "Browse all events" },
+        value: JSON.stringify({ windowKey, sortKey: 'new', page: 1 })
+      }
+    ]
+  });
+  
+  // Add a footer with explanation
+  const changeLegend = previousBoard.size > 0
+    ? " · ▲▼ Rank change and (±) new sign-up change since the last scheduled leaderboard"
+    : "";
+  blocks.push({
+    type: "context",
+    elements: [
+      {
+        type: "mrkdwn",
+        text: `Format: New sign-ups↑ · Total sign-ups:bust_in_silhouette:${changeLegend} · \`/scrapyard-leaderboard\` for latest data`
+      }
+    ]
+  });
+  addLiveFooter(blocks, liveUpdatedAt, timeZone);
+
+  return { blocks };
+}
+
+/**
+ * Adds the "last updated" line to a live leaderboard
+ * @param {Array} blocks - The message blocks, changed in place
+ * @param {Date|null} liveUpdatedAt - When the board was refreshed, or null for a regular post
+ * @param {string} timeZone - The IANA time zone the update time is shown in
+ */
+function addLiveFooter(blocks, liveUpdatedAt, timeZone) {
+  if (!liveUpdatedAt) {
+    return;
+  }
+  
+  const updatedText = formatInTimeZone(liveUpdatedAt, timeZone, 'h:mm a zzz');
+  blocks.push({
+    type: "context",
+    elements: [
+      {
+        type: "mrkdwn",
+        text: `🔄 Live leaderboard · updated ${updatedText} · refreshes every few minutes`
+      }
+    ]
+  });
+}
+
+/**
+ * Moves events still reported under an aliased slug onto the slug they were merged into
+ * When both the old and new slug still have sign-ups their totals are added together, so
+ * someone who signed up for both is counted twice
+ * @param {Array} events - Events with event_name, event_slug and total_sign_ups
+ * @param {Map} aliases - The slug each old slug now points to, keyed by the old slug
+ * @returns {Array} One row per slug after aliasing
+ */
+export function applyEventAliases(events, aliases) {
+  if (aliases.size === 0) {
+    return events;
+  }
+  
+  const bySlug = new Map();
+  for (const event of events) {
+    const slug = aliases.get(event.event_slug) || event.event_slug;
+    const existing = bySlug.get(slug);
+    
+    if (!existing) {
+      bySlug.set(slug, { ...event, event_slug: slug });
+    } else {
+      // The event that owns the slug keeps its name
+      const name = event.event_slug === slug ? event.event_name : existing.event_name;
+      bySlug.set(slug, {
+        ...existing,
+        event_name: name,
+        total_sign_ups: Number(existing.total_sign_ups) + Number(event.total_sign_ups)
+      });
+    }
+  }
+  
+  return [...bySlug.values()];
+}
+
+/**
+ * Adds an overall_rank to every event based on total signups, matching RANK() semantics
+ * @param {Array} events - Events with a total_sign_ups field
+ * @returns {Array} The events sorted by total signups with overall_rank set
+ */
+export function rankEventsByTotal(events) {
+  const sorted = [...events].sort((a, b) =>
+    Number(b.total_sign_ups) - Number(a.total_sign_ups) || a.event_name.localeCompare(b.event_name)
+  );
+  
+  let previousTotal = null;
+  let previousRank = 0;
+  
+  return sorted.map((event, index) => {
+    const total = Number(event.total_sign_ups);
+    // Tied events share a rank and the next rank is skipped, like RANK() in SQL
+    const rank = total === previousTotal ? previousRank : index + 1;
+    previousTotal = total;
+    previousRank = rank;
+    return { ...event, overall_rank: rank };
+  });
+}
+
+/**
+ * Finds events matching a name or slug query
+ * An exact slug or name match wins; otherwise every event whose name contains the query is returned
+ * @param {Array} events - All events
+ * @param {string} query - The event name, city or slug to search for
+ * @returns {Array} The matching events
+ */
+export function findEvents(events, query) {
+  const needle = query.trim().toLowerCase();
+  
+  const exactMatch = events.find(event => {
+    const name = event.event_name.toLowerCase();
+    return (event.event_slug && event.event_slug.toLowerCase() === needle)
+      || name === needle
+      || name === `scrapyard ${needle}`;
+  });
+  
+  if (exactMatch) {
+    return [exactMatch];
+  }
+  
+  return events.filter(event => event.event_name.toLowerCase().includes(needle));
+}
+
+// Number of events shown per page for `/scrapyard-leaderboard all`
+export const ALL_EVENTS_PAGE_SIZE = 40;
+
+/**
+ * Formats one page of the full event list into a Slack message
+ * @param {Array} rankedEvents - All events, sorted and ranked by total signups
+ * @param {number} page - The 1-based page number to show
+ * @returns {Object} A formatted Slack message block
+ */
+export function formatAllEventsMessage(rankedEvents, page) {
+  const totalPages = Math.max(1, Math.ceil(rankedEvents.length / ALL_EVENTS_PAGE_SIZE));
+  const currentPage = Math.min(page, totalPages);
+  const start = (currentPage - 1) * ALL_EVENTS_PAGE_SIZE;
+  const pageEvents = rankedEvents.slice(start, start + ALL_EVENTS_PAGE_SIZE);
+  
+  const rows = pageEvents.map(event =>
+    `${event.overall_rank}. *${event.event_name}* · ${event.total_sign_ups}:bust_in_silhouette:`
+  );
+  
+  const blocks = [
+    {
+      type: "header",
+      text: {
+        type: "plain_text",
+        text: "📋 All Scrapyard events by total sign-ups",
+        emoji: true
+      }
+    },
+    {
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: rows.length > 0 ? rows.join('\n') : "No events found."
+      }
+    },
+    {
+      type: "context",
+      elements: [
+        {
+          type: "mrkdwn",
+          text: currentPage < totalPages
+            ? `Page ${currentPage} of ${totalPages} · \`/scrapyard-leaderboard all ${currentPage + 1}\` for the next page`
+            : `Page ${currentPage} of ${totalPages}`
+        }
+      ]
+    }
+  ];
+  
+  return {
+    blocks,
+    text: `All Scrapyard events (page ${currentPage} of ${totalPages})` // Fallback text
+  };
+}
+
+// Ways the interactive leaderboard can be sorted, keyed by the value stored in its buttons
+// Growth compares new sign-ups with the sign-ups the event had before the window started
+export const LEADERBOARD_SORTS = {
+  new: { label: 'New sign-ups', value: event => event.new_sign_ups },
+  total: { label: 'Total sign-ups', value: event => event.total_sign_ups },
+  growth: { label: '% growth', value: event => getGrowthPercent(event) ?? Infinity }
+};
+
+/**
+ * Checks whether a key names a leaderboard sort
+ * @param {string} sortKey - The key to check, e.g. "growth"
+ * @returns {boolean} True if it's an own key of LEADERBOARD_SORTS
+ */
+export function isLeaderboardSort(sortKey) {
+  return typeof sortKey === 'string' && Object.hasOwn(LEADERBOARD_SORTS, sortKey);
+}
+
+// Events shown per page of the interactive leaderboard, each one a block with its own menu
+export const LEADERBOARD_PAGE_SIZE = 10;
+
+/**
+ * Works out how much an event grew during the window
+ * @param {Object} event - A leaderboard row
+ * @returns {number|null} The whole percentage growth, or null if every sign-up is new
+ */
+export function getGrowthPercent(event) {
+  const before = Number(event.total_sign_ups) - Number(event.new_sign_ups);
+  return before > 0 ? Math.round((Number(event.new_sign_ups) / before) * 100) : null;
+}
+
+/**
+ * Sorts leaderboard rows and ranks them, matching RANK() semantics for ties
+ * @param {Array} data - The leaderboard data
+ * @param {string} sortKey - A key of LEADERBOARD_SORTS
+ * @returns {Array} The sorted rows with display_rank set
+ */
+export function sortLeaderboard(data, sortKey) {
+  const { value } = isLeaderboardSort(sortKey) ? LEADERBOARD_SORTS[sortKey] : LEADERBOARD_SORTS.new;
+  const sorted = [...data].sort((a, b) =>
+    value(b) - value(a) || Number(b.new_sign_ups) - Number(a.new_sign_ups) || a.event_name.localeCompare(b.event_name)
+  );
+  
+  let previousValue = null;
+  let previousRank = 0;
+  
+  return sorted.map((event, index) => {
+    const current = value(event);
+    // Tied events share a rank and the next rank is skipped, like RANK() in SQL
+    const rank = current === previousValue ? previousRank : index + 1;
+    previousValue = current;
+    previousRank = rank;
+    return { ...event, display_rank: rank };
+  });
+}
+
+/**
+ * Formats one page of the interactive leaderboard, with page buttons, a sort menu and a menu per event
+ * @param {Array} data - The leaderboard data
+ * @param {Object} options
+ * @param {string} [options.windowKey] - The window the data was ranked by
+ * @param {string} [options.sortKey] - A key of LEADERBOARD_SORTS
+ * @param {number} [options.page] - The 1-based page number to show
+ * @param {Map} [options.goals] - Sign-up goals keyed by event slug
+ * @param {Map} [options.previousBoard] - Entries of the previous scheduled leaderboard keyed by event slug
+ * @param {Map} [options.badges] - Award emojis keyed by event slug, from getAwardBadges
+ * @returns {Object} A formatted Slack message
+ */
+export function formatInteractiveLeaderboard(data, {
+  windowKey = DEFAULT_LEADERBOARD_WINDOW,
+  sortKey = 'new',
+  page = 1,
+  goals = new Map(),
+  previousBoard = new Map(),
+  badges = new Map()
+} = {}) {
+  if (!isLeaderboardSort(sortKey)) {
+    throw new Error(`Unknown leaderboard sort: ${sortKey}`);
+  }
+  
+  const { label } = getLeaderboardWindow(windowKey);
+  const sorted = sortLeaderboard(data, sortKey);
+  const totalPages = Math.max(1, Math.ceil(sorted.length / LEADERBOARD_PAGE_SIZE));
+  const currentPage = Math.min(Math.max(1, page), totalPages);
+  const start = (currentPage - 1) * LEADERBOARD_PAGE_SIZE;
+  
+  const blocks = [
+    {
+      type: "header",
+      text: {
+        type: "plain_text",
+        text: `🏆 New sign-ups ${label}`,
+        emoji: true
+      }
+    },
+    {
+      type: "context",
+      elements: [
+        {
+          type: "mrkdwn",
+          text: `Sorted by *${LEADERBOARD_SORTS[sortKey].label.toLowerCase()}* · ${sorted.length} events · page ${currentPage} of ${totalPages}`
+        }
+      ]
+    }
+  ];
+  
+  if (sorted.length === 0) {
+    blocks.push({
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: `No new sign-ups ${label}.`
+      }
+    });
+  }
+  
+  for (const event of sorted.slice(start, start + LEADERBOARD_PAGE_SIZE)) {
+    const { movement, delta } = describeLeaderboardChange(event, previousBoard);
+    const growth = getGrowthPercent(event);
+    const growthText = growth === null ? 'all new' : `+${growth}%`;
+    const capacity = goals.get(event.event_slug);
+    const progress = capacity ? ` · ${formatGoalProgress(event.total_sign_ups, capacity)}` : '';
+    
+    blocks.push({
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: `${event.display_rank}. *${event.event_name}*${formatBadges(event, badges)}${movement} · ${event.new_sign_ups}↑${delta} · ${event.total_sign_ups}:bust_in_silhouette: · ${growthText}${progress}`
+      },
+      accessory: {
+        type: "overflow",
+        action_id: "leaderboard_event",
+        options: [
+          {
+            text: { type: "plain_text", text: "View details" },
+            value: JSON.stringify({ action: 'details', slug: event.event_slug })
+          },
+          {
+            text: { type: "plain_text", text: "Subscribe to updates" },
+            value: JSON.stringify({ action: 'subscribe', slug: event.event_slug })
+          }
+        ]
+      }
+    });
+  }
+  
+  const state = { windowKey, sortKey };
+  const elements = [];
+  
+  if (currentPage > 1) {
+    elements.push({
+      type: "button",
+      action_id: "leaderboard_page_previous",
+      text: { type: "plain_text", text: "◀ Previous" },
+      value: JSON.stringify({ ...state, page: currentPage - 1 })
+    });
+  }
+  
+  if (currentPage < totalPages) {
+    elements.push({
+      type: "button",
+      action_id: "leaderboard_page_next",
+      text: { type: "plain_text", text: "Next ▶" },
+      value: JSON.stringify({ ...state, page: currentPage + 1 })
+    });
+  }
+  
+  // Changing the sort starts again from the first page
+  const sortOptions = Object.entries(LEADERBOARD_SORTS).map(([key, sort]) => ({
+    text: { type: "plain_text", text: `Sort: ${sort.label}` },
+    value: JSON.stringify({ windowKey, sortKey: key, page: 1 })
+  }));
+  elements.push({
+    type: "static_select",
+    action_id: "leaderboard_sort",
+    options: sortOptions,
+    initial_option: sortOptions[Object.keys(LEADERBOARD_SORTS).indexOf(sortKey)]
+  });
+  
+  blocks.push({ type: "actions", elements });
+  
+  blocks.push({
+    type: "context",
+    elements: [
+      {
+        type: "mrkdwn",
+        text: "Format: New sign-ups↑ · Total sign-ups:bust_in_silhouette: · Growth over the window · ⋯ for event details"
+      }
+    ]
+  });
+  
+  return { blocks };
+}
@@ -0,0 +1,78 @@
+import { AsyncLocalStorage } from 'node:async_hooks';
+import { randomUUID } from 'node:crypto';
+import { format } from 'node:util';
+
+// The job whose run is in progress, carried through every await so log lines and failures can name it
+const jobContext = new AsyncLocalStorage();
+
+const CONSOLE_LEVELS = { debug: 'debug', log: 'info', info: 'info', warn: 'warn', error: 'error' };
+
+/**
+ * Runs a function as one run of a job, giving it a job ID for logs and failure reports
+ * @param {string} jobKey - A key of JOB_DEFINITIONS
+ * @param {Function} fn - The job's work
+ * @returns {Promise<*>} What fn returns
+ */
+export function runInJobContext(jobKey, fn) {
+  const context = { job: jobKey, jobId: `${jobKey}-${randomUUID().slice(0, 8)}`, error: null };
+  return jobContext.run(context, fn);
+}
+
+/**
+ * Finds the job run the caller is part of
+ * @returns {Object|null} { job, jobId, error } for the current run, or null outside a job
+ */
+export function getJobContext() {
+  return jobContext.getStore() || null;
+}
+
+/**
+ * Builds one structured log entry from console arguments
+ * The first Error among the arguments is split out with its stack so it can be searched on
+ * @param {string} level - debug, info, warn or error
+ * @param {Array} args - The arguments passed to console.log and friends
+ * @param {Object} options
+ * @param {Date} options.time - When the line was logged
+ * @param {Object|null} options.context - The current job run from getJobContext
+ * @returns {Object} The log entry
+ */
+export function formatLogEntry(level, args, { time, context }) {
+  const error = args.find(arg => arg instanceof Error);
+  const entry = {
+    time: time.toISOString(),
+    level,
+    msg: format(...args.filter(arg => arg !== error)).replace(/:$/, '')
+  };
+  
+  if (context) {
+    entry.job = context.job;
+    entry.job_id = context.jobId;
+  }
+  
+  if (error) {
+    entry.error = { message: error.message, ...(error.code ? { code: error.code } : {}), stack: error.stack };
+  }
+  
+  return entry;
+}
+
+/**
+ * Replaces console.log, info, warn, error and debug with one JSON object per line, so the
+ * bot's existing log calls become structured without changing them
+ * @param {Object} [options]
+ * @param {Function} [options.write] - Writes a finished line, defaults to stdout
+ * @param {Function} [options.now] - Returns the current time
+ * @returns {Function} Puts the original console methods back
+ */
+export function installJsonLogging({ write = line => process.stdout.write(`${line}\n`), now = () => new Date() } = {}) {
+  const originals = {};
+  
+  for (const [method, level] of Object.entries(CONSOLE_LEVELS)) {
+    originals[method] = console[method];
+    console[method] = (...args) => {
+      write(JSON.stringify(formatLogEntry(level, args, { time: now(), context: getJobContext() })));
+    };
+  }
+  
+  return () => Object.assign(console, originals);
+}
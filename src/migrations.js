@@ -0,0 +1,529 @@
+// Key for the advisory lock that stops replicas starting together from applying the same migration twice
+const MIGRATION_LOCK_KEY = 7210542;
+
+/**
+ * Numbered schema changes for the milestone database, applied in order and recorded in schema_migrations
+ * Never edit or renumber a migration once it has shipped - add a new one instead.
+ * Migrations 1-11 were the bot's old startup code, so they use IF NOT EXISTS and are no-ops
+ * on databases created before schema_migrations existed. Later ones use it too, so a migration
+ * that's re-run after its row was lost doesn't fail
+ */
+export const MIGRATIONS = [
+  {
+    version: 1,
+    name: 'create_event_tracking',
+    async up(tx) {
+      await tx`
+        CREATE TABLE IF NOT EXISTS event_tracking (
+          event_name TEXT PRIMARY KEY,
+          event_slug TEXT,
+          last_known_count INTEGER NOT NULL,
+          last_milestone_notified INTEGER NOT NULL,
+          last_notified_at TIMESTAMP WITH TIME ZONE,
+          last_updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+        )
+      `;
+    }
+  },
+  {
+    version: 2,
+    name: 'track_goals_and_countdowns',
+    async up(tx) {
+      // Highest GOAL_THRESHOLDS entry announced for each event
+      await tx`
+        ALTER TABLE event_tracking
+          ADD COLUMN IF NOT EXISTS last_goal_notified INTEGER NOT NULL DEFAULT 0
+      `;
+      
+      // Smallest COUNTDOWN_DAYS entry announced for each event
+      await tx`
+        ALTER TABLE event_tracking
+          ADD COLUMN IF NOT EXISTS last_countdown_notified INTEGER
+      `;
+    }
+  },
+  {
+    version: 3,
+    name: 'create_event_settings',
+    async up(tx) {
+      // Time zones and local start times set by admins, overriding the warehouse
+      await tx`
+        CREATE TABLE IF NOT EXISTS event_schedules (
+          event_slug TEXT PRIMARY KEY,
+          time_zone TEXT NOT NULL,
+          starts_at_local TEXT NOT NULL,
+          updated_by TEXT,
+          updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+        )
+      `;
+      
+      // Sign-up goals set by admins, overriding the warehouse capacity
+      await tx`
+        CREATE TABLE IF NOT EXISTS event_goals (
+          event_slug TEXT PRIMARY KEY,
+          capacity INTEGER NOT NULL,
+          updated_by TEXT,
+          updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+        )
+      `;
+      
+      // Region each event belongs to, for routing to REGION_CHANNELS
+      await tx`
+        CREATE TABLE IF NOT EXISTS event_regions (
+          event_slug TEXT PRIMARY KEY,
+          region TEXT NOT NULL,
+          updated_by TEXT,
+          updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+        )
+      `;
+    }
+  },
+  {
+    version: 4,
+    name: 'create_campaigns',
+    async up(tx) {
+      // Campaigns and their phase dates - see CAMPAIGN_PHASES
+      await tx`
+        CREATE TABLE IF NOT EXISTS campaigns (
+          id TEXT PRIMARY KEY,
+          name TEXT NOT NULL,
+          registration_opens_at TIMESTAMP WITH TIME ZONE,
+          event_starts_at TIMESTAMP WITH TIME ZONE NOT NULL,
+          event_ends_at TIMESTAMP WITH TIME ZONE NOT NULL,
+          wrap_up_ends_at TIMESTAMP WITH TIME ZONE NOT NULL,
+          phase_jobs JSONB,
+          announced_phase TEXT,
+          created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+        )
+      `;
+      
+      // Carry over the original Scrapyard dates (the old global cutoff was March 16, 2025 00:00 UTC)
+      // It's already over, so mark it as announced to avoid posting a late recap
+      await tx`
+        INSERT INTO campaigns (id, name, event_starts_at, event_ends_at, wrap_up_ends_at, announced_phase)
+        VALUES (
+          'scrapyard-2025',
+          'Scrapyard',
+          '2025-03-16T00:00:00Z',
+          '2025-03-17T12:00:00Z',
+          '2025-03-24T12:00:00Z',
+          'ended'
+        )
+        ON CONFLICT (id) DO NOTHING
+      `;
+    }
+  },
+  {
+    version: 5,
+    name: 'create_event_subscriptions',
+    async up(tx) {
+      // Slack users who get DMs about an event
+      await tx`
+        CREATE TABLE IF NOT EXISTS event_subscriptions (
+          user_id TEXT NOT NULL,
+          event_slug TEXT NOT NULL,
+          last_digest_rank INTEGER,
+          created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+          PRIMARY KEY (user_id, event_slug)
+        )
+      `;
+    }
+  },
+  {
+    version: 6,
+    name: 'create_signup_snapshots',
+    async up(tx) {
+      // Time series of total signups, written whenever an event's count changes
+      await tx`
+        CREATE TABLE IF NOT EXISTS signup_snapshots (
+          id BIGSERIAL PRIMARY KEY,
+          event_name TEXT NOT NULL,
+          event_slug TEXT,
+          total_sign_ups INTEGER NOT NULL,
+          captured_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+        )
+      `;
+      
+      await tx`
+        CREATE INDEX IF NOT EXISTS signup_snapshots_event_captured_at_idx
+          ON signup_snapshots (event_name, captured_at)
+      `;
+    }
+  },
+  {
+    version: 7,
+    name: 'create_milestone_policies',
+    async up(tx) {
+      // Milestone thresholds - one row per event slug plus an optional 'default' row
+      // NULL columns inherit from the default row, then from DEFAULT_MILESTONE_POLICY
+      await tx`
+        CREATE TABLE IF NOT EXISTS milestone_policies (
+          event_slug TEXT PRIMARY KEY,
+          small_step INTEGER,
+          large_step INTEGER,
+          large_threshold INTEGER,
+          growth_gate NUMERIC,
+          min_count INTEGER,
+          milestones JSONB,
+          updated_by TEXT,
+          updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+        )
+      `;
+      
+      // One of DECREASE_POLICIES, for counts that drop below the last announced milestone
+      await tx`
+        ALTER TABLE milestone_policies
+          ADD COLUMN IF NOT EXISTS on_decrease TEXT
+      `;
+    }
+  },
+  {
+    version: 8,
+    name: 'create_leaderboard_posts',
+    async up(tx) {
+      // Each scheduled leaderboard post and the rows it showed
+      await tx`
+        CREATE TABLE IF NOT EXISTS leaderboard_posts (
+          id BIGSERIAL PRIMARY KEY,
+          channel_id TEXT,
+          window_key TEXT NOT NULL DEFAULT '12h',
+          posted_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+        )
+      `;
+      
+      await tx`
+        CREATE TABLE IF NOT EXISTS leaderboard_post_entries (
+          post_id BIGINT NOT NULL REFERENCES leaderboard_posts (id) ON DELETE CASCADE,
+          event_name TEXT NOT NULL,
+          leaderboard_rank INTEGER NOT NULL,
+          new_sign_ups INTEGER NOT NULL,
+          total_sign_ups INTEGER NOT NULL,
+          PRIMARY KEY (post_id, event_name)
+        )
+      `;
+    }
+  },
+  {
+    version: 9,
+    name: 'create_milestone_outbox',
+    async up(tx) {
+      // Milestone announcements waiting to be sent, written in the same transaction as event_tracking
+      // A worker claims rows for a short lease, so replicas never send the same row at the same time
+      await tx`
+        CREATE TABLE IF NOT EXISTS milestone_outbox (
+          id BIGSERIAL PRIMARY KEY,
+          event_name TEXT NOT NULL,
+          milestone INTEGER NOT NULL,
+          channel_id TEXT NOT NULL,
+          message JSONB NOT NULL,
+          status TEXT NOT NULL DEFAULT 'pending',
+          attempts INTEGER NOT NULL DEFAULT 0,
+          next_attempt_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+          claimed_by TEXT,
+          claimed_until TIMESTAMP WITH TIME ZONE,
+          last_error TEXT,
+          ts TEXT,
+          created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+          sent_at TIMESTAMP WITH TIME ZONE
+        )
+      `;
+      
+      // Milestones after an event's first are posted as replies in its thread
+      await tx`
+        ALTER TABLE milestone_outbox
+          ADD COLUMN IF NOT EXISTS thread_ts TEXT
+      `;
+      
+      await tx`
+        CREATE INDEX IF NOT EXISTS milestone_outbox_pending_idx
+          ON milestone_outbox (next_attempt_at)
+          WHERE status = 'pending'
+      `;
+    }
+  },
+  {
+    version: 10,
+    name: 'create_pinned_leaderboards',
+    async up(tx) {
+      // The live leaderboard message in each channel, edited in place with chat.update
+      await tx`
+        CREATE TABLE IF NOT EXISTS pinned_leaderboards (
+          channel_id TEXT PRIMARY KEY,
+          ts TEXT NOT NULL,
+          updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+        )
+      `;
+    }
+  },
+  {
+    version: 11,
+    name: 'key_events_by_slug',
+    async up(tx) {
+      await tx`
+        ALTER TABLE milestone_outbox
+          ADD COLUMN IF NOT EXISTS event_slug TEXT
+      `;
+      
+      await tx`
+        ALTER TABLE leaderboard_post_entries
+          ADD COLUMN IF NOT EXISTS event_slug TEXT
+      `;
+      
+      await tx`
+        CREATE INDEX IF NOT EXISTS signup_snapshots_event_slug_captured_at_idx
+          ON signup_snapshots (event_slug, captured_at)
+      `;
+      
+      // Old slugs of events whose slug changed or that were merged into another event
+      await tx`
+        CREATE TABLE IF NOT EXISTS event_aliases (
+          alias_slug TEXT PRIMARY KEY,
+          event_slug TEXT NOT NULL,
+          created_by TEXT,
+          created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+        )
+      `;
+      
+      // Databases the old startup code already moved to slugs have nothing left to do
+      const primaryKey = await tx`
+        SELECT a.attname AS column_name
+        FROM pg_index AS i
+        JOIN pg_attribute AS a ON a.attrelid = i.indrelid AND a.attnum = ANY(i.indkey)
+        WHERE i.indrelid = 'event_tracking'::regclass AND i.indisprimary
+      `;
+      if (primaryKey.length !== 1 || primaryKey[0].column_name !== 'event_name') {
+        return;
+      }
+      
+      // Rows from before slugs were recorded can't be matched to an event, so keep them under their name
+      await tx`UPDATE event_tracking SET event_slug = event_name WHERE event_slug IS NULL`;
+      
+      // Outbox rows only had the name, which still maps to a slug until the duplicates are merged
+      await tx`
+        UPDATE milestone_outbox AS outbox
+        SET event_slug = tracking.event_slug
+        FROM event_tracking AS tracking
+        WHERE outbox.event_slug IS NULL AND outbox.event_name = tracking.event_name
+      `;
+      
+      // Rows that share a slug are the same event under an old and a new name, so keep the
+      // highest milestone and goal either announced and nothing is announced twice
+      await tx`
+        UPDATE event_tracking AS tracking
+        SET
+          last_milestone_notified = merged.last_milestone_notified,
+          last_goal_notified = merged.last_goal_notified,
+          last_countdown_notified = merged.last_countdown_notified,
+          last_notified_at = merged.last_notified_at
+        FROM (
+          SELECT
+            event_slug,
+            MAX(last_milestone_notified) AS last_milestone_notified,
+            MAX(last_goal_notified) AS last_goal_notified,
+            MIN(last_countdown_notified) AS last_countdown_notified,
+            MAX(last_notified_at) AS last_notified_at
+          FROM event_tracking
+          GROUP BY event_slug
+          HAVING COUNT(*) > 1
+        ) AS merged
+        WHERE tracking.event_slug = merged.event_slug
+      `;
+      
+      // Keep the most recently updated row, which has the current name and count
+      const removed = await tx`
+        DELETE FROM event_tracking AS tracking
+        USING event_tracking AS newer
+        WHERE tracking.event_slug = newer.event_slug
+          AND (tracking.last_updated_at, tracking.event_name) < (newer.last_updated_at, newer.event_name)
+        RETURNING tracking.event_name
+      `;
+      
+      await tx`ALTER TABLE event_tracking DROP CONSTRAINT event_tracking_pkey`;
+      await tx`ALTER TABLE event_tracking ALTER COLUMN event_slug SET NOT NULL`;
+      await tx`ALTER TABLE event_tracking ADD PRIMARY KEY (event_slug)`;
+      
+      console.log(`Keyed event_tracking by slug, merging ${removed.length} renamed events`);
+    }
+  },
+  {
+    version: 12,
+    name: 'create_job_schedules',
+    async up(tx) {
+      // Admin overrides of JOB_DEFINITIONS; a NULL cron_time keeps the job's default time
+      await tx`
+        CREATE TABLE IF NOT EXISTS job_schedules (
+          job_key TEXT PRIMARY KEY,
+          cron_time TEXT,
+          paused BOOLEAN NOT NULL DEFAULT FALSE,
+          updated_by TEXT,
+          updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+        )
+      `;
+    }
+  },
+  {
+    version: 13,
+    name: 'track_stall_nudges',
+    async up(tx) {
+      // When organizers were last nudged about an event with no new sign-ups
+      await tx`ALTER TABLE event_tracking ADD COLUMN IF NOT EXISTS stall_notified_at TIMESTAMP WITH TIME ZONE`;
+    }
+  },
+  {
+    version: 14,
+    name: 'key_leaderboard_post_entries_by_slug',
+    async up(tx) {
+      // Nothing to do if a previous run already keyed the entries by slug
+      const primaryKey = await tx`
+        SELECT a.attname AS column_name
+        FROM pg_index AS i
+        JOIN pg_attribute AS a ON a.attrelid = i.indrelid AND a.attnum = ANY(i.indkey)
+        WHERE i.indrelid = 'leaderboard_post_entries'::regclass AND i.indisprimary
+      `;
+      if (primaryKey.some(row => row.column_name === 'event_slug')) {
+        return;
+      }
+      
+      // Entries from before slugs were recorded take the slug their name is tracked under, or else keep the name
+      await tx`
+        UPDATE leaderboard_post_entries AS entries
+        SET event_slug = COALESCE(
+          (SELECT tracking.event_slug FROM event_tracking AS tracking WHERE tracking.event_name = entries.event_name LIMIT 1),
+          entries.event_name
+        )
+        WHERE entries.event_slug IS NULL
+      `;
+      
+      // A renamed event can show up under its old and new name in one post, so keep its best-ranked row
+      const removed = await tx`
+        DELETE FROM leaderboard_post_entries AS entries
+        USING leaderboard_post_entries AS better
+        WHERE entries.post_id = better.post_id
+          AND entries.event_slug = better.event_slug
+          AND (entries.leaderboard_rank, entries.event_name) > (better.leaderboard_rank, better.event_name)
+        RETURNING entries.event_name
+      `;
+      
+      await tx`ALTER TABLE leaderboard_post_entries DROP CONSTRAINT leaderboard_post_entries_pkey`;
+      await tx`ALTER TABLE leaderboard_post_entries ALTER COLUMN event_slug SET NOT NULL`;
+      await tx`ALTER TABLE leaderboard_post_entries ADD PRIMARY KEY (post_id, event_slug)`;
+      
+      console.log(`Keyed leaderboard_post_entries by slug, dropping ${removed.length} duplicate entries`);
+    }
+  }
+];
+
+/**
+ * Works out which migrations haven't been applied yet
+ * @param {Array} migrations - Every migration, e.g. MIGRATIONS
+ * @param {Array<number>} appliedVersions - Versions recorded in schema_migrations
+ * @returns {Array} The pending migrations, in the order they should run
+ */
+export function getPendingMigrations(migrations, appliedVersions) {
+  const versions = migrations.map(migration => migration.version);
+  versions.forEach((version, index) => {
+    if (!Number.isInteger(version) || (index > 0 && version <= versions[index - 1])) {
+      throw new Error(`Migration versions must be increasing integers, but ${version} follows ${versions[index - 1]}`);
+    }
+  });
+  
+  // A database migrated by a newer release would be missing changes this one relies on being absent
+  const unknown = appliedVersions.filter(version => !versions.includes(version));
+  if (unknown.length > 0) {
+    throw new Error(`The milestone database has migrations this release doesn't know about: ${unknown.join(', ')}`);
+  }
+  
+  return migrations.filter(migration => !appliedVersions.includes(migration.version));
+}
+
+/**
+ * Formats a migration for logs, e.g. "0011_key_events_by_slug"
+ * @param {Object} migration - An entry of MIGRATIONS
+ * @returns {string} The migration's version and name
+ */
+export function formatMigrationName(migration) {
+  return `${String(migration.version).padStart(4, '0')}_${migration.name}`;
+}
+
+/**
+ * Creates the migration runner for the milestone database
+ * @param {Object} db - A Bun SQL client connected to the milestone database
+ * @param {Array} [migrations] - The migrations to apply, MIGRATIONS unless testing
+ * @returns {Object} The migration runner
+ */
+export function createMigrator(db, migrations = MIGRATIONS) {
+  /**
+   * Fetches the versions already applied
+   * @returns {Promise<Array<number>>} The applied versions, empty if schema_migrations doesn't exist yet
+   */
+  async function fetchAppliedVersions() {
+    const [{ exists }] = await db`SELECT to_regclass('schema_migrations') IS NOT NULL AS exists`;
+    if (!exists) {
+      return [];
+    }
+    
+    const result = await db`SELECT version FROM schema_migrations ORDER BY version`;
+    return result.map(row => Number(row.version));
+  }
+  
+  /**
+   * Applies every pending migration, each in its own transaction with its schema_migrations row
+   * Throws if a migration fails, after rolling that migration back, so the bot doesn't start
+   * against a schema it doesn't expect
+   * @param {Object} [options]
+   * @param {boolean} [options.dryRun] - Only print the pending migrations, without applying them
+   * @returns {Promise<Array>} The migrations that were (or in a dry run, would be) applied
+   */
+  async function runMigrations({ dryRun = false } = {}) {
+    const pending = getPendingMigrations(migrations, await fetchAppliedVersions());
+    
+    if (pending.length === 0) {
+      console.log('Milestone database is up to date');
+      return [];
+    }
+    
+    if (dryRun) {
+      console.log(`${pending.length} pending migration(s) (dry run, nothing applied):`);
+      for (const migration of pending) {
+        console.log(`- ${formatMigrationName(migration)}`);
+      }
+      return pending;
+    }
+    
+    const applied = [];
+    for (const migration of pending) {
+      const ran = await db.begin(async tx => {
+        // Held until the transaction ends; another replica waits here, then sees the row and skips
+        await tx`SELECT pg_advisory_xact_lock(${MIGRATION_LOCK_KEY})`;
+        // Created under the lock, so replicas starting on an empty database don't race to create it
+        await tx`
+          CREATE TABLE IF NOT EXISTS schema_migrations (
+            version INTEGER PRIMARY KEY,
+            name TEXT NOT NULL,
+            applied_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+          )
+        `;
+        const [existing] = await tx`SELECT version FROM schema_migrations WHERE version = ${migration.version}`;
+        if (existing) {
+          return false;
+        }
+        
+        await migration.up(tx);
+        await tx`INSERT INTO schema_migrations (version, name) VALUES (${migration.version}, ${migration.name})`;
+        return true;
+      });
+      
+      if (ran) {
+        console.log(`Applied migration ${formatMigrationName(migration)}`);
+        applied.push(migration);
+      }
+    }
+    
+    return applied;
+  }
+  
+  return {
+    fetchAppliedVersions,
+    runMigrations
+  };
+}
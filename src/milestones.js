@@ -0,0 +1,305 @@
+import { formatInTimeZone } from 'date-fns-tz';
+import { DEFAULT_TIME_ZONE } from './config.js';
+import { formatGoalProgress } from './goals.js';
+
+// Built-in milestone policy, used for any field not set in the milestone_policies table
+// A growth_gate of 1.2 means a new milestone must be 20% above the last one once past large_threshold
+export const DEFAULT_MILESTONE_POLICY = {
+  small_step: 10,
+  large_step: 20,
+  large_threshold: 50,
+  growth_gate: 1.2,
+  min_count: 10,
+  milestones: null,
+  on_decrease: 'hold'
+};
+
+// What happens to an event's last announced milestone when its count drops below it
+// hold: keep it, so milestones already celebrated are never announced twice
+// rearm: lower it to the new count's milestone, so they're announced again once the count climbs back
+export const DECREASE_POLICIES = ['hold', 'rearm'];
+
+// The event_slug of the policy row that applies to every event
+export const DEFAULT_POLICY_SLUG = 'default';
+
+// Policy fields that can be changed with `/scrapyard-leaderboard policy <slug> set`
+export const POLICY_FIELDS = Object.keys(DEFAULT_MILESTONE_POLICY);
+
+/**
+ * Resolves the effective milestone policy for an event
+ * Fields set on the event's row win, then the default row, then the built-in policy
+ * @param {Map} policies - Policy rows keyed by event slug
+ * @param {string} eventSlug - The slug of the event
+ * @returns {Object} The effective policy
+ */
+export function resolveMilestonePolicy(policies, eventSlug) {
+  const layers = [policies.get(DEFAULT_POLICY_SLUG), policies.get(eventSlug)].filter(Boolean);
+  const policy = { ...DEFAULT_MILESTONE_POLICY };
+  
+  for (const layer of layers) {
+    for (const field of POLICY_FIELDS) {
+      if (layer[field] !== null && layer[field] !== undefined) {
+        policy[field] = field === 'milestones' || field === 'on_decrease' ? layer[field] : Number(layer[field]);
+      }
+    }
+  }
+  
+  return policy;
+}
+
+/**
+ * Parses `field=value` pairs from the policy admin command
+ * @param {Array<string>} args - The pairs, e.g. ["large_step=50", "milestones=25,50,100"]
+ * @returns {Object} Either { changes } with the parsed values or { error } with a message
+ */
+export function parsePolicyChanges(args) {
+  const changes = {};
+  
+  for (const arg of args) {
+    const [field, value] = arg.split('=');
+    
+    if (!POLICY_FIELDS.includes(field) || value === undefined || value === '') {
+      return { error: `Unknown setting \`${arg}\`. Use one of: ${POLICY_FIELDS.map(f => `\`${f}=…\``).join(', ')}` };
+    }
+    
+    // "inherit" clears the field so it falls back to the default policy
+    if (value === 'inherit') {
+      changes[field] = null;
+      continue;
+    }
+    
+    if (field === 'milestones') {
+      // "off" stores an empty list so the step settings apply even if the default has a list
+      const list = value === 'off' ? [] : value.split(',').map(Number);
+      if (list.some(n => !Number.isInteger(n) || n <= 0)) {
+        return { error: `\`milestones\` must be a comma-separated list of positive numbers, e.g. \`milestones=25,50,100,250\`` };
+      }
+      changes.milestones = [...new Set(list)].sort((a, b) => a - b);
+    } else if (field === 'growth_gate') {
+      // A gate of 1 never blocks a milestone
+      const gate = value === 'off' ? 1 : Number(value);
+      if (!Number.isFinite(gate) || gate < 1) {
+        return { error: "`growth_gate` must be a number of at least 1 (e.g. `1.2` for 20%) or `off`" };
+      }
+      changes.growth_gate = gate;
+    } else if (field === 'on_decrease') {
+      if (!DECREASE_POLICIES.includes(value)) {
+        return { error: `\`on_decrease\` must be one of: ${DECREASE_POLICIES.map(p => `\`${p}\``).join(', ')}` };
+      }
+      changes.on_decrease = value;
+    } else {
+      const number = Number(value);
+      if (!Number.isInteger(number) || number < 0 || (field.endsWith('_step') && number === 0)) {
+        return { error: `\`${field}\` must be a whole number${field.endsWith('_step') ? ' above 0' : ''}` };
+      }
+      changes[field] = number;
+    }
+  }
+  
+  if (Object.keys(changes).length === 0) {
+    return { error: "Nothing to change. Example: `/scrapyard-leaderboard policy austin set large_step=50`" };
+  }
+  
+  return { changes };
+}
+
+/**
+ * Formats an event's effective milestone policy for display
+ * @param {string} eventSlug - The event slug, or DEFAULT_POLICY_SLUG
+ * @param {Map} policies - Policy rows keyed by event slug
+ * @param {string} [timeZone] - The IANA time zone the last change is shown in
+ * @returns {Object} A formatted Slack message
+ */
+export function formatMilestonePolicyMessage(eventSlug, policies, timeZone = DEFAULT_TIME_ZONE) {
+  const policy = resolveMilestonePolicy(policies, eventSlug);
+  const override = policies.get(eventSlug);
+  
+  const rows = POLICY_FIELDS.map(field => {
+    let value = policy[field];
+    if (field === 'milestones') {
+      value = value && value.length > 0 ? value.join(', ') : 'none (using steps)';
+    } else if (field === 'growth_gate') {
+      value = value > 1 ? `${value} (+${Math.round((value - 1) * 100)}%)` : 'off';
+    }
+    const source = override && override[field] !== null && override[field] !== undefined ? ' _(set here)_' : '';
+    return `• \`${field}\`: ${value}${source}`;
+  });
+  
+  const updatedText = override
+    ? `Last changed by <@${override.updated_by}> on ${formatInTimeZone(new Date(override.updated_at), timeZone, 'MMMM d, h:mm a zzz')}`
+    : "No settings stored for this policy yet";
+  
+  return {
+    blocks: [
+      {
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text: `*Milestone policy for \`${eventSlug}\`*\n${rows.join('\n')}`
+        }
+      },
+      {
+        type: "context",
+        elements: [
+          {
+            type: "mrkdwn",
+            text: `${updatedText} · \`/scrapyard-leaderboard policy ${eventSlug} set field=value\` to change, \`reset\` to remove`
+          }
+        ]
+      }
+    ],
+    text: `Milestone policy for ${eventSlug}` // Fallback text
+  };
+}
+
+/**
+ * Determines the next milestone for an event based on its total registrations
+ * @param {number} totalRegistrations - The total number of registrations
+ * @param {Object} [policy] - The event's milestone policy
+ * @returns {number} The milestone this count falls into
+ */
+export function getNextMilestone(totalRegistrations, policy = DEFAULT_MILESTONE_POLICY) {
+  if (policy.milestones && policy.milestones.length > 0) {
+    // Explicit milestone list - the highest entry this count has reached
+    const reached = policy.milestones.filter(milestone => milestone <= totalRegistrations);
+    return reached.length > 0 ? Math.max(...reached) : 0;
+  }
+  
+  if (totalRegistrations < policy.large_threshold) {
+    // Below the threshold (50 by default), milestone every small_step (10)
+    return Math.floor(totalRegistrations / policy.small_step) * policy.small_step;
+  } else {
+    // At or above the threshold, milestone at multiples of large_step (20)
+    return Math.floor(totalRegistrations / policy.large_step) * policy.large_step;
+  }
+}
+
+/**
+ * Lists every milestone above one value and up to another
+ * @param {number} fromMilestone - The last milestone already passed, excluded from the list
+ * @param {number} toMilestone - The milestone the count is at now, included in the list
+ * @param {Object} [policy] - The event's milestone policy
+ * @returns {Array<number>} The milestones in ascending order, e.g. [60, 80, 100]
+ */
+export function getMilestonesBetween(fromMilestone, toMilestone, policy = DEFAULT_MILESTONE_POLICY) {
+  const milestones = new Set();
+  
+  // Walking the counts keeps this in step with getNextMilestone whatever the policy
+  for (let count = fromMilestone + 1; count <= toMilestone; count++) {
+    const milestone = getNextMilestone(count, policy);
+    if (milestone > fromMilestone) {
+      milestones.add(milestone);
+    }
+  }
+  
+  return [...milestones].sort((a, b) => a - b);
+}
+
+/**
+ * Picks the emoji for a milestone announcement
+ * @param {number} milestoneCount - The milestone
+ * @returns {string} The emoji
+ */
+function getMilestoneEmoji(milestoneCount) {
+  if (milestoneCount >= 100) {
+    return "🚀";
+  } else if (milestoneCount >= 50) {
+    return "🔥";
+  }
+  return "🎉";
+}
+
+/**
+ * Adds a goal progress line to a milestone announcement for events with a goal
+ * @param {Array} blocks - The message blocks, changed in place
+ * @param {number} [currentCount] - The event's actual total
+ * @param {number} [capacity] - The event's goal, if it has one
+ */
+function addGoalProgress(blocks, currentCount, capacity) {
+  // Show how close the event is to filling its venue
+  if (capacity) {
+    blocks.push({
+      type: "context",
+      elements: [
+        {
+          type: "mrkdwn",
+          text: formatGoalProgress(currentCount, capacity)
+        }
+      ]
+    });
+  }
+}
+
+/**
+ * Formats a congratulatory message for an event that reached a milestone
+ * @param {string} eventName - The name of the event
+ * @param {number} milestoneCount - The milestone this count falls into
+ * @param {number} [currentCount] - The event's actual total, used for goal progress
+ * @param {number} [capacity] - The event's goal, if it has one
+ * @returns {Object} A formatted Slack message
+ */
+export function formatMilestoneMessage(eventName, milestoneCount, currentCount, capacity) {
+  const emoji = getMilestoneEmoji(milestoneCount);
+  
+  // Simple, direct message format with the milestone count instead of current count
+  const message = `*${eventName}* just hit *${milestoneCount} signups*!`;
+  
+  const blocks = [
+    {
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: `${emoji} ${message}`
+      }
+    }
+  ];
+  
+  addGoalProgress(blocks, currentCount, capacity);
+  
+  return {
+    blocks,
+    text: `${eventName} reached ${milestoneCount} signups!` // Fallback text for notifications
+  };
+}
+
+// How a catch-up message explains the milestones it announces together
+export const CATCH_UP_WORDING = {
+  // A bulk import landed between two checks
+  import: 'all at once',
+  // The bot was down or missed checks
+  away: 'while we were away',
+  // Some were held back by the growth gate at earlier checks
+  held: 'since our last update'
+};
+
+/**
+ * Formats a single message for an event that passed several milestones between two checks
+ * @param {string} eventName - The name of the event
+ * @param {Array<number>} milestones - The milestones passed, in ascending order
+ * @param {number} currentCount - The event's actual total
+ * @param {number} [capacity] - The event's goal, if it has one
+ * @param {string} [reason] - A key of CATCH_UP_WORDING: why the milestones weren't announced one by one
+ * @returns {Object} A formatted Slack message
+ */
+export function formatMilestoneCatchUpMessage(eventName, milestones, currentCount, capacity, reason = 'import') {
+  const emoji = getMilestoneEmoji(milestones[milestones.length - 1]);
+  const list = `${milestones.slice(0, -1).join(', ')} and ${milestones[milestones.length - 1]}`;
+  const when = CATCH_UP_WORDING[reason];
+  
+  const blocks = [
+    {
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: `${emoji} *${eventName}* passed *${list} signups* ${when}! They're now at *${currentCount}*.`
+      }
+    }
+  ];
+  
+  addGoalProgress(blocks, currentCount, capacity);
+  
+  return {
+    blocks,
+    text: `${eventName} passed ${list} signups ${when}!` // Fallback text for notifications
+  };
+}
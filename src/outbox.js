@@ -0,0 +1,69 @@
+// Rows claimed per delivery run
+export const OUTBOX_BATCH_SIZE = 20;
+
+// How long a claim lasts; a worker that crashes mid-send releases its rows when this runs out
+export const OUTBOX_LEASE_SECONDS = 5 * 60;
+
+// Attempts before a row is marked failed
+export const OUTBOX_MAX_ATTEMPTS = 8;
+
+// Waits between retries of a failed markOutboxSent write, so a brief database error doesn't leave a posted row to be sent again
+export const OUTBOX_SENT_RETRY_DELAYS_MS = [250, 1000];
+
+// Message metadata type tagging each outbox post with its row, so a later attempt can find it in Slack
+export const OUTBOX_EVENT_TYPE = 'milestone_outbox_post';
+
+// Backoff for errors that don't say how long to wait: 30s, 1m, 2m, ... capped at 30m
+const BASE_RETRY_SECONDS = 30;
+const MAX_RETRY_SECONDS = 30 * 60;
+
+/**
+ * Works out what to do with an outbox row after a failed send
+ * Rate limits wait as long as Slack asks; Slack rejecting the request (e.g. channel_not_found)
+ * won't change on a retry so it fails straight away; anything else backs off exponentially
+ * @param {Error} error - The error thrown by chat.postMessage
+ * @param {number} attempts - Attempts made so far, including the one that failed
+ * @returns {Object} { retry: false } to give up, or { retry: true, delaySeconds }
+ */
+export function getOutboxRetry(error, attempts) {
+  if (attempts >= OUTBOX_MAX_ATTEMPTS) {
+    return { retry: false };
+  }
+  
+  if (error.code === 'slack_webapi_rate_limited_error') {
+    return { retry: true, delaySeconds: Math.max(1, Number(error.retryAfter) || BASE_RETRY_SECONDS) };
+  }
+  
+  if (error.code === 'slack_webapi_platform_error' && error.data && error.data.error !== 'ratelimited') {
+    return { retry: false };
+  }
+  
+  const delaySeconds = Math.min(BASE_RETRY_SECONDS * 2 ** (attempts - 1), MAX_RETRY_SECONDS);
+  return { retry: true, delaySeconds };
+}
+
+/**
+ * Builds the message metadata that tags a post with its outbox row
+ * @param {Object} row - The outbox row
+ * @returns {Object} Metadata for chat.postMessage
+ */
+export function formatOutboxMetadata(row) {
+  return {
+    event_type: OUTBOX_EVENT_TYPE,
+    event_payload: { outbox_id: String(row.id) }
+  };
+}
+
+/**
+ * Finds the post an earlier attempt at an outbox row made, among messages fetched with their metadata
+ * @param {Array} messages - Messages from conversations.history or conversations.replies
+ * @param {Object} row - The outbox row
+ * @returns {string|null} The earlier post's ts, or null if the row hasn't been posted
+ */
+export function findOutboxPost(messages, row) {
+  const post = messages.find(message => message.metadata
+    && message.metadata.event_type === OUTBOX_EVENT_TYPE
+    && message.metadata.event_payload
+    && message.metadata.event_payload.outbox_id === String(row.id));
+  return post ? post.ts : null;
+}
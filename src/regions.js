@@ -0,0 +1,43 @@
+/**
+ * Parses the REGION_CHANNELS setting, e.g. "europe=C0123,asia=C0456"
+ * @param {string} [value] - The raw setting
+ * @returns {Map} Slack channel IDs keyed by region
+ */
+export function parseRegionChannels(value) {
+  const regionChannels = new Map();
+  
+  for (const entry of (value || '').split(',')) {
+    const [region, channelId] = entry.split('=').map(part => part && part.trim());
+    if (region && channelId) {
+      regionChannels.set(region.toLowerCase(), channelId);
+    }
+  }
+  
+  return regionChannels;
+}
+
+/**
+ * Turns a region key into a display name, e.g. "north-america" into "North America"
+ * @param {string} region - The region key
+ * @returns {string} The display name
+ */
+export function formatRegionName(region) {
+  return region
+    .split(/[-_\s]+/)
+    .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+    .join(' ');
+}
+
+/**
+ * Picks the channel an event's announcements go to
+ * Events in a region with its own channel post there; everything else goes to the main channel
+ * @param {string} eventSlug - The slug of the event
+ * @param {Map} eventRegions - Regions keyed by event slug
+ * @param {Map} regionChannels - Slack channel IDs keyed by region
+ * @param {string} defaultChannel - The main channel
+ * @returns {string} The Slack channel ID
+ */
+export function getEventChannel(eventSlug, eventRegions, regionChannels, defaultChannel) {
+  const region = eventRegions.get(eventSlug);
+  return (region && regionChannels.get(region)) || defaultChannel;
+}
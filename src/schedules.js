@@ -0,0 +1,111 @@
+import { formatInTimeZone, fromZonedTime } from 'date-fns-tz';
+
+// Days before an event's local start that get a countdown announcement
+export const COUNTDOWN_DAYS = [7, 3, 1];
+
+/**
+ * Checks whether a string is a time zone the runtime knows, e.g. "Asia/Tokyo"
+ * @param {string} timeZone - The IANA time zone name
+ * @returns {boolean} True if the time zone is valid
+ */
+export function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Converts an event's local start time into a schedule
+ * @param {string} timeZone - The IANA time zone name
+ * @param {string} startsAtLocal - The local start time, e.g. "2025-03-15T10:00"
+ * @returns {Object|null} { timeZone, startsAt } with startsAt as a Date, or null if either part is invalid
+ */
+export function buildEventSchedule(timeZone, startsAtLocal) {
+  if (!timeZone || !startsAtLocal || !isValidTimeZone(timeZone)) {
+    return null;
+  }
+  
+  const startsAt = fromZonedTime(startsAtLocal, timeZone);
+  return Number.isNaN(startsAt.getTime()) ? null : { timeZone, startsAt };
+}
+
+/**
+ * Works out whether a countdown announcement is due for an event
+ * @param {Date} startsAt - When the event starts
+ * @param {Date} now - The current time
+ * @param {number|null} lastCountdownNotified - The last countdown day announced, or null if none
+ * @returns {Object|null} { daysLeft, countdown } if an announcement is due, otherwise null
+ */
+export function getDueCountdown(startsAt, now, lastCountdownNotified) {
+  const daysLeft = Math.ceil((startsAt.getTime() - now.getTime()) / (24 * 60 * 60 * 1000));
+  const due = COUNTDOWN_DAYS.filter(days => daysLeft <= days);
+  
+  if (due.length === 0) {
+    return null;
+  }
+  
+  const countdown = Math.min(...due);
+  if (lastCountdownNotified !== null && lastCountdownNotified !== undefined && countdown >= lastCountdownNotified) {
+    return null;
+  }
+  
+  return { daysLeft, countdown };
+}
+
+/**
+ * Returns when an event starts, falling back to the campaign's start for events without a schedule
+ * @param {Object|undefined} schedule - The event's schedule
+ * @param {Object|null} campaign - The current campaign
+ * @returns {Date|null} The start time, or null if neither is known
+ */
+export function getEventStart(schedule, campaign) {
+  if (schedule) {
+    return schedule.startsAt;
+  }
+  return campaign ? new Date(campaign.event_starts_at) : null;
+}
+
+/**
+ * Formats an event's start in its own time zone
+ * @param {Object} schedule - The event's schedule
+ * @returns {string} e.g. "Saturday, March 15 at 10:00 AM JST"
+ */
+export function formatEventStart(schedule) {
+  return formatInTimeZone(schedule.startsAt, schedule.timeZone, "EEEE, MMMM d 'at' h:mm a zzz");
+}
+
+/**
+ * Formats a countdown announcement for an event
+ * @param {string} eventName - The name of the event
+ * @param {Object} schedule - The event's schedule
+ * @param {number} daysLeft - Whole days until the event starts, rounded up
+ * @returns {Object} A formatted Slack message
+ */
+export function formatCountdownMessage(eventName, schedule, daysLeft) {
+  const when = daysLeft <= 1 ? 'within a day' : `in ${daysLeft} days`;
+  
+  return {
+    blocks: [
+      {
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text: `⏳ *${eventName}* starts ${when}!`
+        }
+      },
+      {
+        type: "context",
+        elements: [
+          {
+            type: "mrkdwn",
+            text: `Kicks off ${formatEventStart(schedule)}`
+          }
+        ]
+      }
+    ],
+    text: `${eventName} starts ${when}!` // Fallback text for notifications
+  };
+}
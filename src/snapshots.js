@@ -0,0 +1,27 @@
+/**
+ * Works out how many people signed up on each of the past few days from an event's snapshots
+ * Shared by the Home tab's trends and the weekly awards
+ * @param {Array} snapshots - Rows with total_sign_ups and captured_at, oldest first
+ * @param {Date} now - The current time
+ * @param {number} days - How many days to cover
+ * @returns {Array<number>} New sign-ups per 24 hour period, oldest first
+ */
+export function getDailySignups(snapshots, now, days) {
+  const dayMs = 24 * 60 * 60 * 1000;
+  
+  // The total at a moment is the latest snapshot captured before it
+  // Before the first snapshot, assume the event already had that many so old events don't spike
+  const totalAt = time => {
+    let total = snapshots.length > 0 ? Number(snapshots[0].total_sign_ups) : 0;
+    for (const snapshot of snapshots) {
+      if (new Date(snapshot.captured_at).getTime() > time) break;
+      total = Number(snapshot.total_sign_ups);
+    }
+    return total;
+  };
+  
+  return Array.from({ length: days }, (_, index) => {
+    const end = now.getTime() - (days - index - 1) * dayMs;
+    return Math.max(0, totalAt(end) - totalAt(end - dayMs));
+  });
+}
@@ -0,0 +1,138 @@
+import { getEventStart } from './schedules.js';
+
+// Promotion ideas sent to organizers whose event has stopped getting sign-ups
+export const STALL_TIPS = [
+  'Share the sign-up link in your school or club group chats',
+  'Ask the people who already signed up to bring a friend',
+  'Put up posters where students hang out, with a QR code to the sign-up page',
+  'Post a sneak peek of your venue, prizes or schedule on social media',
+  'Reach out to a teacher or local makerspace to spread the word'
+];
+
+/**
+ * Finds events whose sign-ups haven't gone up for a while and haven't started yet
+ * Renames and dropping counts also update a tracking record, so quiet days are counted from the signup history
+ * @param {Map} trackingRecords - Tracking records keyed by event slug, from fetchAllEventTracking
+ * @param {Object} options
+ * @param {Date} options.now - The current time
+ * @param {number} options.stallDays - How many days without new sign-ups count as stalled
+ * @param {Map} options.schedules - Event schedules keyed by event slug
+ * @param {Object|null} options.campaign - The current campaign, whose start is used for events without a schedule
+ * @param {Map} options.lastIncreases - When each event's sign-ups last went up keyed by event slug, from fetchLastSignupIncreases
+ * @returns {Array} The stalled tracking records with last_increase_at and quietDays added, quietest first
+ */
+export function findStalledEvents(trackingRecords, { now, stallDays, schedules, campaign, lastIncreases }) {
+  const stalled = [];
+  
+  for (const record of trackingRecords.values()) {
+    // Once an event is underway there's nothing left to promote
+    const eventStart = getEventStart(schedules.get(record.event_slug), campaign);
+    if (eventStart !== null && now >= eventStart) {
+      continue;
+    }
+    
+    // Events with no history yet fall back to when their record last changed
+    const lastIncreaseAt = new Date(lastIncreases.get(record.event_slug) || record.last_updated_at);
+    const quietDays = Math.floor((now - lastIncreaseAt) / (24 * 60 * 60 * 1000));
+    if (quietDays >= stallDays) {
+      stalled.push({ ...record, last_increase_at: lastIncreaseAt, quietDays });
+    }
+  }
+  
+  return stalled.sort((a, b) => b.quietDays - a.quietDays || a.event_name.localeCompare(b.event_name));
+}
+
+/**
+ * Checks whether an event's organizers should be nudged about it stalling
+ * Organizers are nudged once per stall; new sign-ups after a nudge start a new one
+ * @param {Object} record - A stalled event from findStalledEvents
+ * @returns {boolean} True if they haven't been nudged since its last new sign-ups
+ */
+export function shouldNudge(record) {
+  return !record.stall_notified_at || new Date(record.stall_notified_at) < new Date(record.last_increase_at);
+}
+
+/**
+ * Formats the private report of stalled events for the core team
+ * @param {Array} stalled - Stalled events from findStalledEvents
+ * @param {number} stallDays - How many days without new sign-ups count as stalled
+ * @param {Map} subscriberCounts - How many organizers follow each event, keyed by event slug
+ * @returns {Object} A formatted Slack message
+ */
+export function formatStallReport(stalled, stallDays, subscriberCounts) {
+  const lines = stalled.map(event => {
+    const followers = subscriberCounts.get(event.event_slug) || 0;
+    const reach = followers > 0
+      ? `${followers} organizer${followers === 1 ? '' : 's'} subscribed`
+      : '_no organizers subscribed_';
+    return `• *${event.event_name}* · ${event.last_known_count} sign-ups · quiet for ${event.quietDays} days · ${reach}`;
+  });
+  
+  return {
+    blocks: [
+      {
+        type: "header",
+        text: {
+          type: "plain_text",
+          text: `🐢 ${stalled.length} stalled event${stalled.length === 1 ? '' : 's'}`,
+          emoji: true
+        }
+      },
+      {
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text: lines.join('\n')
+        }
+      },
+      {
+        type: "context",
+        elements: [
+          {
+            type: "mrkdwn",
+            text: `Events that haven't started yet with no new sign-ups in ${stallDays}+ days. Events with no subscribed organizers can't be nudged.`
+          }
+        ]
+      }
+    ],
+    text: `${stalled.length} stalled events` // Fallback text for notifications
+  };
+}
+
+/**
+ * Formats the gentle nudge sent to an event's organizers
+ * @param {Object} event - A stalled event from findStalledEvents
+ * @returns {Object} A formatted Slack message
+ */
+export function formatStallNudge(event) {
+  const tips = STALL_TIPS.map(tip => `• ${tip}`).join('\n');
+  
+  return {
+    blocks: [
+      {
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text: `👋 *${event.event_name}* hasn't had any new sign-ups in ${event.quietDays} days. There's still time to get the word out before the big day!`
+        }
+      },
+      {
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text: `*A few ideas that have worked for other events:*\n${tips}`
+        }
+      },
+      {
+        type: "context",
+        elements: [
+          {
+            type: "mrkdwn",
+            text: "Need a hand? Reach out to the Scrapyard team any time."
+          }
+        ]
+      }
+    ],
+    text: `${event.event_name} hasn't had any new sign-ups in ${event.quietDays} days` // Fallback text for notifications
+  };
+}
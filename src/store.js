@@ -0,0 +1,963 @@
+/**
+ * Creates the queries the bot runs against the milestone database
+ * @param {Object} db - A Bun SQL client connected to the milestone database
+ * @returns {Object} The milestone database queries
+ */
+export function createStore(db) {
+  /**
+   * Runs a trivial query to check the connection
+   */
+  async function ping() {
+    await db`SELECT 1 as test`;
+  }
+  
+  /**
+   * Fetches the entries of the most recent scheduled leaderboard post for a window
+   * @param {string} windowKey - A key of LEADERBOARD_WINDOWS
+   * @returns {Promise<Map>} Entries keyed by event slug (by name for entries recorded before slugs were), empty if nothing has been posted yet
+   */
+  async function fetchPreviousLeaderboard(windowKey) {
+    const result = await db`
+      SELECT entries.*
+      FROM leaderboard_post_entries AS entries
+      WHERE entries.post_id = (
+        SELECT id FROM leaderboard_posts
+        WHERE window_key = ${windowKey}
+        ORDER BY posted_at DESC
+        LIMIT 1
+      )
+    `;
+    return new Map(result.map(entry => [entry.event_slug || entry.event_name, entry]));
+  }
+  
+  /**
+   * Records a scheduled leaderboard post so the next one can show changes against it
+   * @param {string} channelId - The channel the leaderboard was posted to
+   * @param {string} windowKey - The window the leaderboard was ranked by
+   * @param {Array} data - The leaderboard data that was posted
+   */
+  async function recordLeaderboardPost(channelId, windowKey, data) {
+    await db.begin(async tx => {
+      const [post] = await tx`
+        INSERT INTO leaderboard_posts (channel_id, window_key, posted_at)
+        VALUES (${channelId}, ${windowKey}, NOW())
+        RETURNING id
+      `;
+      
+      // Rows are in rank order, so a renamed event listed under both names keeps its better-ranked row
+      for (const event of data) {
+        if (!event.event_name) continue;
+        
+        await tx`
+          INSERT INTO leaderboard_post_entries (
+            post_id,
+            event_name,
+            event_slug,
+            leaderboard_rank,
+            new_sign_ups,
+            total_sign_ups
+          ) VALUES (
+            ${post.id},
+            ${event.event_name},
+            ${event.event_slug || event.event_name},
+            ${Number(event.leaderboard_rank)},
+            ${Number(event.new_sign_ups)},
+            ${Number(event.total_sign_ups)}
+          )
+          ON CONFLICT (post_id, event_slug) DO NOTHING
+        `;
+      }
+    });
+    
+    console.log(`Recorded leaderboard post with ${data.length} entries`);
+  }
+  
+  /**
+   * Fetches the live leaderboard message of every channel that has one
+   * @returns {Promise<Map>} Message ts keyed by channel ID
+   */
+  async function fetchPinnedLeaderboards() {
+    const result = await db`SELECT channel_id, ts FROM pinned_leaderboards`;
+    return new Map(result.map(row => [row.channel_id, row.ts]));
+  }
+  
+  /**
+   * Stores a channel's live leaderboard message, replacing any previous one
+   * @param {string} channelId - The channel ID
+   * @param {string} ts - The message ts
+   */
+  async function savePinnedLeaderboard(channelId, ts) {
+    await db`
+      INSERT INTO pinned_leaderboards (channel_id, ts, updated_at)
+      VALUES (${channelId}, ${ts}, NOW())
+      ON CONFLICT (channel_id) DO UPDATE SET
+        ts = EXCLUDED.ts,
+        updated_at = EXCLUDED.updated_at
+    `;
+  }
+  
+  /**
+   * Fetches the schedule overrides admins have set for the bot's jobs
+   * @returns {Promise<Map>} Overrides with cron_time and paused, keyed by job key
+   */
+  async function fetchJobSchedules() {
+    const result = await db`SELECT job_key, cron_time, paused FROM job_schedules`;
+    return new Map(result.map(row => [row.job_key, row]));
+  }
+  
+  /**
+   * Stores a job's schedule override
+   * @param {string} jobKey - A key of JOB_DEFINITIONS
+   * @param {Object} schedule
+   * @param {string|null} schedule.cronTime - The cron time, or null for the job's default
+   * @param {boolean} schedule.paused - Whether the job is paused
+   * @param {string} userId - The Slack user who changed it
+   */
+  async function saveJobSchedule(jobKey, { cronTime, paused }, userId) {
+    await db`
+      INSERT INTO job_schedules (job_key, cron_time, paused, updated_by, updated_at)
+      VALUES (${jobKey}, ${cronTime}, ${paused}, ${userId}, NOW())
+      ON CONFLICT (job_key) DO UPDATE SET
+        cron_time = EXCLUDED.cron_time,
+        paused = EXCLUDED.paused,
+        updated_by = EXCLUDED.updated_by,
+        updated_at = EXCLUDED.updated_at
+    `;
+  }
+  
+  /**
+   * Fetches every campaign, ordered by event start
+   * @returns {Promise<Array>} The campaign records
+   */
+  async function fetchCampaigns() {
+    return db`SELECT * FROM campaigns ORDER BY event_starts_at ASC`;
+  }
+  
+  /**
+   * Fetches a single campaign
+   * @param {string} id - The campaign ID
+   * @returns {Promise<Object|null>} The campaign record, or null if it doesn't exist
+   */
+  async function fetchCampaign(id) {
+    const [campaign] = await db`SELECT * FROM campaigns WHERE id = ${id}`;
+    return campaign || null;
+  }
+  
+  /**
+   * Creates or updates a campaign's name and dates
+   * @param {string} id - The campaign ID
+   * @param {Object} campaign - The name and CAMPAIGN_DATE_FIELDS values
+   */
+  async function saveCampaign(id, campaign) {
+    await db`
+      INSERT INTO campaigns (
+        id,
+        name,
+        registration_opens_at,
+        event_starts_at,
+        event_ends_at,
+        wrap_up_ends_at
+      ) VALUES (
+        ${id},
+        ${campaign.name},
+        ${campaign.registration_opens_at || null},
+        ${campaign.event_starts_at},
+        ${campaign.event_ends_at},
+        ${campaign.wrap_up_ends_at}
+      )
+      ON CONFLICT (id) DO UPDATE SET
+        name = EXCLUDED.name,
+        registration_opens_at = EXCLUDED.registration_opens_at,
+        event_starts_at = EXCLUDED.event_starts_at,
+        event_ends_at = EXCLUDED.event_ends_at,
+        wrap_up_ends_at = EXCLUDED.wrap_up_ends_at
+    `;
+  }
+  
+  /**
+   * Deletes a campaign
+   * @param {string} id - The campaign ID
+   */
+  async function deleteCampaign(id) {
+    await db`DELETE FROM campaigns WHERE id = ${id}`;
+  }
+  
+  /**
+   * Records that a campaign phase's announcement has been handled
+   * @param {string} id - The campaign ID
+   * @param {string} phase - A key of CAMPAIGN_PHASES
+   */
+  async function setAnnouncedPhase(id, phase) {
+    await db`
+      UPDATE campaigns SET announced_phase = ${phase} WHERE id = ${id}
+    `;
+  }
+  
+  /**
+   * Fetches the time zones and local start times set by admins
+   * @returns {Promise<Array>} Rows with event_slug, time_zone and starts_at_local
+   */
+  async function fetchEventSchedules() {
+    return db`SELECT * FROM event_schedules`;
+  }
+  
+  /**
+   * Sets an event's time zone and local start time
+   * @param {string} eventSlug - The slug of the event
+   * @param {string} timeZone - The IANA time zone name
+   * @param {string} startsAtLocal - The local start time, e.g. "2025-03-15T10:00"
+   * @param {string} userId - The Slack user making the change
+   */
+  async function saveEventSchedule(eventSlug, timeZone, startsAtLocal, userId) {
+    await db`
+      INSERT INTO event_schedules (event_slug, time_zone, starts_at_local, updated_by, updated_at)
+      VALUES (${eventSlug}, ${timeZone}, ${startsAtLocal}, ${userId}, NOW())
+      ON CONFLICT (event_slug) DO UPDATE SET
+        time_zone = EXCLUDED.time_zone,
+        starts_at_local = EXCLUDED.starts_at_local,
+        updated_by = EXCLUDED.updated_by,
+        updated_at = EXCLUDED.updated_at
+    `;
+  }
+  
+  /**
+   * Removes an event's stored schedule
+   * @param {string} eventSlug - The slug of the event
+   */
+  async function deleteEventSchedule(eventSlug) {
+    await db`DELETE FROM event_schedules WHERE event_slug = ${eventSlug}`;
+  }
+  
+  /**
+   * Fetches the region each event belongs to
+   * @returns {Promise<Map>} Regions keyed by event slug
+   */
+  async function fetchEventRegions() {
+    const result = await db`SELECT event_slug, region FROM event_regions`;
+    return new Map(result.map(row => [row.event_slug, row.region]));
+  }
+  
+  /**
+   * Assigns an event to a region
+   * @param {string} eventSlug - The slug of the event
+   * @param {string} region - The region key
+   * @param {string} userId - The Slack user making the change
+   */
+  async function saveEventRegion(eventSlug, region, userId) {
+    await db`
+      INSERT INTO event_regions (event_slug, region, updated_by, updated_at)
+      VALUES (${eventSlug}, ${region}, ${userId}, NOW())
+      ON CONFLICT (event_slug) DO UPDATE SET
+        region = EXCLUDED.region,
+        updated_by = EXCLUDED.updated_by,
+        updated_at = EXCLUDED.updated_at
+    `;
+  }
+  
+  /**
+   * Removes an event from its region
+   * @param {string} eventSlug - The slug of the event
+   */
+  async function deleteEventRegion(eventSlug) {
+    await db`DELETE FROM event_regions WHERE event_slug = ${eventSlug}`;
+  }
+  
+  /**
+   * Fetches every milestone policy row
+   * @returns {Promise<Map>} Policy rows keyed by event slug, including the default row if set
+   */
+  async function fetchMilestonePolicies() {
+    const result = await db`SELECT * FROM milestone_policies`;
+    return new Map(result.map(row => [row.event_slug, row]));
+  }
+  
+  /**
+   * Saves an event's (or the default) milestone policy
+   * @param {string} eventSlug - The event slug, or DEFAULT_POLICY_SLUG
+   * @param {Object} row - A value (or null to inherit) for every POLICY_FIELDS entry
+   * @param {string} userId - The Slack user making the change
+   */
+  async function saveMilestonePolicy(eventSlug, row, userId) {
+    await db`
+      INSERT INTO milestone_policies (
+        event_slug,
+        small_step,
+        large_step,
+        large_threshold,
+        growth_gate,
+        min_count,
+        milestones,
+        on_decrease,
+        updated_by,
+        updated_at
+      ) VALUES (
+        ${eventSlug},
+        ${row.small_step},
+        ${row.large_step},
+        ${row.large_threshold},
+        ${row.growth_gate},
+        ${row.min_count},
+        ${row.milestones === null ? null : JSON.stringify(row.milestones)}::jsonb,
+        ${row.on_decrease},
+        ${userId},
+        NOW()
+      )
+      ON CONFLICT (event_slug) DO UPDATE SET
+        small_step = EXCLUDED.small_step,
+        large_step = EXCLUDED.large_step,
+        large_threshold = EXCLUDED.large_threshold,
+        growth_gate = EXCLUDED.growth_gate,
+        min_count = EXCLUDED.min_count,
+        milestones = EXCLUDED.milestones,
+        on_decrease = EXCLUDED.on_decrease,
+        updated_by = EXCLUDED.updated_by,
+        updated_at = EXCLUDED.updated_at
+    `;
+  }
+  
+  /**
+   * Removes an event's (or the default) milestone policy
+   * @param {string} eventSlug - The event slug, or DEFAULT_POLICY_SLUG
+   */
+  async function deleteMilestonePolicy(eventSlug) {
+    await db`DELETE FROM milestone_policies WHERE event_slug = ${eventSlug}`;
+  }
+  
+  /**
+   * Fetches the sign-up goals set by admins
+   * @returns {Promise<Array>} Rows with event_slug and capacity
+   */
+  async function fetchEventGoals() {
+    return db`SELECT event_slug, capacity FROM event_goals`;
+  }
+  
+  /**
+   * Sets an event's sign-up goal
+   * @param {string} eventSlug - The slug of the event
+   * @param {number} capacity - The goal
+   * @param {string} userId - The Slack user making the change
+   */
+  async function saveEventGoal(eventSlug, capacity, userId) {
+    await db`
+      INSERT INTO event_goals (event_slug, capacity, updated_by, updated_at)
+      VALUES (${eventSlug}, ${capacity}, ${userId}, NOW())
+      ON CONFLICT (event_slug) DO UPDATE SET
+        capacity = EXCLUDED.capacity,
+        updated_by = EXCLUDED.updated_by,
+        updated_at = EXCLUDED.updated_at
+    `;
+  }
+  
+  /**
+   * Removes an event's stored sign-up goal
+   * @param {string} eventSlug - The slug of the event
+   */
+  async function deleteEventGoal(eventSlug) {
+    await db`DELETE FROM event_goals WHERE event_slug = ${eventSlug}`;
+  }
+  
+  /**
+   * Fetches the Slack user IDs subscribed to an event
+   * @param {string} eventSlug - The slug of the event
+   * @returns {Promise<Array<string>>} The subscribed user IDs
+   */
+  async function fetchEventSubscribers(eventSlug) {
+    const result = await db`
+      SELECT user_id FROM event_subscriptions WHERE event_slug = ${eventSlug}
+    `;
+    return result.map(row => row.user_id);
+  }
+  
+  /**
+   * Fetches every subscription
+   * @returns {Promise<Array>} Rows with user_id, event_slug and last_digest_rank
+   */
+  async function fetchSubscriptions() {
+    return db`SELECT * FROM event_subscriptions`;
+  }
+  
+  /**
+   * Fetches the events a user is subscribed to
+   * @param {string} userId - The Slack user ID
+   * @returns {Promise<Array<string>>} The event slugs, alphabetically
+   */
+  async function fetchUserSubscriptions(userId) {
+    const result = await db`
+      SELECT event_slug FROM event_subscriptions
+      WHERE user_id = ${userId}
+      ORDER BY event_slug ASC
+    `;
+    return result.map(row => row.event_slug);
+  }
+  
+  /**
+   * Subscribes a user to an event, doing nothing if they already are
+   * @param {string} userId - The Slack user ID
+   * @param {string} eventSlug - The slug of the event
+   */
+  async function addSubscription(userId, eventSlug) {
+    await db`
+      INSERT INTO event_subscriptions (user_id, event_slug, created_at)
+      VALUES (${userId}, ${eventSlug}, NOW())
+      ON CONFLICT (user_id, event_slug) DO NOTHING
+    `;
+  }
+  
+  /**
+   * Unsubscribes a user from an event
+   * @param {string} userId - The Slack user ID
+   * @param {string} eventSlug - The slug of the event
+   */
+  async function removeSubscription(userId, eventSlug) {
+    await db`
+      DELETE FROM event_subscriptions
+      WHERE user_id = ${userId} AND event_slug = ${eventSlug}
+    `;
+  }
+  
+  /**
+   * Remembers the rank shown in a subscriber's digest so the next one can show movement
+   * @param {string} userId - The Slack user ID
+   * @param {string} eventSlug - The slug of the event
+   * @param {number} rank - The event's overall rank
+   */
+  async function setDigestRank(userId, eventSlug, rank) {
+    await db`
+      UPDATE event_subscriptions
+      SET last_digest_rank = ${rank}
+      WHERE user_id = ${userId} AND event_slug = ${eventSlug}
+    `;
+  }
+  
+  /**
+   * Fetches the milestone tracking record for a single event
+   * @param {string} eventSlug - The slug of the event
+   * @returns {Promise<Object|null>} The tracking record, or null if the event isn't tracked
+   */
+  async function fetchEventTracking(eventSlug) {
+    const result = await db`
+      SELECT * FROM event_tracking WHERE event_slug = ${eventSlug}
+    `;
+    return result[0] || null;
+  }
+  
+  /**
+   * Fetches every event's milestone tracking record in one query
+   * @returns {Promise<Map>} Tracking records keyed by event slug
+   */
+  async function fetchAllEventTracking() {
+    const result = await db`SELECT * FROM event_tracking`;
+    return new Map(result.map(row => [row.event_slug, row]));
+  }
+  
+  /**
+   * Starts tracking an event
+   * @param {Object} record - event_name, event_slug, last_known_count, last_milestone_notified and last_goal_notified
+   */
+  async function insertEventTracking(record) {
+    await db`
+      INSERT INTO event_tracking (
+        event_name, 
+        event_slug, 
+        last_known_count, 
+        last_milestone_notified,
+        last_goal_notified,
+        last_notified_at,
+        last_updated_at
+      ) VALUES (
+        ${record.event_name},
+        ${record.event_slug},
+        ${record.last_known_count},
+        ${record.last_milestone_notified},
+        ${record.last_goal_notified},
+        NULL,
+        NOW()
+      )
+    `;
+  }
+  
+  /**
+   * Records that a milestone was reached and queues its announcements in one transaction
+   * The tracking row is only updated if it still holds the milestone we read, so when two
+   * replicas see the same crossing only one of them queues the announcements
+   * @param {Object} crossing
+   * @param {string} crossing.eventName - The name of the event
+   * @param {string} crossing.eventSlug - The slug of the event
+   * @param {number} crossing.count - The event's total signups
+   * @param {number} crossing.previousMilestone - The last_milestone_notified value the check read
+   * @param {number} crossing.milestone - The milestone that was reached
+   * @param {Array} crossing.messages - { channel, message } for the channel post and each subscriber DM
+   * @returns {Promise<boolean>} False if another check already recorded this milestone
+   */
+  async function enqueueMilestone({ eventName, eventSlug, count, previousMilestone, milestone, messages }) {
+    return db.begin(async tx => {
+      const updated = await tx`
+        UPDATE event_tracking 
+        SET 
+          last_known_count = ${count},
+          last_milestone_notified = ${milestone},
+          event_name = ${eventName},
+          last_notified_at = NOW(),
+          last_updated_at = NOW()
+        WHERE event_slug = ${eventSlug}
+          AND last_milestone_notified = ${previousMilestone}
+        RETURNING event_slug
+      `;
+      
+      if (updated.length === 0) {
+        return false;
+      }
+      
+      for (const { channel, message } of messages) {
+        await tx`
+          INSERT INTO milestone_outbox (event_name, event_slug, milestone, channel_id, message)
+          VALUES (${eventName}, ${eventSlug}, ${milestone}, ${channel}, ${JSON.stringify(message)}::jsonb)
+        `;
+      }
+      
+      return true;
+    });
+  }
+  
+  /**
+   * Claims pending outbox rows that are due, skipping rows another worker holds
+   * @param {string} workerId - Identifies this bot process
+   * @param {number} limit - The most rows to claim
+   * @param {number} leaseSeconds - How long the claim lasts before another worker may retry the row
+   * @returns {Promise<Array>} The claimed rows, oldest first, with attempts already incremented
+   */
+  async function claimOutbox(workerId, limit, leaseSeconds) {
+    const rows = await db`
+      UPDATE milestone_outbox
+      SET
+        claimed_by = ${workerId},
+        claimed_until = NOW() + ${leaseSeconds} * INTERVAL '1 second',
+        attempts = attempts + 1
+      WHERE id IN (
+        SELECT id FROM milestone_outbox
+        WHERE status = 'pending'
+          AND next_attempt_at <= NOW()
+          AND (claimed_until IS NULL OR claimed_until < NOW())
+        ORDER BY id ASC
+        LIMIT ${limit}
+        FOR UPDATE SKIP LOCKED
+      )
+      RETURNING *
+    `;
+    return [...rows].sort((a, b) => Number(a.id) - Number(b.id));
+  }
+  
+  /**
+   * Marks an outbox row as sent and stores the Slack message timestamp
+   * @param {number} id - The outbox row ID
+   * @param {string} ts - The ts Slack returned for the message
+   * @param {string|null} threadTs - The thread the message was posted in, if any
+   */
+  async function markOutboxSent(id, ts, threadTs) {
+    await db`
+      UPDATE milestone_outbox
+      SET status = 'sent', ts = ${ts}, thread_ts = ${threadTs}, sent_at = NOW(), claimed_until = NULL
+      WHERE id = ${id}
+    `;
+  }
+  
+  /**
+   * Finds the thread an event's milestones are collected in for a channel
+   * @param {string} eventSlug - The slug of the event
+   * @param {string} channelId - The channel or user ID
+   * @returns {Promise<string|null>} The ts of the event's first milestone message there, or null if none was sent
+   */
+  async function fetchMilestoneThread(eventSlug, channelId) {
+    const [row] = await db`
+      SELECT COALESCE(thread_ts, ts) AS thread_ts
+      FROM milestone_outbox
+      WHERE event_slug = ${eventSlug}
+        AND channel_id = ${channelId}
+        AND status = 'sent'
+      ORDER BY sent_at DESC
+      LIMIT 1
+    `;
+    return row ? row.thread_ts : null;
+  }
+  
+  /**
+   * Releases an outbox row so it's retried after a delay
+   * @param {number} id - The outbox row ID
+   * @param {string} error - What went wrong
+   * @param {number} delaySeconds - How long to wait before the next attempt
+   */
+  async function scheduleOutboxRetry(id, error, delaySeconds) {
+    await db`
+      UPDATE milestone_outbox
+      SET
+        last_error = ${error},
+        next_attempt_at = NOW() + ${delaySeconds} * INTERVAL '1 second',
+        claimed_until = NULL
+      WHERE id = ${id}
+    `;
+  }
+  
+  /**
+   * Gives up on an outbox row
+   * @param {number} id - The outbox row ID
+   * @param {string} error - What went wrong
+   */
+  async function markOutboxFailed(id, error) {
+    await db`
+      UPDATE milestone_outbox
+      SET status = 'failed', last_error = ${error}, claimed_until = NULL
+      WHERE id = ${id}
+    `;
+  }
+  
+  /**
+   * Updates the last known count of an event, and its name in case it was renamed
+   * @param {string} eventSlug - The slug of the event
+   * @param {string} eventName - The current name of the event
+   * @param {number} count - The event's total signups
+   */
+  async function updateEventCount(eventSlug, eventName, count) {
+    await db`
+      UPDATE event_tracking 
+      SET 
+        last_known_count = ${count},
+        event_name = ${eventName},
+        last_updated_at = NOW()
+      WHERE event_slug = ${eventSlug}
+    `;
+  }
+  
+  /**
+   * Lowers an event's last announced milestone so the milestones above it can be announced again
+   * @param {string} eventSlug - The slug of the event
+   * @param {number} milestone - The milestone the event's current count falls into
+   */
+  async function rearmMilestone(eventSlug, milestone) {
+    await db`
+      UPDATE event_tracking
+      SET last_milestone_notified = ${milestone}
+      WHERE event_slug = ${eventSlug}
+    `;
+  }
+  
+  /**
+   * Records the highest GOAL_THRESHOLDS entry announced for an event
+   * @param {string} eventSlug - The slug of the event
+   * @param {number} threshold - The threshold
+   */
+  async function setGoalNotified(eventSlug, threshold) {
+    await db`
+      UPDATE event_tracking
+      SET last_goal_notified = ${threshold}
+      WHERE event_slug = ${eventSlug}
+    `;
+  }
+  
+  /**
+   * Records the smallest COUNTDOWN_DAYS entry announced for an event
+   * @param {string} eventSlug - The slug of the event
+   * @param {number} days - The countdown day
+   */
+  async function setCountdownNotified(eventSlug, days) {
+    await db`
+      UPDATE event_tracking
+      SET last_countdown_notified = ${days}
+      WHERE event_slug = ${eventSlug}
+    `;
+  }
+  
+  /**
+   * Records that an event's organizers were nudged about it stalling
+   * @param {string} eventSlug - The slug of the event
+   */
+  async function setStallNotified(eventSlug) {
+    await db`
+      UPDATE event_tracking
+      SET stall_notified_at = NOW()
+      WHERE event_slug = ${eventSlug}
+    `;
+  }
+  
+  /**
+   * Records a point in an event's signup history
+   * @param {string} eventName - The name of the event
+   * @param {string} eventSlug - The slug of the event
+   * @param {number} totalSignups - The event's current total signups
+   */
+  async function recordSignupSnapshot(eventName, eventSlug, totalSignups) {
+    await db`
+      INSERT INTO signup_snapshots (event_name, event_slug, total_sign_ups, captured_at)
+      VALUES (${eventName}, ${eventSlug}, ${totalSignups}, NOW())
+    `;
+  }
+  
+  /**
+   * Fetches an event's signup history since a point in time
+   * The last snapshot before `since` is included so the total at `since` is known
+   * @param {string} eventSlug - The slug of the event
+   * @param {Date} since - The start of the period
+   * @returns {Promise<Array>} Rows with total_sign_ups and captured_at, oldest first
+   */
+  async function fetchSignupSnapshots(eventSlug, since) {
+    return db`
+      SELECT total_sign_ups, captured_at
+      FROM signup_snapshots
+      WHERE event_slug = ${eventSlug}
+        AND captured_at >= COALESCE(
+          (
+            SELECT MAX(captured_at) FROM signup_snapshots
+            WHERE event_slug = ${eventSlug} AND captured_at < ${since}
+          ),
+          ${since}
+        )
+      ORDER BY captured_at ASC
+    `;
+  }
+  
+  /**
+   * Fetches every event's signup history since a point in time, for working out awards
+   * Each event's last snapshot before `since` is included so its total at `since` is known
+   * @param {Date} since - The start of the period
+   * @returns {Promise<Array>} Rows with event_slug, event_name, total_sign_ups and captured_at, oldest first within each event
+   */
+  async function fetchAllSignupSnapshots(since) {
+    return db`
+      SELECT event_slug, event_name, total_sign_ups, captured_at
+      FROM signup_snapshots AS snapshot
+      WHERE event_slug IS NOT NULL
+        AND captured_at >= COALESCE(
+          (
+            SELECT MAX(captured_at) FROM signup_snapshots AS earlier
+            WHERE earlier.event_slug = snapshot.event_slug AND earlier.captured_at < ${since}
+          ),
+          ${since}
+        )
+      ORDER BY event_slug ASC, captured_at ASC
+    `;
+  }
+  
+  /**
+   * Fetches when each event's sign-ups last went up, from its signup history
+   * An event's first snapshot counts as an increase, since that's when it started being tracked
+   * @returns {Promise<Map>} The time of the last increase keyed by event slug
+   */
+  async function fetchLastSignupIncreases() {
+    const result = await db`
+      SELECT event_slug, MAX(captured_at) AS last_increase_at
+      FROM (
+        SELECT
+          event_slug,
+          captured_at,
+          total_sign_ups > COALESCE(LAG(total_sign_ups) OVER (PARTITION BY event_slug ORDER BY captured_at), -1) AS increased
+        FROM signup_snapshots
+        WHERE event_slug IS NOT NULL
+      ) AS history
+      WHERE increased
+      GROUP BY event_slug
+    `;
+    return new Map(result.map(row => [row.event_slug, row.last_increase_at]));
+  }
+  
+  /**
+   * Fetches the milestones announced for an event, from the outbox rows queued for them
+   * @param {string} eventSlug - The slug of the event
+   * @returns {Promise<Array>} Rows with milestone and reached_at, lowest milestone first
+   */
+  async function fetchMilestoneHistory(eventSlug) {
+    return db`
+      SELECT milestone, MIN(created_at) AS reached_at
+      FROM milestone_outbox
+      WHERE event_slug = ${eventSlug}
+      GROUP BY milestone
+      ORDER BY milestone ASC
+    `;
+  }
+  
+  /**
+   * Fetches the milestones announced for every event in one query, for exports
+   * @returns {Promise<Map>} Rows with milestone and reached_at, lowest milestone first, keyed by event slug
+   */
+  async function fetchAllMilestoneHistory() {
+    const result = await db`
+      SELECT event_slug, milestone, MIN(created_at) AS reached_at
+      FROM milestone_outbox
+      WHERE event_slug IS NOT NULL
+      GROUP BY event_slug, milestone
+      ORDER BY event_slug ASC, milestone ASC
+    `;
+    const history = new Map();
+    for (const { event_slug, milestone, reached_at } of result) {
+      if (!history.has(event_slug)) {
+        history.set(event_slug, []);
+      }
+      history.get(event_slug).push({ milestone, reached_at });
+    }
+    return history;
+  }
+  
+  /**
+   * Fetches every event alias
+   * @returns {Promise<Map>} The slug each old slug now points to, keyed by the old slug
+   */
+  async function fetchEventAliases() {
+    const result = await db`SELECT alias_slug, event_slug FROM event_aliases`;
+    return new Map(result.map(row => [row.alias_slug, row.event_slug]));
+  }
+  
+  /**
+   * Merges one event into another so its history carries over, and aliases the old slug to the new one
+   * Tracking keeps the highest milestone and goal either event announced, so neither is announced again.
+   * Milestone history, snapshots and subscriptions move to the new slug, and the old event's goal,
+   * schedule, region and policy are kept only where the new event doesn't have its own
+   * @param {string} fromSlug - The old slug
+   * @param {string} intoSlug - The slug to merge it into
+   * @param {string} userId - The Slack user who merged them
+   * @returns {Promise<boolean>} Whether the old slug had a tracking record to carry over
+   */
+  async function mergeEvents(fromSlug, intoSlug, userId) {
+    return db.begin(async tx => {
+      const [from] = await tx`
+        DELETE FROM event_tracking WHERE event_slug = ${fromSlug}
+        RETURNING *
+      `;
+      
+      if (from) {
+        await tx`
+          INSERT INTO event_tracking (
+            event_slug,
+            event_name,
+            last_known_count,
+            last_milestone_notified,
+            last_goal_notified,
+            last_countdown_notified,
+            last_notified_at,
+            last_updated_at
+          ) VALUES (
+            ${intoSlug},
+            ${from.event_name},
+            ${from.last_known_count},
+            ${from.last_milestone_notified},
+            ${from.last_goal_notified},
+            ${from.last_countdown_notified},
+            ${from.last_notified_at},
+            NOW()
+          )
+          ON CONFLICT (event_slug) DO UPDATE SET
+            last_milestone_notified = GREATEST(event_tracking.last_milestone_notified, EXCLUDED.last_milestone_notified),
+            last_goal_notified = GREATEST(event_tracking.last_goal_notified, EXCLUDED.last_goal_notified),
+            last_countdown_notified = LEAST(event_tracking.last_countdown_notified, EXCLUDED.last_countdown_notified),
+            last_notified_at = GREATEST(event_tracking.last_notified_at, EXCLUDED.last_notified_at)
+        `;
+      }
+      
+      await tx`UPDATE milestone_outbox SET event_slug = ${intoSlug} WHERE event_slug = ${fromSlug}`;
+      await tx`UPDATE signup_snapshots SET event_slug = ${intoSlug} WHERE event_slug = ${fromSlug}`;
+      await tx`UPDATE leaderboard_post_entries SET event_slug = ${intoSlug} WHERE event_slug = ${fromSlug}`;
+      
+      await tx`
+        INSERT INTO event_subscriptions (user_id, event_slug, last_digest_rank, created_at)
+        SELECT user_id, ${intoSlug}, last_digest_rank, created_at
+        FROM event_subscriptions
+        WHERE event_slug = ${fromSlug}
+        ON CONFLICT (user_id, event_slug) DO NOTHING
+      `;
+      await tx`DELETE FROM event_subscriptions WHERE event_slug = ${fromSlug}`;
+      
+      await tx`
+        UPDATE event_goals SET event_slug = ${intoSlug}
+        WHERE event_slug = ${fromSlug}
+          AND NOT EXISTS (SELECT 1 FROM event_goals WHERE event_slug = ${intoSlug})
+      `;
+      await tx`DELETE FROM event_goals WHERE event_slug = ${fromSlug}`;
+      
+      await tx`
+        UPDATE event_schedules SET event_slug = ${intoSlug}
+        WHERE event_slug = ${fromSlug}
+          AND NOT EXISTS (SELECT 1 FROM event_schedules WHERE event_slug = ${intoSlug})
+      `;
+      await tx`DELETE FROM event_schedules WHERE event_slug = ${fromSlug}`;
+      
+      await tx`
+        UPDATE event_regions SET event_slug = ${intoSlug}
+        WHERE event_slug = ${fromSlug}
+          AND NOT EXISTS (SELECT 1 FROM event_regions WHERE event_slug = ${intoSlug})
+      `;
+      await tx`DELETE FROM event_regions WHERE event_slug = ${fromSlug}`;
+      
+      await tx`
+        UPDATE milestone_policies SET event_slug = ${intoSlug}
+        WHERE event_slug = ${fromSlug}
+          AND NOT EXISTS (SELECT 1 FROM milestone_policies WHERE event_slug = ${intoSlug})
+      `;
+      await tx`DELETE FROM milestone_policies WHERE event_slug = ${fromSlug}`;
+      
+      // Earlier aliases of the old slug follow it to the new one
+      await tx`UPDATE event_aliases SET event_slug = ${intoSlug} WHERE event_slug = ${fromSlug}`;
+      await tx`
+        INSERT INTO event_aliases (alias_slug, event_slug, created_by, created_at)
+        VALUES (${fromSlug}, ${intoSlug}, ${userId}, NOW())
+        ON CONFLICT (alias_slug) DO UPDATE SET
+          event_slug = EXCLUDED.event_slug,
+          created_by = EXCLUDED.created_by,
+          created_at = EXCLUDED.created_at
+      `;
+      
+      return Boolean(from);
+    });
+  }
+  
+  return {
+    ping,
+    fetchPreviousLeaderboard,
+    recordLeaderboardPost,
+    fetchPinnedLeaderboards,
+    savePinnedLeaderboard,
+    fetchJobSchedules,
+    saveJobSchedule,
+    fetchCampaigns,
+    fetchCampaign,
+    saveCampaign,
+    deleteCampaign,
+    setAnnouncedPhase,
+    fetchEventSchedules,
+    saveEventSchedule,
+    deleteEventSchedule,
+    fetchEventRegions,
+    saveEventRegion,
+    deleteEventRegion,
+    fetchMilestonePolicies,
+    saveMilestonePolicy,
+    deleteMilestonePolicy,
+    fetchEventGoals,
+    saveEventGoal,
+    deleteEventGoal,
+    fetchEventSubscribers,
+    fetchSubscriptions,
+    fetchUserSubscriptions,
+    addSubscription,
+    removeSubscription,
+    setDigestRank,
+    fetchEventTracking,
+    fetchAllEventTracking,
+    insertEventTracking,
+    enqueueMilestone,
+    claimOutbox,
+    markOutboxSent,
+    fetchMilestoneThread,
+    scheduleOutboxRetry,
+    markOutboxFailed,
+    updateEventCount,
+    rearmMilestone,
+    setGoalNotified,
+    setCountdownNotified,
+    setStallNotified,
+    recordSignupSnapshot,
+    fetchSignupSnapshots,
+    fetchAllSignupSnapshots,
+    fetchLastSignupIncreases,
+    fetchMilestoneHistory,
+    fetchAllMilestoneHistory,
+    fetchEventAliases,
+    mergeEvents
+  };
+}
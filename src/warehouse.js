@@ -0,0 +1,303 @@
+import { createCache } from './cache.js';
+import { DEFAULT_LEADERBOARD_WINDOW, getLeaderboardWindow } from './leaderboard.js';
+
+// Count and rank columns come back from Postgres as BIGINT, so they're converted to numbers
+const COUNT_FIELDS = ['leaderboard_rank', 'overall_rank', 'new_sign_ups', 'total_sign_ups'];
+
+/**
+ * Converts the count and rank columns of a warehouse row to numbers
+ * @param {Object} row - A row returned by the warehouse
+ * @returns {Object} A copy of the row with numeric counts
+ */
+function normalizeCounts(row) {
+  const normalized = { ...row };
+  for (const field of COUNT_FIELDS) {
+    if (field in normalized) {
+      normalized[field] = Number(normalized[field]);
+    }
+  }
+  return normalized;
+}
+
+/**
+ * Creates the queries the bot runs against the data warehouse
+ * @param {Object} sql - A Bun SQL client connected to the warehouse
+ * @param {Object} config - The bot configuration from loadConfig
+ * @returns {Object} The warehouse queries
+ */
+export function createWarehouse(sql, config) {
+  /**
+   * Builds the canonical list of event sign-ups, shared by every query that counts them
+   * Emails are deduplicated case-insensitively, and each person's sign-up time comes from the
+   * row with their greatest email. Every (lower_email, event) pair appears at least once, so
+   * callers count COUNT(DISTINCT lower_email) per event
+   * @param {Object} [options] - Variants used only to reconcile against the old leaderboard definition
+   * @param {boolean} [options.audienceOnly] - Only count people who are also in loops.audience
+   * @param {boolean} [options.includeUnmatched] - Keep sign-ups without a named event with a slug
+   * @returns {Object} A SQL fragment selecting lower_email, created_at, event_name and event_slug
+   */
+  function buildEventSignupsQuery({ audienceOnly = false, includeUnmatched = false } = {}) {
+    return sql`
+      SELECT
+        "source"."lower_email" AS lower_email,
+        "Local Attendees - Max of Email"."created_at" AS created_at,
+        "Local Attendee Event Info"."event_name" AS event_name,
+        "Local Attendee Event Info"."event_slug" AS event_slug
+      FROM (
+        SELECT
+          "source"."lower_email" AS "lower_email",
+          MAX("source"."email") AS "max"
+        FROM (
+          SELECT
+            "airtable_hack_club_scrapyard_appigkif7gbvisalg"."local_attendees"."email" AS "email",
+            LOWER("airtable_hack_club_scrapyard_appigkif7gbvisalg"."local_attendees"."email") AS "lower_email"
+          FROM
+            "airtable_hack_club_scrapyard_appigkif7gbvisalg"."local_attendees"
+        ) AS "source"
+        GROUP BY "source"."lower_email"
+      ) AS "source"
+      INNER JOIN "airtable_hack_club_scrapyard_appigkif7gbvisalg"."local_attendees" AS "Local Attendees - Max of Email"
+        ON "source"."max" = "Local Attendees - Max of Email"."email"
+      ${audienceOnly ? sql`
+      INNER JOIN "loops"."audience" AS "Audience - lower_email"
+        ON "source"."lower_email" = "Audience - lower_email"."email"
+      ` : sql``}
+      INNER JOIN (
+        SELECT
+          DISTINCT LOWER(a.email) AS lower_email,
+          e.name AS event_name,
+          e.slug AS event_slug
+        FROM
+          "airtable_hack_club_scrapyard_appigkif7gbvisalg"."local_attendees" AS a
+          LEFT JOIN "airtable_hack_club_scrapyard_appigkif7gbvisalg"."events" AS e
+            ON a.event ->> 0 = e.id
+        ${includeUnmatched ? sql`` : sql`WHERE e.name IS NOT NULL AND e.slug IS NOT NULL`}
+      ) AS "Local Attendee Event Info"
+        ON "source"."lower_email" = "Local Attendee Event Info"."lower_email"
+    `;
+  }
+
+  /**
+   * Builds the leaderboard query for a time window
+   * A fresh query is built on every call so each fetch sees current data
+   * @param {string} windowKey - A key of LEADERBOARD_WINDOWS
+   * @returns {Object} The SQL query, ready to be awaited
+   */
+  function buildLeaderboardQuery(windowKey = DEFAULT_LEADERBOARD_WINDOW) {
+    const { interval } = getLeaderboardWindow(windowKey);
+    
+    return sql`
+  WITH signups AS (
+    ${buildEventSignupsQuery()}
+  ),
+  summary AS (
+    SELECT
+      event_name,
+      event_slug,
+      
+      -- Distinct signups in the requested window (no lower bound since launch)
+      COUNT(DISTINCT lower_email) FILTER (
+        WHERE
+          (
+            ${interval}::interval IS NULL
+            OR created_at >= DATE_TRUNC('hour', (NOW() - ${interval}::interval))
+          )
+          AND created_at < DATE_TRUNC('hour', (NOW() + INTERVAL '1 hour'))
+      ) AS new_sign_ups,
+      
+      -- Total distinct signups overall, the same count milestones use
+      COUNT(DISTINCT lower_email) AS total_sign_ups
+    FROM signups
+    GROUP BY event_name, event_slug
+  )
+  SELECT
+    /* Rank among these aggregated rows by new signups (descending) */
+    RANK() OVER (
+      ORDER BY summary.new_sign_ups DESC
+    ) AS "leaderboard_rank",
+    
+    /* Event name and slug */
+    summary.event_name,
+    summary.event_slug,
+    
+    /* Signup count in the window */
+    summary.new_sign_ups,
+    
+    /* Rank among these aggregated rows by total signups (descending) */
+    RANK() OVER (
+      ORDER BY summary.total_sign_ups DESC
+    ) AS "overall_rank",
+    
+    /* The total distinct signups */
+    summary.total_sign_ups
+
+  FROM summary
+  -- Return only the top rows in terms of new_sign_ups
+  WHERE summary.new_sign_ups > 0
+  ORDER BY
+    summary.new_sign_ups DESC,
+    summary.event_name ASC
+  `;
+  }
+
+  /**
+   * Fetches the current leaderboard data from the warehouse database
+   * Errors are thrown so a failed query isn't mistaken for a window with no new sign-ups
+   * @param {string} [windowKey] - A key of LEADERBOARD_WINDOWS, defaults to 12 hours
+   * @returns {Promise<Array>} The leaderboard data
+   */
+  async function fetchLeaderboardData(windowKey = DEFAULT_LEADERBOARD_WINDOW) {
+    const result = await buildLeaderboardQuery(windowKey);
+    return result.map(normalizeCounts);
+  }
+
+  /**
+   * Fetches data for ALL events with their total signups
+   * This is used for milestone tracking to ensure we don't miss any events
+   * Errors are thrown so a failed query isn't mistaken for there being no events
+   * @returns {Promise<Array>} All events with their total signups
+   */
+  async function fetchAllEventsData() {
+    // Query to get all events and their total signups, regardless of recent activity
+    const result = await sql`
+      WITH signups AS (
+        ${buildEventSignupsQuery()}
+      )
+      SELECT
+        event_name,
+        event_slug,
+        COUNT(DISTINCT lower_email) AS total_sign_ups
+      FROM
+        signups
+      GROUP BY
+        event_name,
+        event_slug
+      ORDER BY
+        event_name ASC
+    `;
+    
+    const events = result.map(normalizeCounts);
+    console.log(`Fetched data for ${events.length} events`);
+    
+    // Log the first few events to verify data is correct
+    if (events.length > 0) {
+      const sampleEvents = events.slice(0, 3);
+      console.log('Sample events:');
+      sampleEvents.forEach(event => {
+        console.log(`- ${event.event_name} (slug: ${event.event_slug}) - ${event.total_sign_ups} signups`);
+      });
+    }
+    
+    return events;
+  }
+
+  /**
+   * Compares each event's total with the count the leaderboard used before the queries were
+   * consolidated, which only counted people in loops.audience and kept sign-ups without an event
+   * Errors are thrown so the command can say the check failed rather than that nothing differs
+   * @returns {Promise<Array>} Rows with event_name, event_slug, total_sign_ups and audience_sign_ups for every event where they differ
+   */
+  async function fetchSignupReconciliation() {
+    const result = await sql`
+      WITH canonical AS (
+        SELECT event_name, event_slug, COUNT(DISTINCT lower_email) AS total_sign_ups
+        FROM (${buildEventSignupsQuery()}) AS signups
+        GROUP BY event_name, event_slug
+      ),
+      audience AS (
+        SELECT event_name, MAX(event_slug) AS event_slug, COUNT(DISTINCT lower_email) AS audience_sign_ups
+        FROM (${buildEventSignupsQuery({ audienceOnly: true, includeUnmatched: true })}) AS signups
+        GROUP BY event_name
+      )
+      SELECT
+        COALESCE(canonical.event_name, audience.event_name) AS event_name,
+        COALESCE(canonical.event_slug, audience.event_slug) AS event_slug,
+        COALESCE(canonical.total_sign_ups, 0) AS total_sign_ups,
+        COALESCE(audience.audience_sign_ups, 0) AS audience_sign_ups
+      FROM canonical
+      FULL OUTER JOIN audience
+        ON canonical.event_name IS NOT DISTINCT FROM audience.event_name
+      WHERE COALESCE(canonical.total_sign_ups, 0) <> COALESCE(audience.audience_sign_ups, 0)
+      ORDER BY
+        ABS(COALESCE(canonical.total_sign_ups, 0) - COALESCE(audience.audience_sign_ups, 0)) DESC,
+        event_name ASC NULLS FIRST
+    `;
+    return result.map(row => ({
+      ...normalizeCounts(row),
+      audience_sign_ups: Number(row.audience_sign_ups)
+    }));
+  }
+
+  /**
+   * Fetches the venue capacity of every event that has one in the events table
+   * Errors are thrown so a failed query isn't cached as every event having no goal
+   * @returns {Promise<Array>} Rows with event_slug and capacity
+   */
+  async function fetchEventGoals() {
+    // to_jsonb lets us read the field without failing when the column doesn't exist
+    const result = await sql`
+      SELECT
+        e.slug AS event_slug,
+        (to_jsonb(e) ->> ${config.warehouseFields.capacity}) AS capacity
+      FROM "airtable_hack_club_scrapyard_appigkif7gbvisalg"."events" AS e
+      WHERE e.slug IS NOT NULL
+    `;
+    return result;
+  }
+
+  /**
+   * Fetches the time zone and local start time of every event from the events table
+   * Errors are thrown so a failed query isn't cached as every event having no schedule
+   * @returns {Promise<Array>} Rows with event_slug, time_zone and starts_at_local
+   */
+  async function fetchEventSchedules() {
+    // to_jsonb lets us read the fields without failing when the columns don't exist
+    const result = await sql`
+      SELECT
+        e.slug AS event_slug,
+        (to_jsonb(e) ->> ${config.warehouseFields.timeZone}) AS time_zone,
+        (to_jsonb(e) ->> ${config.warehouseFields.start}) AS starts_at_local
+      FROM "airtable_hack_club_scrapyard_appigkif7gbvisalg"."events" AS e
+      WHERE e.slug IS NOT NULL
+    `;
+    return result;
+  }
+
+  /**
+   * Runs a trivial query to check the connection
+   */
+  async function ping() {
+    await sql`SELECT 1 as test`;
+  }
+
+  return {
+    fetchLeaderboardData,
+    fetchAllEventsData,
+    fetchEventGoals,
+    fetchEventSchedules,
+    fetchSignupReconciliation,
+    ping
+  };
+}
+
+/**
+ * Wraps the warehouse queries so each result is fetched at most once per TTL and shared by
+ * the milestone check, scheduled posts, the live leaderboard, commands and the Home tab
+ * @param {Object} warehouse - The warehouse queries from createWarehouse
+ * @param {Object} options
+ * @param {number} options.ttlSeconds - How long a result is reused
+ * @param {Function} [options.now] - Returns the current time
+ * @returns {Object} The warehouse queries, with the same interface as createWarehouse
+ */
+export function createCachedWarehouse(warehouse, { ttlSeconds, now }) {
+  const cache = createCache({ ttlSeconds, now });
+  
+  return {
+    ...warehouse,
+    fetchLeaderboardData: (windowKey = DEFAULT_LEADERBOARD_WINDOW) =>
+      cache.get(`leaderboard:${windowKey}`, () => warehouse.fetchLeaderboardData(windowKey)),
+    fetchAllEventsData: () => cache.get('events', () => warehouse.fetchAllEventsData()),
+    fetchEventGoals: () => cache.get('goals', () => warehouse.fetchEventGoals()),
+    fetchEventSchedules: () => cache.get('schedules', () => warehouse.fetchEventSchedules())
+  };
+}
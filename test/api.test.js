@@ -0,0 +1,101 @@
+import { describe, expect, test } from 'bun:test';
+import { createBot } from '../src/bot.js';
+import { loadConfig } from '../src/config.js';
+import { createFakeWarehouse, createFakeStore, createFakeSlack, registrationCampaign, attendeesFor } from './fakes.js';
+
+const NOW = new Date('2025-02-15T12:00:00Z');
+
+function setup(attendees) {
+  const clock = { now: NOW };
+  const warehouse = createFakeWarehouse({ attendees }, () => clock.now);
+  const store = createFakeStore({ campaigns: [registrationCampaign(NOW)], now: () => clock.now });
+  const config = loadConfig({ SLACK_CHANNEL: 'C_MAIN', API_CACHE_SECONDS: '60' });
+  
+  // Count warehouse queries to check the cache
+  const calls = { leaderboard: 0 };
+  const countingWarehouse = {
+    ...warehouse,
+    async fetchLeaderboardData(windowKey) {
+      calls.leaderboard++;
+      return warehouse.fetchLeaderboardData(windowKey);
+    }
+  };
+  
+  const bot = createBot({ warehouse: countingWarehouse, store, slack: createFakeSlack(), config, now: () => clock.now });
+  const get = path => bot.handleApiRequest(new Request(`http://localhost${path}`));
+  return { clock, store, calls, get };
+}
+
+describe('HTTP API', () => {
+  test('serves the leaderboard and reuses it until the cache expires', async () => {
+    const { clock, calls, get } = setup([
+      ...attendeesFor('Scrapyard Austin', 'austin', 3, NOW),
+      ...attendeesFor('Scrapyard Boston', 'boston', 1, NOW)
+    ]);
+    
+    const [first, second] = await Promise.all([get('/api/leaderboard?window=24h'), get('/api/leaderboard?window=24h')]);
+    const body = await first.json();
+    
+    expect(first.status).toBe(200);
+    expect(first.headers.get('Access-Control-Allow-Origin')).toBe('*');
+    expect(body.window).toBe('24h');
+    expect(body.events.map(event => [event.rank, event.slug, event.new_sign_ups])).toEqual([[1, 'austin', 3], [2, 'boston', 1]]);
+    expect((await second.json()).generated_at).toBe(body.generated_at);
+    expect(calls.leaderboard).toBe(1);
+    
+    clock.now = new Date(NOW.getTime() + 61 * 1000);
+    await get('/api/leaderboard?window=24h');
+    expect(calls.leaderboard).toBe(2);
+  });
+  
+  test('rejects unknown windows', async () => {
+    const { get } = setup([]);
+    
+    const response = await get('/api/leaderboard?window=1y');
+    
+    expect(response.status).toBe(400);
+    expect((await get('/api/leaderboard?window=constructor')).status).toBe(400);
+    expect((await get('/?window=__proto__')).status).toBe(400);
+  });
+  
+  test('rejects event paths that are not valid URL encoding', async () => {
+    const { get } = setup([]);
+    
+    const response = await get('/api/events/%E0');
+    
+    expect(response.status).toBe(400);
+    expect((await response.json()).error).toContain('not valid URL encoding');
+  });
+  
+  test('serves a single event with its milestone history', async () => {
+    const { store, get } = setup(attendeesFor('Scrapyard Austin', 'austin', 12, NOW));
+    await store.insertEventTracking({ event_name: 'Scrapyard Austin', event_slug: 'austin', last_known_count: 8, last_milestone_notified: 5, last_goal_notified: 0 });
+    await store.enqueueMilestone({ eventName: 'Scrapyard Austin', eventSlug: 'austin', count: 12, previousMilestone: 5, milestone: 10, messages: [{ channel: 'C_MAIN', message: {} }] });
+    
+    const response = await get('/api/events/Austin');
+    const { event } = await response.json();
+    
+    expect(event).toMatchObject({ rank: 1, name: 'Scrapyard Austin', total_sign_ups: 12, new_sign_ups: 12, last_milestone: 10 });
+    expect(event.milestones).toEqual([{ milestone: 10, reached_at: NOW.toISOString() }]);
+    expect((await get('/api/events/nowhere')).status).toBe(404);
+  });
+  
+  test('fails the request when the milestone database is down', async () => {
+    const { store, get } = setup(attendeesFor('Scrapyard Austin', 'austin', 12, NOW));
+    store.fetchEventTracking = async () => { throw new Error('connection refused'); };
+    
+    const response = await get('/api/events/austin');
+    
+    expect(response.status).toBe(500);
+  });
+  
+  test('renders the embeddable page with escaped names', async () => {
+    const { get } = setup(attendeesFor('Scrapyard <Austin>', 'austin', 2, NOW));
+    
+    const response = await get('/');
+    const html = await response.text();
+    
+    expect(response.headers.get('Content-Type')).toContain('text/html');
+    expect(html).toContain('<td>Scrapyard &lt;Austin&gt;</td>');
+  });
+});
@@ -0,0 +1,89 @@
+import { describe, expect, test } from 'bun:test';
+import { createBot } from '../src/bot.js';
+import { loadConfig } from '../src/config.js';
+import { getSignupStreak, getComeback, computeEventAwards, getAwardBadges } from '../src/awards.js';
+import { createFakeWarehouse, createFakeStore, createFakeSlack, registrationCampaign, attendeesFor } from './fakes.js';
+
+const NOW = new Date('2025-02-15T12:00:00Z');
+const DAY = 24 * 60 * 60 * 1000;
+
+function snapshot(eventSlug, totalSignups, daysAgo) {
+  return {
+    event_slug: eventSlug,
+    event_name: `Scrapyard ${eventSlug[0].toUpperCase()}${eventSlug.slice(1)}`,
+    total_sign_ups: totalSignups,
+    captured_at: new Date(NOW.getTime() - daysAgo * DAY)
+  };
+}
+
+// Austin grew the most, Boston signed people up every day, Chicago woke up after 11 quiet days and Denver is new
+const HISTORY = [
+  snapshot('austin', 10, 20), snapshot('austin', 25, 1.5),
+  snapshot('boston', 40, 20), snapshot('boston', 41, 2.5), snapshot('boston', 42, 1.5), snapshot('boston', 43, 0.5),
+  snapshot('chicago', 30, 20), snapshot('chicago', 31, 12.5), snapshot('chicago', 36, 0.5),
+  snapshot('denver', 3, 2)
+];
+
+describe('getSignupStreak', () => {
+  test('counts the days in a row up to today', () => {
+    expect(getSignupStreak([1, 0, 2, 3, 1])).toEqual({ days: 3, signups: 6 });
+    expect(getSignupStreak([4, 4, 0])).toEqual({ days: 0, signups: 0 });
+  });
+});
+
+describe('getComeback', () => {
+  test('needs earlier sign-ups, a quiet stretch and new sign-ups this week', () => {
+    expect(getComeback([2, 0, 0, 0, 0, 3, 1], 3)).toEqual({ quietDays: 4, signups: 4 });
+    expect(getComeback([0, 0, 0, 0, 0, 3, 1], 3)).toBeNull();
+    expect(getComeback([2, 0, 0, 1, 0, 0, 0], 3)).toBeNull();
+  });
+});
+
+describe('computeEventAwards', () => {
+  test('gives each award to the event that earned it', () => {
+    const awards = computeEventAwards(HISTORY, NOW);
+    
+    expect(awards).toEqual([
+      { key: 'growth', events: [{ event_slug: 'austin', event_name: 'Scrapyard Austin', detail: '+150% this week (10 → 25)' }] },
+      { key: 'streak', events: [{ event_slug: 'boston', event_name: 'Scrapyard Boston', detail: 'new sign-ups 3 days in a row' }] },
+      { key: 'comeback', events: [{ event_slug: 'chicago', event_name: 'Scrapyard Chicago', detail: '5 sign-ups after 11 quiet days' }] },
+      { key: 'first', events: [{ event_slug: 'denver', event_name: 'Scrapyard Denver', detail: '3 sign-ups in its first week' }] }
+    ]);
+    expect(getAwardBadges(awards)).toEqual(new Map([['austin', '🚀'], ['boston', '🔥'], ['chicago', '🔄'], ['denver', '🌱']]));
+  });
+  
+  test("doesn't call every event new when there's no earlier history", () => {
+    const awards = computeEventAwards([snapshot('denver', 3, 2), snapshot('austin', 8, 1)], NOW);
+    
+    expect(awards).toEqual([]);
+  });
+});
+
+describe('awards on Slack', () => {
+  function setup() {
+    const warehouse = createFakeWarehouse({ attendees: attendeesFor('Scrapyard Austin', 'austin', 3, NOW) }, () => NOW);
+    const store = createFakeStore({ campaigns: [registrationCampaign(NOW)], now: () => NOW });
+    store.tables.snapshots.push(...HISTORY);
+    const slack = createFakeSlack();
+    const bot = createBot({ warehouse, store, slack, config: loadConfig({ SLACK_CHANNEL: 'C_MAIN' }), now: () => NOW });
+    return { slack, bot };
+  }
+  
+  test('posts the weekly awards to the main channel', async () => {
+    const { slack, bot } = setup();
+    
+    await bot.postWeeklyAwards();
+    
+    expect(slack.posts).toHaveLength(1);
+    expect(slack.posts[0].channel).toBe('C_MAIN');
+    expect(slack.posts[0].blocks[1].text.text).toBe('🚀 *Fastest growing*\n*Scrapyard Austin* · +150% this week (10 → 25)');
+  });
+  
+  test('shows badges next to winners on the leaderboard', async () => {
+    const { slack, bot } = setup();
+    
+    await bot.postLeaderboard();
+    
+    expect(slack.posts[0].blocks[2].text.text).toContain('*Scrapyard Austin* 🚀');
+  });
+});
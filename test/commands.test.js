@@ -0,0 +1,262 @@
+import { describe, expect, test } from 'bun:test';
+import { createBot } from '../src/bot.js';
+import { parseLeaderboardCommand } from '../src/commands.js';
+import { loadConfig } from '../src/config.js';
+import { createFakeWarehouse, createFakeStore, createFakeSlack, registrationCampaign, attendeesFor } from './fakes.js';
+
+const NOW = new Date('2025-02-15T12:00:00Z');
+
+function setup(attendees = [], audience = null) {
+  const warehouse = createFakeWarehouse({ attendees, audience }, () => NOW);
+  const store = createFakeStore({ campaigns: [registrationCampaign(NOW)] });
+  const slack = createFakeSlack();
+  const config = loadConfig({ SLACK_CHANNEL: 'C_MAIN', ADMIN_USER_IDS: 'U_ADMIN', TEST_SLACK_CHANNEL: 'C_TEST' });
+  const bot = createBot({ warehouse, store, slack, config, now: () => NOW });
+  return { store, slack, bot };
+}
+
+describe('parseLeaderboardCommand', () => {
+  test('defaults to the 12 hour leaderboard', () => {
+    expect(parseLeaderboardCommand('')).toEqual({ name: 'leaderboard', windowKey: '12h' });
+    expect(parseLeaderboardCommand('7D')).toEqual({ name: 'leaderboard', windowKey: '7d' });
+  });
+  
+  test('treats anything else as an event lookup', () => {
+    expect(parseLeaderboardCommand('san francisco')).toEqual({ name: 'event', query: 'san francisco' });
+  });
+  
+  test("doesn't take inherited object keys for windows", () => {
+    expect(parseLeaderboardCommand('constructor')).toEqual({ name: 'event', query: 'constructor' });
+    expect(parseLeaderboardCommand('__proto__')).toEqual({ name: 'event', query: '__proto__' });
+  });
+});
+
+describe('handleSlashCommand', () => {
+  test('acknowledges and replies ephemerally', async () => {
+    const { bot } = setup(attendeesFor('Scrapyard Austin', 'austin', 4, NOW));
+    const replies = [];
+    let acked = false;
+    
+    await bot.handleSlashCommand({
+      command: { text: 'austin', user_id: 'U1', user_name: 'someone' },
+      ack: async () => { acked = true; },
+      respond: async reply => { replies.push(reply); }
+    });
+    
+    expect(acked).toBe(true);
+    expect(replies).toHaveLength(1);
+    expect(replies[0].response_type).toBe('ephemeral');
+    expect(replies[0].blocks[0].text.text).toContain('Scrapyard Austin');
+  });
+  
+  test('replies with the phase message when commands are disabled', async () => {
+    const { store, bot } = setup();
+    store.tables.campaigns.clear();
+    const replies = [];
+    
+    await bot.handleSlashCommand({
+      command: { text: '', user_id: 'U1', user_name: 'someone' },
+      ack: async () => {},
+      respond: async reply => { replies.push(reply); }
+    });
+    
+    expect(replies[0].text).toContain("There's no Scrapyard campaign running right now");
+  });
+});
+
+describe('admin commands', () => {
+  test('are refused for users outside ADMIN_USER_IDS', async () => {
+    const { store, bot } = setup();
+    
+    const reply = await bot.buildCommandResponse('goal austin 120', 'U_SOMEONE');
+    
+    expect(reply.text).toContain('only bot admins');
+    expect(store.tables.goals.size).toBe(0);
+  });
+  
+  test('keep existing policy overrides when setting other fields', async () => {
+    const { store, bot } = setup();
+    
+    await bot.buildCommandResponse('policy austin set small_step=5', 'U_ADMIN');
+    await bot.buildCommandResponse('policy austin set min_count=3', 'U_ADMIN');
+    
+    expect(store.tables.policies.get('austin')).toMatchObject({ small_step: 5, min_count: 3, large_step: null });
+  });
+  
+  test('reconcile lists events the old leaderboard counted differently', async () => {
+    const attendees = [
+      ...attendeesFor('Scrapyard Austin', 'austin', 3, NOW),
+      ...attendeesFor('Scrapyard Boston', 'boston', 2, NOW),
+      { email: 'orphan@example.com', event_name: null, event_slug: null, created_at: NOW }
+    ];
+    const audience = ['austin-0@example.com', 'boston-0@example.com', 'boston-1@example.com', 'orphan@example.com'];
+    const { bot } = setup(attendees, audience);
+    
+    const reply = await bot.buildCommandResponse('reconcile', 'U_ADMIN');
+    
+    expect(reply.text).toBe('2 events count differently from the old leaderboard query');
+    expect(reply.blocks[0].text.text).toContain('*Scrapyard Austin* · `austin` · 3 now · 1 on the old leaderboard (+2)');
+    expect(reply.blocks[0].text.text).toContain('_Sign-ups without a named event_ · 0 now · 1 on the old leaderboard (-1)');
+    expect(reply.blocks[0].text.text).not.toContain('Boston');
+  });
+  
+  test('merge carries an old slug over to the new one and lists it afterwards', async () => {
+    const { store, bot } = setup(attendeesFor('Scrapyard San Francisco', 'san-francisco', 4, NOW));
+    await store.insertEventTracking({ event_name: 'Scrapyard SF', event_slug: 'sf', last_known_count: 12, last_milestone_notified: 10, last_goal_notified: 0 });
+    store.tables.subscriptions.push({ user_id: 'U1', event_slug: 'sf', last_digest_rank: null });
+    
+    const refused = await bot.buildCommandResponse('merge sf san-francisco', 'U1');
+    const merged = await bot.buildCommandResponse('merge sf san-francisco', 'U_ADMIN');
+    const listed = await bot.buildCommandResponse('merge', 'U_ADMIN');
+    const lookup = await bot.buildCommandResponse('sf', 'U1');
+    
+    expect(refused.text).toContain('only bot admins');
+    expect(merged.text).toContain('Merged `sf` into *Scrapyard San Francisco*');
+    expect(store.tables.tracking.get('san-francisco').last_milestone_notified).toBe(10);
+    expect(store.tables.subscriptions).toEqual([{ user_id: 'U1', event_slug: 'san-francisco', last_digest_rank: null }]);
+    expect(listed.text).toContain('`sf` → `san-francisco`');
+    expect(JSON.stringify(lookup)).toContain('Scrapyard San Francisco');
+  });
+  
+  test('looks up a merged event with the recent sign-ups of its old slug', async () => {
+    const { store, bot } = setup([
+      ...attendeesFor('Scrapyard SF', 'sf', 2, NOW),
+      ...attendeesFor('Scrapyard San Francisco', 'san-francisco', 4, NOW)
+    ]);
+    store.tables.aliases.set('sf', 'san-francisco');
+    
+    const lookup = await bot.buildCommandResponse('san-francisco', 'U1');
+    
+    expect(lookup.blocks[0].text.text).toBe('📍 Scrapyard San Francisco');
+    expect(lookup.blocks[1].fields[0].text).toBe('*Total sign-ups*\n6:bust_in_silhouette:');
+    expect(lookup.blocks[1].fields[1].text).toBe('*Past 12 hours*\n6↑');
+  });
+  
+  test('merge refuses unknown slugs and merging an event into itself', async () => {
+    const { bot } = setup(attendeesFor('Scrapyard Austin', 'austin', 4, NOW));
+    
+    expect((await bot.buildCommandResponse('merge austin austin', 'U_ADMIN')).text).toContain("can't be merged into itself");
+    expect((await bot.buildCommandResponse('merge atx austin-tx', 'U_ADMIN')).text).toContain('No event has the slug `austin-tx`');
+  });
+});
+
+describe('admin command', () => {
+  test('lists jobs and keeps pauses and new times across restarts', async () => {
+    const { store, bot } = setup();
+    
+    expect((await bot.buildCommandResponse('admin jobs', 'U1')).text).toContain('only bot admins');
+    expect((await bot.buildCommandResponse('admin schedule milestones 61 * * * *', 'U_ADMIN')).text).toContain("isn't a valid cron time");
+    
+    await bot.buildCommandResponse('admin pause weekly-digest', 'U_ADMIN');
+    const rescheduled = await bot.buildCommandResponse('admin schedule morning-leaderboard 0 0 7 * * *', 'U_ADMIN');
+    const jobs = await bot.buildCommandResponse('admin', 'U_ADMIN');
+    
+    expect(rescheduled.text).toContain('now runs at `0 0 7 * * *`');
+    expect(jobs.blocks[0].text.text).toContain('*weekly-digest* · Weekly digest (past 7 days) · `0 0 9 * * 1` · ⏸️ paused');
+    expect(jobs.blocks[0].text.text).toContain('`0 0 7 * * *` (changed from `0 0 8 * * *`)');
+    expect(store.tables.jobSchedules.get('weekly-digest')).toMatchObject({ cron_time: null, paused: true });
+    expect(store.tables.jobSchedules.get('morning-leaderboard')).toMatchObject({ cron_time: '0 0 7 * * *', paused: false, updated_by: 'U_ADMIN' });
+    
+    await bot.buildCommandResponse('admin schedule morning-leaderboard reset', 'U_ADMIN');
+    expect(store.tables.jobSchedules.get('morning-leaderboard').cron_time).toBeNull();
+  });
+  
+  test('runs a job on demand', async () => {
+    const { store, bot } = setup(attendeesFor('Scrapyard Austin', 'austin', 12, NOW));
+    
+    const reply = await bot.buildCommandResponse('admin run milestones', 'U_ADMIN');
+    
+    expect(reply.text).toContain('Ran *Milestone checks*');
+    expect(store.tables.tracking.get('austin').last_known_count).toBe(12);
+    expect((await bot.buildCommandResponse('admin run everything', 'U_ADMIN')).text).toContain('Unknown job "everything"');
+  });
+  
+  test('posts a preview to the test channel without recording it', async () => {
+    const { store, slack, bot } = setup(attendeesFor('Scrapyard Austin', 'austin', 3, NOW));
+    
+    const reply = await bot.buildCommandResponse('admin preview 24h', 'U_ADMIN');
+    
+    expect(reply.text).toBe('Posted a preview of the 24h leaderboard to <#C_TEST>.');
+    expect(slack.posts).toHaveLength(1);
+    expect(slack.posts[0].channel).toBe('C_TEST');
+    expect(slack.posts[0].blocks[0].elements[0].text).toContain('Preview');
+    expect(store.tables.leaderboardPosts).toHaveLength(0);
+  });
+  
+  test('refuses to preview an inherited object key as a window', async () => {
+    const { slack, bot } = setup();
+    
+    const reply = await bot.buildCommandResponse('admin preview constructor', 'U_ADMIN');
+    
+    expect(reply.text).toStartWith('Unknown window "constructor"');
+    expect(slack.posts).toHaveLength(0);
+  });
+});
+
+describe('handleLeaderboardAction', () => {
+  function click(bot, action, isEphemeral) {
+    const replies = [];
+    const done = bot.handleLeaderboardAction({
+      action,
+      body: { user: { id: 'U1', username: 'someone' }, container: { is_ephemeral: isEphemeral } },
+      ack: async () => {},
+      respond: async reply => { replies.push(reply); }
+    });
+    return done.then(() => replies);
+  }
+  
+  test('redraws an ephemeral leaderboard in place on the next page', async () => {
+    const attendees = Array.from({ length: 12 }, (_, index) =>
+      attendeesFor(`Scrapyard City ${index + 1}`, `city-${index + 1}`, 12 - index, NOW, index * 100)
+    ).flat();
+    const { bot } = setup(attendees);
+    
+    const replies = await click(bot, {
+      action_id: 'leaderboard_page_next',
+      value: JSON.stringify({ windowKey: '12h', sortKey: 'new', page: 2 })
+    }, true);
+    
+    expect(replies[0]).toMatchObject({ response_type: 'ephemeral', replace_original: true });
+    const sections = replies[0].blocks.filter(block => block.accessory);
+    expect(sections.map(block => block.text.text.split(' ·')[0])).toEqual(['11. *Scrapyard City 11*', '12. *Scrapyard City 12*']);
+  });
+  
+  test('falls back to the default view for inherited keys in the button state', async () => {
+    const { bot } = setup(attendeesFor('Scrapyard Austin', 'austin', 4, NOW));
+    
+    const replies = await click(bot, {
+      action_id: 'leaderboard_page_next',
+      value: JSON.stringify({ windowKey: 'constructor', sortKey: '__proto__', page: 1 })
+    }, true);
+    
+    expect(replies[0].blocks[0].text.text).toBe('🏆 New sign-ups in the past 12 hours');
+    expect(replies[0].blocks[1].elements[0].text).toStartWith('Sorted by *new sign-ups*');
+  });
+  
+  test('opens a new leaderboard from a channel post instead of editing it', async () => {
+    const { bot } = setup(attendeesFor('Scrapyard Austin', 'austin', 4, NOW));
+    
+    const replies = await click(bot, { action_id: 'leaderboard_browse', value: '{}' }, false);
+    
+    expect(replies[0].replace_original).toBe(false);
+    expect(replies[0].blocks[0].text.text).toBe('🏆 New sign-ups in the past 12 hours');
+  });
+  
+  test('shows event details and subscribes from the event menu', async () => {
+    const { store, bot } = setup(attendeesFor('Scrapyard Austin', 'austin', 4, NOW));
+    
+    const [details] = await click(bot, {
+      action_id: 'leaderboard_event',
+      selected_option: { value: JSON.stringify({ action: 'details', slug: 'austin' }) }
+    }, true);
+    const [subscribed] = await click(bot, {
+      action_id: 'leaderboard_event',
+      selected_option: { value: JSON.stringify({ action: 'subscribe', slug: 'austin' }) }
+    }, true);
+    
+    expect(details.replace_original).toBe(false);
+    expect(details.blocks[0].text.text).toContain('Scrapyard Austin');
+    expect(subscribed.text).toContain("You'll now get DMs about *Scrapyard Austin*");
+    expect(await store.fetchUserSubscriptions('U1')).toEqual(['austin']);
+  });
+});
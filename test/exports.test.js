@@ -0,0 +1,112 @@
+import { describe, expect, test } from 'bun:test';
+import { createBot } from '../src/bot.js';
+import { loadConfig } from '../src/config.js';
+import { parseExportArgs, buildExportRows, formatExportCsv } from '../src/exports.js';
+import { createFakeWarehouse, createFakeStore, createFakeSlack, registrationCampaign, attendeesFor } from './fakes.js';
+
+const NOW = new Date('2025-02-15T12:00:00Z');
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('parseExportArgs', () => {
+  test('reads the format and whole days in the time zone', () => {
+    expect(parseExportArgs(['CSV'], 'America/New_York')).toEqual({ format: 'csv', range: null });
+    expect(parseExportArgs(['json', '2025-02-01', '2025-02-07'], 'America/New_York')).toEqual({
+      format: 'json',
+      range: { from: new Date('2025-02-01T05:00:00Z'), to: new Date('2025-02-08T05:00:00Z') }
+    });
+    expect(parseExportArgs(['csv', '2025-02-01'], 'America/New_York').range.to).toBeNull();
+  });
+  
+  test('rejects unknown formats, bad dates and backwards ranges', () => {
+    expect(parseExportArgs(['xlsx'], 'America/New_York').error).toContain('Usage');
+    expect(parseExportArgs(['csv', '2025-02-30'], 'America/New_York').error).toContain("isn't a date");
+    expect(parseExportArgs(['csv', '2025-02-07', '2025-02-01'], 'America/New_York').error).toContain("can't be before");
+  });
+});
+
+describe('buildExportRows', () => {
+  test('combines totals, window counts, milestones and the sign-ups in a range', () => {
+    const rows = buildExportRows({
+      allEvents: [
+        { event_name: 'Scrapyard Boston', event_slug: 'boston', total_sign_ups: 12 },
+        { event_name: 'Scrapyard Austin', event_slug: 'austin', total_sign_ups: 30 }
+      ],
+      windows: { '12h': [{ event_slug: 'boston', new_sign_ups: 2, leaderboard_rank: 1 }] },
+      trackingRecords: new Map([['austin', { last_milestone_notified: 25, last_updated_at: new Date(NOW.getTime() - DAY) }]]),
+      milestones: new Map([['austin', [{ milestone: 25, reached_at: new Date('2025-02-10T00:00:00Z') }]]]),
+      snapshots: [
+        { event_slug: 'austin', total_sign_ups: 20, captured_at: new Date(NOW.getTime() - 8 * DAY) },
+        { event_slug: 'austin', total_sign_ups: 30, captured_at: new Date(NOW.getTime() - DAY) }
+      ],
+      range: { from: new Date(NOW.getTime() - 7 * DAY), to: NOW }
+    });
+    
+    expect(rows[0]).toEqual({
+      rank: 1,
+      event_name: 'Scrapyard Austin',
+      event_slug: 'austin',
+      total_sign_ups: 30,
+      new_12h: 0,
+      rank_12h: null,
+      new_24h: 0,
+      rank_24h: null,
+      new_7d: 0,
+      rank_7d: null,
+      from_sign_ups: 20,
+      to_sign_ups: 30,
+      range_sign_ups: 10,
+      last_milestone: 25,
+      milestones: [{ milestone: 25, reached_at: '2025-02-10T00:00:00.000Z' }],
+      count_changed_at: '2025-02-14T12:00:00.000Z'
+    });
+    expect(rows[1]).toMatchObject({ event_slug: 'boston', new_12h: 2, rank_12h: 1, from_sign_ups: null, range_sign_ups: null });
+  });
+});
+
+describe('formatExportCsv', () => {
+  test('quotes commas and keeps spreadsheet formulas as text', () => {
+    const csv = formatExportCsv([
+      { rank: 1, event_name: 'Scrapyard "Austin", TX', milestones: [{ milestone: 25, reached_at: '2025-02-10T00:00:00.000Z' }] },
+      { rank: 2, event_name: '=HYPERLINK("x")', milestones: [] }
+    ]);
+    
+    expect(csv).toBe([
+      'rank,event_name,milestones',
+      '1,"Scrapyard ""Austin"", TX",25 (2025-02-10T00:00:00.000Z)',
+      `2,"'=HYPERLINK(""x"")",`,
+      ''
+    ].join('\n'));
+  });
+});
+
+describe('exports', () => {
+  function setup(env = {}) {
+    const warehouse = createFakeWarehouse({ attendees: attendeesFor('Scrapyard Austin', 'austin', 3, NOW) }, () => NOW);
+    const store = createFakeStore({ campaigns: [registrationCampaign(NOW)], now: () => NOW });
+    const slack = createFakeSlack();
+    const config = loadConfig({ SLACK_CHANNEL: 'C_MAIN', ...env });
+    const bot = createBot({ warehouse, store, slack, config, now: () => NOW });
+    return { slack, bot };
+  }
+  
+  test('DMs the export to whoever ran the command', async () => {
+    const { slack, bot } = setup();
+    
+    const message = await bot.buildCommandResponse('export json', 'U_OPS');
+    
+    expect(message.text).toBe('Sent `scrapyard-leaderboard-2025-02-15.json` with 1 event to your DMs.');
+    expect(slack.uploads).toHaveLength(1);
+    expect(slack.uploads[0].channel_id).toBe('D_U_OPS');
+    expect(JSON.parse(slack.uploads[0].content).events[0]).toMatchObject({ event_slug: 'austin', total_sign_ups: 3, new_12h: 3 });
+  });
+  
+  test('uploads the past week as a CSV to the export channel', async () => {
+    const { slack, bot } = setup({ EXPORT_CHANNEL: 'C_OPS' });
+    
+    await bot.postWeeklyExport();
+    
+    expect(slack.uploads[0].channel_id).toBe('C_OPS');
+    expect(slack.uploads[0].filename).toBe('scrapyard-leaderboard-2025-02-08-to-2025-02-15.csv');
+    expect(slack.uploads[0].content.split('\n')[0]).toContain('from_sign_ups,to_sign_ups,range_sign_ups');
+  });
+});
@@ -0,0 +1,574 @@
+import { getLeaderboardWindow } from '../src/leaderboard.js';
+
+const HOUR = 60 * 60 * 1000;
+const INTERVAL_HOURS = { '12 hours': 12, '24 hours': 24, '7 days': 7 * 24 };
+
+/**
+ * Ranks rows by a numeric field the way RANK() does: ties share a rank and the next one is skipped
+ * @param {Array} rows - The rows to rank, updated in place
+ * @param {string} field - The field to rank by
+ * @param {string} rankField - The field to write the rank to
+ */
+function applyRank(rows, field, rankField) {
+  const sorted = [...rows].sort((a, b) => b[field] - a[field]);
+  sorted.forEach((row, index) => {
+    const previous = sorted[index - 1];
+    row[rankField] = previous && previous[field] === row[field] ? previous[rankField] : index + 1;
+  });
+}
+
+/**
+ * Creates an in-memory warehouse with the same interface as createWarehouse
+ * Sign-ups are deduplicated by lowercased email and counted per event like the real queries
+ * @param {Object} fixture
+ * @param {Array} fixture.attendees - Rows with email, event_name, event_slug and created_at
+ * @param {Array} [fixture.events] - Rows with event_slug and optionally capacity, time_zone and starts_at_local
+ * @param {Array} [fixture.audience] - Lowercased emails in loops.audience, defaults to every attendee
+ * @param {Function} now - Returns the current time
+ * @returns {Object} The fake warehouse, with its fixture exposed for tests to change
+ */
+export function createFakeWarehouse({ attendees = [], events = [], audience = null } = {}, now = () => new Date()) {
+  const fixture = { attendees, events, audience };
+  
+  /**
+   * Summarizes each event's distinct sign-ups, counting those created within the window as new
+   * @param {string|null} interval - The window's interval, or null for since launch
+   * @param {Object} [options] - The same variants as buildEventSignupsQuery
+   * @returns {Array} One row per event with new_sign_ups and total_sign_ups
+   */
+  function summarize(interval, { audienceOnly = false, includeUnmatched = false } = {}) {
+    // Each person's sign-up time comes from the row with their greatest email, like MAX(email)
+    const signedUpAt = new Map();
+    const maxEmail = new Map();
+    for (const attendee of fixture.attendees) {
+      const lowerEmail = attendee.email.toLowerCase();
+      if (!maxEmail.has(lowerEmail) || attendee.email > maxEmail.get(lowerEmail)) {
+        maxEmail.set(lowerEmail, attendee.email);
+        signedUpAt.set(lowerEmail, new Date(attendee.created_at));
+      }
+    }
+    
+    const truncateHour = date => new Date(Math.floor(date.getTime() / HOUR) * HOUR);
+    const windowStart = interval ? truncateHour(new Date(now().getTime() - INTERVAL_HOURS[interval] * HOUR)) : null;
+    const windowEnd = truncateHour(new Date(now().getTime() + HOUR));
+    
+    const summaries = new Map();
+    for (const attendee of fixture.attendees) {
+      if (!includeUnmatched && !(attendee.event_name && attendee.event_slug)) continue;
+      if (audienceOnly && fixture.audience && !fixture.audience.includes(attendee.email.toLowerCase())) continue;
+      
+      if (!summaries.has(attendee.event_name)) {
+        summaries.set(attendee.event_name, {
+          event_name: attendee.event_name,
+          event_slug: attendee.event_slug,
+          all: new Set(),
+          recent: new Set()
+        });
+      }
+      
+      const summary = summaries.get(attendee.event_name);
+      const lowerEmail = attendee.email.toLowerCase();
+      const createdAt = signedUpAt.get(lowerEmail);
+      summary.all.add(lowerEmail);
+      if ((!windowStart || createdAt >= windowStart) && createdAt < windowEnd) {
+        summary.recent.add(lowerEmail);
+      }
+    }
+    
+    return [...summaries.values()].map(({ event_name, event_slug, all, recent }) => ({
+      event_name,
+      event_slug,
+      new_sign_ups: recent.size,
+      total_sign_ups: all.size
+    }));
+  }
+  
+  return {
+    fixture,
+    
+    async fetchLeaderboardData(windowKey = '12h') {
+      const { interval } = getLeaderboardWindow(windowKey);
+      const rows = summarize(interval).filter(row => row.new_sign_ups > 0);
+      applyRank(rows, 'new_sign_ups', 'leaderboard_rank');
+      applyRank(rows, 'total_sign_ups', 'overall_rank');
+      return rows.sort((a, b) => b.new_sign_ups - a.new_sign_ups || a.event_name.localeCompare(b.event_name));
+    },
+    
+    async fetchAllEventsData() {
+      return summarize(null)
+        .map(({ event_name, event_slug, total_sign_ups }) => ({ event_name, event_slug, total_sign_ups }))
+        .sort((a, b) => a.event_name.localeCompare(b.event_name));
+    },
+    
+    async fetchSignupReconciliation() {
+      const totals = new Map(summarize(null).map(row => [row.event_name, row]));
+      const audienceTotals = new Map(summarize(null, { audienceOnly: true, includeUnmatched: true }).map(row => [row.event_name ?? null, row]));
+      
+      return [...new Set([...totals.keys(), ...audienceTotals.keys()])]
+        .map(eventName => {
+          const row = totals.get(eventName) || audienceTotals.get(eventName);
+          return {
+            event_name: eventName,
+            event_slug: row.event_slug ?? null,
+            total_sign_ups: totals.has(eventName) ? totals.get(eventName).total_sign_ups : 0,
+            audience_sign_ups: audienceTotals.has(eventName) ? audienceTotals.get(eventName).total_sign_ups : 0
+          };
+        })
+        .filter(row => row.total_sign_ups !== row.audience_sign_ups)
+        .sort((a, b) => Math.abs(b.total_sign_ups - b.audience_sign_ups) - Math.abs(a.total_sign_ups - a.audience_sign_ups));
+    },
+    
+    async fetchEventGoals() {
+      return fixture.events
+        .filter(event => event.capacity !== undefined)
+        .map(event => ({ event_slug: event.event_slug, capacity: String(event.capacity) }));
+    },
+    
+    async fetchEventSchedules() {
+      return fixture.events
+        .filter(event => event.time_zone || event.starts_at_local)
+        .map(event => ({ event_slug: event.event_slug, time_zone: event.time_zone, starts_at_local: event.starts_at_local }));
+    },
+    
+    async ping() {}
+  };
+}
+
+/**
+ * Creates an in-memory milestone database with the same interface as createStore
+ * @param {Object} [seed]
+ * @param {Array} [seed.campaigns] - Campaign records
+ * @param {Function} [seed.now] - Returns the database's current time
+ * @returns {Object} The fake store, with its tables exposed for tests to inspect
+ */
+export function createFakeStore({ campaigns = [], now = () => new Date() } = {}) {
+  const tables = {
+    campaigns: new Map(campaigns.map(campaign => [campaign.id, { ...campaign }])),
+    tracking: new Map(),
+    snapshots: [],
+    policies: new Map(),
+    goals: new Map(),
+    schedules: new Map(),
+    regions: new Map(),
+    subscriptions: [],
+    leaderboardPosts: [],
+    pinnedLeaderboards: new Map(),
+    outbox: [],
+    aliases: new Map(),
+    jobSchedules: new Map()
+  };
+  
+  return {
+    tables,
+    
+    async ping() {},
+    
+    async fetchPreviousLeaderboard(windowKey) {
+      const post = tables.leaderboardPosts.filter(p => p.windowKey === windowKey).at(-1);
+      return new Map((post ? post.entries : []).map(entry => [entry.event_slug || entry.event_name, entry]));
+    },
+    async recordLeaderboardPost(channelId, windowKey, data) {
+      tables.leaderboardPosts.push({ channelId, windowKey, entries: data.map(row => ({ ...row })) });
+    },
+    async fetchPinnedLeaderboards() {
+      return new Map(tables.pinnedLeaderboards);
+    },
+    async savePinnedLeaderboard(channelId, ts) {
+      tables.pinnedLeaderboards.set(channelId, ts);
+    },
+    
+    async fetchJobSchedules() {
+      return new Map([...tables.jobSchedules].map(([jobKey, row]) => [jobKey, { ...row }]));
+    },
+    async saveJobSchedule(jobKey, { cronTime, paused }, userId) {
+      tables.jobSchedules.set(jobKey, { job_key: jobKey, cron_time: cronTime, paused, updated_by: userId });
+    },
+    
+    async fetchCampaigns() {
+      return [...tables.campaigns.values()].sort((a, b) => new Date(a.event_starts_at) - new Date(b.event_starts_at));
+    },
+    async fetchCampaign(id) {
+      return tables.campaigns.get(id) || null;
+    },
+    async saveCampaign(id, campaign) {
+      tables.campaigns.set(id, { ...tables.campaigns.get(id), ...campaign, id });
+    },
+    async deleteCampaign(id) {
+      tables.campaigns.delete(id);
+    },
+    async setAnnouncedPhase(id, phase) {
+      tables.campaigns.get(id).announced_phase = phase;
+    },
+    
+    async fetchEventSchedules() {
+      return [...tables.schedules.values()];
+    },
+    async saveEventSchedule(eventSlug, timeZone, startsAtLocal) {
+      tables.schedules.set(eventSlug, { event_slug: eventSlug, time_zone: timeZone, starts_at_local: startsAtLocal });
+    },
+    async deleteEventSchedule(eventSlug) {
+      tables.schedules.delete(eventSlug);
+    },
+    
+    async fetchEventRegions() {
+      return new Map(tables.regions);
+    },
+    async saveEventRegion(eventSlug, region) {
+      tables.regions.set(eventSlug, region);
+    },
+    async deleteEventRegion(eventSlug) {
+      tables.regions.delete(eventSlug);
+    },
+    
+    async fetchMilestonePolicies() {
+      return new Map(tables.policies);
+    },
+    async saveMilestonePolicy(eventSlug, row, userId) {
+      tables.policies.set(eventSlug, { event_slug: eventSlug, ...row, updated_by: userId, updated_at: new Date() });
+    },
+    async deleteMilestonePolicy(eventSlug) {
+      tables.policies.delete(eventSlug);
+    },
+    
+    async fetchEventGoals() {
+      return [...tables.goals].map(([event_slug, capacity]) => ({ event_slug, capacity }));
+    },
+    async saveEventGoal(eventSlug, capacity) {
+      tables.goals.set(eventSlug, capacity);
+    },
+    async deleteEventGoal(eventSlug) {
+      tables.goals.delete(eventSlug);
+    },
+    
+    async fetchEventSubscribers(eventSlug) {
+      return tables.subscriptions.filter(s => s.event_slug === eventSlug).map(s => s.user_id);
+    },
+    async fetchSubscriptions() {
+      return tables.subscriptions.map(s => ({ ...s }));
+    },
+    async fetchUserSubscriptions(userId) {
+      return tables.subscriptions.filter(s => s.user_id === userId).map(s => s.event_slug).sort();
+    },
+    async addSubscription(userId, eventSlug) {
+      if (!tables.subscriptions.some(s => s.user_id === userId && s.event_slug === eventSlug)) {
+        tables.subscriptions.push({ user_id: userId, event_slug: eventSlug, last_digest_rank: null });
+      }
+    },
+    async removeSubscription(userId, eventSlug) {
+      tables.subscriptions = tables.subscriptions.filter(s => !(s.user_id === userId && s.event_slug === eventSlug));
+    },
+    async setDigestRank(userId, eventSlug, rank) {
+      const subscription = tables.subscriptions.find(s => s.user_id === userId && s.event_slug === eventSlug);
+      subscription.last_digest_rank = rank;
+    },
+    
+    async fetchEventTracking(eventSlug) {
+      const record = tables.tracking.get(eventSlug);
+      return record ? { ...record } : null;
+    },
+    async fetchAllEventTracking() {
+      return new Map([...tables.tracking].map(([eventSlug, record]) => [eventSlug, { ...record }]));
+    },
+    async insertEventTracking(record) {
+      tables.tracking.set(record.event_slug, {
+        last_countdown_notified: null,
+        last_notified_at: null,
+        last_updated_at: now(),
+        stall_notified_at: null,
+        ...record
+      });
+    },
+    async enqueueMilestone({ eventName, eventSlug, count, previousMilestone, milestone, messages }) {
+      const record = tables.tracking.get(eventSlug);
+      if (!record || record.last_milestone_notified !== previousMilestone) {
+        return false;
+      }
+      
+      Object.assign(record, {
+        event_name: eventName,
+        last_known_count: count,
+        last_milestone_notified: milestone,
+        last_notified_at: now(),
+        last_updated_at: now()
+      });
+      for (const { channel, message } of messages) {
+        tables.outbox.push({
+          id: tables.outbox.length + 1,
+          event_name: eventName,
+          event_slug: eventSlug,
+          milestone,
+          channel_id: channel,
+          message: JSON.parse(JSON.stringify(message)),
+          status: 'pending',
+          attempts: 0,
+          next_attempt_at: now(),
+          claimed_by: null,
+          claimed_until: null,
+          last_error: null,
+          ts: null,
+          created_at: now()
+        });
+      }
+      return true;
+    },
+    async claimOutbox(workerId, limit, leaseSeconds) {
+      const due = tables.outbox
+        .filter(row => row.status === 'pending' && row.next_attempt_at <= now())
+        .filter(row => !row.claimed_until || row.claimed_until < now())
+        .slice(0, limit);
+      for (const row of due) {
+        Object.assign(row, {
+          claimed_by: workerId,
+          claimed_until: new Date(now().getTime() + leaseSeconds * 1000),
+          attempts: row.attempts + 1
+        });
+      }
+      return due.map(row => ({ ...row }));
+    },
+    async markOutboxSent(id, ts, threadTs) {
+      Object.assign(tables.outbox[id - 1], { status: 'sent', ts, thread_ts: threadTs, claimed_until: null });
+    },
+    async fetchMilestoneThread(eventSlug, channelId) {
+      const sent = tables.outbox.filter(row => row.event_slug === eventSlug && row.channel_id === channelId && row.status === 'sent');
+      const last = sent.at(-1);
+      return last ? last.thread_ts || last.ts : null;
+    },
+    async scheduleOutboxRetry(id, error, delaySeconds) {
+      Object.assign(tables.outbox[id - 1], {
+        last_error: error,
+        next_attempt_at: new Date(now().getTime() + delaySeconds * 1000),
+        claimed_until: null
+      });
+    },
+    async markOutboxFailed(id, error) {
+      Object.assign(tables.outbox[id - 1], { status: 'failed', last_error: error, claimed_until: null });
+    },
+    async updateEventCount(eventSlug, eventName, count) {
+      Object.assign(tables.tracking.get(eventSlug), { event_name: eventName, last_known_count: count, last_updated_at: now() });
+    },
+    async rearmMilestone(eventSlug, milestone) {
+      tables.tracking.get(eventSlug).last_milestone_notified = milestone;
+    },
+    async setGoalNotified(eventSlug, threshold) {
+      tables.tracking.get(eventSlug).last_goal_notified = threshold;
+    },
+    async setCountdownNotified(eventSlug, days) {
+      tables.tracking.get(eventSlug).last_countdown_notified = days;
+    },
+    async setStallNotified(eventSlug) {
+      tables.tracking.get(eventSlug).stall_notified_at = now();
+    },
+    
+    async recordSignupSnapshot(eventName, eventSlug, totalSignups) {
+      tables.snapshots.push({ event_name: eventName, event_slug: eventSlug, total_sign_ups: totalSignups, captured_at: now() });
+    },
+    async fetchSignupSnapshots(eventSlug, since) {
+      const rows = tables.snapshots.filter(row => row.event_slug === eventSlug);
+      const before = rows.filter(row => row.captured_at < since).at(-1);
+      return rows.filter(row => row === before || row.captured_at >= since).map(row => ({ ...row }));
+    },
+    async fetchAllSignupSnapshots(since) {
+      const slugs = [...new Set(tables.snapshots.map(row => row.event_slug).filter(Boolean))].sort();
+      return slugs.flatMap(slug => {
+        const rows = tables.snapshots
+          .filter(row => row.event_slug === slug)
+          .sort((a, b) => new Date(a.captured_at) - new Date(b.captured_at));
+        const before = rows.filter(row => row.captured_at < since).at(-1);
+        return rows.filter(row => row === before || row.captured_at >= since).map(row => ({ ...row }));
+      });
+    },
+    async fetchLastSignupIncreases() {
+      const increases = new Map();
+      const previous = new Map();
+      const rows = tables.snapshots
+        .filter(row => row.event_slug)
+        .sort((a, b) => new Date(a.captured_at) - new Date(b.captured_at));
+      for (const row of rows) {
+        if (!previous.has(row.event_slug) || row.total_sign_ups > previous.get(row.event_slug)) {
+          increases.set(row.event_slug, row.captured_at);
+        }
+        previous.set(row.event_slug, row.total_sign_ups);
+      }
+      return increases;
+    },
+    async fetchMilestoneHistory(eventSlug) {
+      const reached = new Map();
+      for (const row of tables.outbox.filter(row => row.event_slug === eventSlug)) {
+        if (!reached.has(row.milestone)) {
+          reached.set(row.milestone, { milestone: row.milestone, reached_at: row.created_at });
+        }
+      }
+      return [...reached.values()].sort((a, b) => a.milestone - b.milestone);
+    },
+    async fetchAllMilestoneHistory() {
+      const history = new Map();
+      for (const row of tables.outbox) {
+        if (!history.has(row.event_slug)) {
+          history.set(row.event_slug, new Map());
+        }
+        if (!history.get(row.event_slug).has(row.milestone)) {
+          history.get(row.event_slug).set(row.milestone, { milestone: row.milestone, reached_at: row.created_at });
+        }
+      }
+      return new Map([...history].map(([eventSlug, reached]) => [
+        eventSlug,
+        [...reached.values()].sort((a, b) => a.milestone - b.milestone)
+      ]));
+    },
+    
+    async fetchEventAliases() {
+      return new Map(tables.aliases);
+    },
+    async mergeEvents(fromSlug, intoSlug, userId) {
+      const from = tables.tracking.get(fromSlug);
+      tables.tracking.delete(fromSlug);
+      if (from) {
+        const into = tables.tracking.get(intoSlug);
+        tables.tracking.set(intoSlug, into
+          ? {
+            ...into,
+            last_milestone_notified: Math.max(into.last_milestone_notified ?? 0, from.last_milestone_notified ?? 0),
+            last_goal_notified: Math.max(into.last_goal_notified ?? 0, from.last_goal_notified ?? 0) || null
+          }
+          : { ...from, event_slug: intoSlug });
+      }
+      
+      for (const row of [...tables.outbox, ...tables.snapshots]) {
+        if (row.event_slug === fromSlug) row.event_slug = intoSlug;
+      }
+      tables.subscriptions = tables.subscriptions
+        .map(s => (s.event_slug === fromSlug ? { ...s, event_slug: intoSlug } : s))
+        .filter((s, i, all) => all.findIndex(o => o.user_id === s.user_id && o.event_slug === s.event_slug) === i);
+      for (const table of [tables.goals, tables.schedules, tables.regions, tables.policies]) {
+        if (table.has(fromSlug) && !table.has(intoSlug)) {
+          table.set(intoSlug, table.get(fromSlug));
+        }
+        table.delete(fromSlug);
+      }
+      
+      for (const [alias, slug] of tables.aliases) {
+        if (slug === fromSlug) tables.aliases.set(alias, intoSlug);
+      }
+      tables.aliases.set(fromSlug, intoSlug);
+      return Boolean(from);
+    }
+  };
+}
+
+/**
+ * Creates a Slack client that records every message instead of sending it
+ * Push errors onto `failures` to make the next sends throw them instead
+ * @returns {Object} The fake client, with the recorded messages in `posts`, edits in `updates`, pins in `pinned` and Home tabs in `homeViews`
+ */
+export function createFakeSlack() {
+  const posts = [];
+  const updates = [];
+  const pinned = [];
+  const homeViews = [];
+  const failures = [];
+  const uploads = [];
+  // Messages that still exist, keyed by ts; tests delete from this to simulate a removed message
+  const messages = new Map();
+  
+  return {
+    posts,
+    updates,
+    pinned,
+    homeViews,
+    failures,
+    uploads,
+    messages,
+    chat: {
+      async postMessage(message) {
+        if (failures.length > 0) {
+          throw failures.shift();
+        }
+        posts.push(message);
+        const ts = `${posts.length}.000000`;
+        messages.set(ts, message);
+        return { ok: true, channel: message.channel, ts };
+      },
+      async update(message) {
+        if (!messages.has(message.ts)) {
+          throw Object.assign(new Error('An API error occurred: message_not_found'), {
+            code: 'slack_webapi_platform_error',
+            data: { ok: false, error: 'message_not_found' }
+          });
+        }
+        updates.push(message);
+        messages.set(message.ts, message);
+        return { ok: true, channel: message.channel, ts: message.ts };
+      }
+    },
+    pins: {
+      async add({ channel, timestamp }) {
+        pinned.push({ channel, timestamp });
+        return { ok: true };
+      }
+    },
+    views: {
+      async publish({ user_id, view }) {
+        homeViews.push({ user_id, view });
+        return { ok: true };
+      }
+    },
+    conversations: {
+      async open({ users }) {
+        return { ok: true, channel: { id: `D_${users}` } };
+      },
+      // Posts to a user ID are read back through the DM channel conversations.open gives for them
+      async history({ channel }) {
+        const found = [...messages].filter(([, message]) =>
+          (message.channel === channel || `D_${message.channel}` === channel) && (!message.thread_ts || message.reply_broadcast));
+        return { ok: true, messages: found.map(([ts, message]) => ({ ts, ...message })).reverse() };
+      },
+      async replies({ channel, ts }) {
+        const found = [...messages].filter(([messageTs, message]) =>
+          (message.channel === channel || `D_${message.channel}` === channel) && (messageTs === ts || message.thread_ts === ts));
+        return { ok: true, messages: found.map(([messageTs, message]) => ({ ts: messageTs, ...message })) };
+      }
+    },
+    files: {
+      async uploadV2(upload) {
+        uploads.push(upload);
+        return { ok: true };
+      }
+    }
+  };
+}
+
+/**
+ * Builds a campaign that is in its registration phase at the given time
+ * @param {Date} now - The current time
+ * @returns {Object} The campaign record
+ */
+export function registrationCampaign(now) {
+  const day = 24 * HOUR;
+  return {
+    id: 'test-campaign',
+    name: 'Test Campaign',
+    registration_opens_at: new Date(now.getTime() - 30 * day),
+    event_starts_at: new Date(now.getTime() + 30 * day),
+    event_ends_at: new Date(now.getTime() + 31 * day),
+    wrap_up_ends_at: new Date(now.getTime() + 38 * day),
+    announced_phase: 'registration'
+  };
+}
+
+/**
+ * Builds `count` attendee rows for an event, all signed up at the same time
+ * @param {string} eventName - The event name
+ * @param {string} eventSlug - The event slug
+ * @param {number} count - The number of attendees
+ * @param {Date} createdAt - When they signed up
+ * @param {number} [offset] - Where to start numbering emails, so batches don't collide
+ * @returns {Array} The attendee rows
+ */
+export function attendeesFor(eventName, eventSlug, count, createdAt, offset = 0) {
+  return Array.from({ length: count }, (_, i) => ({
+    email: `${eventSlug}-${offset + i}@example.com`,
+    event_name: eventName,
+    event_slug: eventSlug,
+    created_at: createdAt
+  }));
+}
@@ -0,0 +1,167 @@
+import { describe, expect, test } from 'bun:test';
+import { createBot } from '../src/bot.js';
+import { loadConfig } from '../src/config.js';
+import { formatLogEntry, runInJobContext, getJobContext } from '../src/logging.js';
+import { createFakeWarehouse, createFakeStore, createFakeSlack, registrationCampaign, attendeesFor } from './fakes.js';
+
+const NOW = new Date('2025-02-15T12:00:00Z');
+
+function setup({ warehouseDown = false, warehouseOverrides = {}, storeOverrides = {} } = {}) {
+  const clock = { now: NOW };
+  const warehouse = createFakeWarehouse({ attendees: attendeesFor('Scrapyard Austin', 'austin', 3, NOW) }, () => clock.now);
+  const brokenWarehouse = {
+    ...warehouse,
+    async fetchLeaderboardData() {
+      if (warehouseDown) {
+        throw new Error('password authentication failed');
+      }
+      return warehouse.fetchLeaderboardData();
+    },
+    async ping() {
+      if (warehouseDown) {
+        throw new Error('password authentication failed');
+      }
+    },
+    ...warehouseOverrides
+  };
+  const store = {
+    ...createFakeStore({ campaigns: [registrationCampaign(NOW)], now: () => clock.now }),
+    ...storeOverrides
+  };
+  const slack = createFakeSlack();
+  const config = loadConfig({ SLACK_CHANNEL: 'C_MAIN', MAINTAINER_CHANNEL: 'C_MAINTAINERS' });
+  const bot = createBot({ warehouse: brokenWarehouse, store, slack, config, now: () => clock.now });
+  const healthz = async () => {
+    const response = await bot.handleApiRequest(new Request('http://localhost/healthz'));
+    return { status: response.status, body: await response.json() };
+  };
+  return { clock, slack, bot, healthz };
+}
+
+describe('formatLogEntry', () => {
+  test('tags the line with the job run and splits out the error', async () => {
+    const error = new Error('connection reset');
+    const entry = await runInJobContext('milestones', async () =>
+      formatLogEntry('error', ['Error checking %s:', 'milestones', error], { time: NOW, context: getJobContext() })
+    );
+    
+    expect(entry).toMatchObject({
+      time: '2025-02-15T12:00:00.000Z',
+      level: 'error',
+      msg: 'Error checking milestones',
+      job: 'milestones',
+      error: { message: 'connection reset' }
+    });
+    expect(entry.job_id).toMatch(/^milestones-[0-9a-f]{8}$/);
+  });
+});
+
+describe('failure alerts', () => {
+  test('alerts maintainers instead of posting an empty leaderboard', async () => {
+    const { slack, bot } = setup({ warehouseDown: true });
+    
+    await bot.runJob('morning-leaderboard');
+    
+    expect(slack.posts.filter(post => post.channel === 'C_MAIN')).toHaveLength(0);
+    expect(slack.posts).toHaveLength(1);
+    expect(slack.posts[0].channel).toBe('C_MAINTAINERS');
+    expect(slack.posts[0].text).toBe('Morning leaderboard failed: password authentication failed');
+    expect(slack.posts[0].blocks[0].text.text).toMatch(/^🚨 \*Morning leaderboard\* failed \(run `morning-leaderboard-[0-9a-f]{8}`\)\nError posting leaderboard\n/);
+  });
+  
+  test('mutes repeat alerts for the same job', async () => {
+    const { clock, slack, bot } = setup({ warehouseDown: true });
+    
+    await bot.runJob('morning-leaderboard');
+    clock.now = new Date(NOW.getTime() + 10 * 60 * 1000);
+    await bot.runJob('morning-leaderboard');
+    clock.now = new Date(NOW.getTime() + 31 * 60 * 1000);
+    await bot.runJob('morning-leaderboard');
+    
+    expect(slack.posts.filter(post => post.channel === 'C_MAINTAINERS')).toHaveLength(2);
+  });
+  
+  test('fails the run when the milestone database is down, rather than finding no campaign', async () => {
+    const { slack, bot, healthz } = setup({
+      storeOverrides: { async fetchCampaigns() { throw new Error('connection refused'); } }
+    });
+    
+    await bot.runJob('milestones');
+    const { body } = await healthz();
+    
+    expect(slack.posts).toHaveLength(1);
+    expect(slack.posts[0].text).toBe('Milestone checks failed: connection refused');
+    expect(body.jobs.milestones).toMatchObject({ failing: true, last_error: 'connection refused' });
+  });
+  
+  test("fails the milestone check when event goals can't be loaded", async () => {
+    const { slack, bot } = setup({
+      warehouseOverrides: { async fetchEventGoals() { throw new Error('statement timeout'); } }
+    });
+    
+    await bot.runJob('milestones');
+    
+    expect(slack.posts).toHaveLength(1);
+    expect(slack.posts[0].text).toBe('Milestone checks failed: statement timeout');
+  });
+  
+  test('alerts maintainers when a slash command fails', async () => {
+    const { slack, bot } = setup({ warehouseDown: true });
+    const replies = [];
+    
+    await bot.handleSlashCommand({
+      command: { text: '', user_id: 'U1', user_name: 'someone' },
+      ack: async () => {},
+      respond: async reply => { replies.push(reply); }
+    });
+    
+    expect(replies[0].text).toBe('Sorry, there was an error fetching the leaderboard data.');
+    expect(slack.posts).toHaveLength(1);
+    expect(slack.posts[0].text).toBe('Request failed: password authentication failed');
+    expect(slack.posts[0].blocks[0].text.text).toContain('Error handling slash command');
+  });
+});
+
+describe('GET /healthz', () => {
+  test('reports healthy connections and job runs', async () => {
+    const { bot, healthz } = setup();
+    bot.setSocketModeStatus('connected');
+    
+    await bot.runJob('morning-leaderboard');
+    const { status, body } = await healthz();
+    
+    expect(status).toBe(200);
+    expect(body.status).toBe('ok');
+    expect(body.checks.socket_mode).toEqual({ ok: true, status: 'connected' });
+    expect(body.jobs['morning-leaderboard']).toEqual({
+      last_success_at: '2025-02-15T12:00:00.000Z',
+      last_failure_at: null,
+      last_error: null,
+      failing: false
+    });
+  });
+  
+  test('is an error when the warehouse is down, and shows the failing job', async () => {
+    const { bot, healthz } = setup({ warehouseDown: true });
+    bot.setSocketModeStatus('connected');
+    
+    await bot.runJob('morning-leaderboard');
+    const { status, body } = await healthz();
+    
+    expect(status).toBe(503);
+    expect(body.status).toBe('error');
+    expect(body.checks.warehouse).toEqual({ ok: false, error: 'password authentication failed' });
+    expect(body.jobs['morning-leaderboard']).toMatchObject({ failing: true, last_error: 'password authentication failed' });
+  });
+  
+  test('has its own server that serves nothing else', async () => {
+    const { bot } = setup();
+    
+    const health = await bot.handleHealthRequest(new Request('http://localhost:8080/healthz'));
+    const leaderboard = await bot.handleHealthRequest(new Request('http://localhost:8080/api/leaderboard'));
+    
+    expect(health.status).toBe(503);
+    expect((await health.json()).checks.socket_mode.status).toBe('connecting');
+    expect(leaderboard.status).toBe(404);
+  });
+});
@@ -0,0 +1,98 @@
+import { describe, expect, test } from 'bun:test';
+import { createBot } from '../src/bot.js';
+import { loadConfig } from '../src/config.js';
+import { formatSparkline } from '../src/home.js';
+import { createFakeWarehouse, createFakeStore, createFakeSlack, registrationCampaign, attendeesFor } from './fakes.js';
+
+const NOW = new Date('2025-02-15T12:00:00Z');
+
+function setup(attendees) {
+  const warehouse = createFakeWarehouse({ attendees }, () => NOW);
+  const store = createFakeStore({ campaigns: [registrationCampaign(NOW)], now: () => NOW });
+  const slack = createFakeSlack();
+  const config = loadConfig({ SLACK_CHANNEL: 'C_MAIN' });
+  const bot = createBot({ warehouse, store, slack, config, now: () => NOW });
+  return { store, slack, bot };
+}
+
+function homeText(view) {
+  return view.blocks.map(block => (block.text ? block.text.text : '')).join('\n');
+}
+
+describe('formatSparkline', () => {
+  test('scales bars to the busiest day', () => {
+    expect(formatSparkline([0, 4, 0, 8])).toBe('▁▅▁█');
+    expect(formatSparkline([0, 0])).toBe('▁▁');
+  });
+});
+
+describe('Home tab', () => {
+  test('shows the leaderboard and the events the user follows', async () => {
+    const { store, slack, bot } = setup([
+      ...attendeesFor('Scrapyard Austin', 'austin', 12, NOW),
+      ...attendeesFor('Scrapyard Boston', 'boston', 3, NOW)
+    ]);
+    await store.addSubscription('U1', 'austin');
+    await store.recordSignupSnapshot('Scrapyard Austin', 'austin', 12);
+    
+    await bot.handleAppHomeOpened({ event: { type: 'app_home_opened', tab: 'home', user: 'U1' } });
+    
+    expect(slack.homeViews).toHaveLength(1);
+    const { user_id, view } = slack.homeViews[0];
+    expect(user_id).toBe('U1');
+    expect(view.type).toBe('home');
+    expect(homeText(view)).toContain('*Scrapyard Austin* · 12:bust_in_silhouette: · #1 overall');
+    expect(homeText(view)).toContain('2. *Scrapyard Boston* · 3↑');
+    expect(view.blocks.find(block => block.accessory).accessory.value).toBe('austin');
+  });
+  
+  test('alerts the maintainers when the Home tab can\'t be loaded', async () => {
+    const warehouse = createFakeWarehouse({ attendees: attendeesFor('Scrapyard Austin', 'austin', 2, NOW) }, () => NOW);
+    const store = createFakeStore({ campaigns: [registrationCampaign(NOW)], now: () => NOW });
+    store.fetchEventTracking = async () => { throw new Error('connection refused'); };
+    await store.addSubscription('U1', 'austin');
+    const slack = createFakeSlack();
+    const config = loadConfig({ SLACK_CHANNEL: 'C_MAIN', MAINTAINER_CHANNEL: 'C_MAINTAINERS' });
+    const bot = createBot({ warehouse, store, slack, config, now: () => NOW });
+    
+    await bot.handleAppHomeOpened({ event: { type: 'app_home_opened', tab: 'home', user: 'U1' } });
+    
+    expect(slack.homeViews).toHaveLength(0);
+    expect(slack.posts.map(post => post.channel)).toEqual(['C_MAINTAINERS']);
+    expect(slack.posts[0].blocks[0].text.text).toContain('Error publishing Home tab');
+  });
+  
+  test('ignores the Messages tab', async () => {
+    const { slack, bot } = setup([]);
+    
+    await bot.handleAppHomeOpened({ event: { type: 'app_home_opened', tab: 'messages', user: 'U1' } });
+    
+    expect(slack.homeViews).toHaveLength(0);
+  });
+  
+  test('follows and unfollows events from the Home tab', async () => {
+    const { store, slack, bot } = setup(attendeesFor('Scrapyard Austin', 'austin', 2, NOW));
+    const body = { user: { id: 'U1' } };
+    
+    await bot.handleHomeAction({ action: { action_id: 'home_follow', selected_option: { value: 'austin' } }, body, ack: async () => {} });
+    expect(await store.fetchUserSubscriptions('U1')).toEqual(['austin']);
+    
+    await bot.handleHomeAction({ action: { action_id: 'home_unfollow', value: 'austin' }, body, ack: async () => {} });
+    expect(await store.fetchUserSubscriptions('U1')).toEqual([]);
+    
+    expect(slack.homeViews).toHaveLength(2);
+    expect(homeText(slack.homeViews[1].view)).toContain("You aren't following any events yet");
+  });
+  
+  test('suggests matching events in the follow menu', async () => {
+    const { bot } = setup([
+      ...attendeesFor('Scrapyard Austin', 'austin', 2, NOW),
+      ...attendeesFor('Scrapyard Boston', 'boston', 1, NOW)
+    ]);
+    let reply;
+    
+    await bot.handleHomeOptions({ options: { value: 'bos' }, ack: async response => { reply = response; } });
+    
+    expect(reply.options).toEqual([{ text: { type: 'plain_text', text: 'Scrapyard Boston' }, value: 'boston' }]);
+  });
+});
@@ -0,0 +1,38 @@
+import { describe, expect, test } from 'bun:test';
+import { createScheduler, formatLeaderboardPostTimes } from '../src/jobs.js';
+
+describe('createScheduler', () => {
+  test("fails to start when the stored schedules can't be loaded, rather than starting paused jobs", async () => {
+    const store = {
+      async fetchJobSchedules() {
+        throw new Error('connection refused');
+      }
+    };
+    const scheduler = createScheduler({ jobs: {}, store, timeZone: 'America/New_York' });
+    
+    await expect(scheduler.start()).rejects.toThrow('connection refused');
+  });
+});
+
+describe('formatLeaderboardPostTimes', () => {
+  const TIME_ZONE = 'America/Los_Angeles';
+  const WINTER = new Date('2025-02-15T12:00:00Z');
+  
+  function leaderboardJobs(morning, evening, paused = false) {
+    return [
+      { key: 'evening-leaderboard', cronTime: evening, paused, nextRun: WINTER },
+      { key: 'morning-leaderboard', cronTime: morning, paused: false, nextRun: WINTER },
+      { key: 'milestones', cronTime: '0 */15 * * * *', paused: false, nextRun: WINTER }
+    ];
+  }
+  
+  test('gives the daily post times in the job time zone', () => {
+    expect(formatLeaderboardPostTimes(leaderboardJobs('0 0 8 * * *', '0 30 20 * * *'), TIME_ZONE)).toBe('8am and 8:30pm PST');
+    expect(formatLeaderboardPostTimes(leaderboardJobs('0 7 * * *', '0 19 * * *', true), TIME_ZONE)).toBe('7am PST');
+  });
+  
+  test("gives null for times that aren't fixed daily times", () => {
+    expect(formatLeaderboardPostTimes(leaderboardJobs('0 0 8 * * *', '0 0 */6 * * *'), TIME_ZONE)).toBeNull();
+    expect(formatLeaderboardPostTimes(leaderboardJobs('0 0 8 * * 1', '0 0 20 * * *'), TIME_ZONE)).toBeNull();
+  });
+});
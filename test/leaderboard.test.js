@@ -0,0 +1,196 @@
+import { describe, expect, test } from 'bun:test';
+import { createBot } from '../src/bot.js';
+import { loadConfig } from '../src/config.js';
+import { formatLeaderboardMessage, formatInteractiveLeaderboard, rankEventsByTotal, sortLeaderboard } from '../src/leaderboard.js';
+import { createFakeWarehouse, createFakeStore, createFakeSlack, registrationCampaign, attendeesFor } from './fakes.js';
+
+const NOW = new Date('2025-02-15T12:00:00Z');
+const RECENT = new Date('2025-02-15T09:00:00Z');
+const LAST_WEEK = new Date('2025-02-08T12:00:00Z');
+
+function setup(attendees) {
+  const warehouse = createFakeWarehouse({ attendees }, () => NOW);
+  const store = createFakeStore({ campaigns: [registrationCampaign(NOW)] });
+  const slack = createFakeSlack();
+  const config = loadConfig({ SLACK_CHANNEL: 'C_MAIN' });
+  const bot = createBot({ warehouse, store, slack, config, now: () => NOW });
+  return { warehouse, store, slack, bot };
+}
+
+describe('rankEventsByTotal', () => {
+  test('gives tied events the same rank and skips the next one', () => {
+    const ranked = rankEventsByTotal([
+      { event_name: 'C', total_sign_ups: 5 },
+      { event_name: 'A', total_sign_ups: 10 },
+      { event_name: 'B', total_sign_ups: 10 },
+      { event_name: 'D', total_sign_ups: 1 }
+    ]);
+    
+    expect(ranked.map(event => [event.event_name, event.overall_rank])).toEqual([
+      ['A', 1],
+      ['B', 1],
+      ['C', 3],
+      ['D', 4]
+    ]);
+  });
+});
+
+describe('formatLeaderboardMessage', () => {
+  test('says there were no new sign-ups for an empty board', () => {
+    const message = formatLeaderboardMessage([], { windowKey: '24h' });
+    
+    expect(message.blocks).toHaveLength(2);
+    expect(message.blocks[1].text.text).toBe('No new sign-ups in the past 24 hours.');
+  });
+  
+  test('refuses windows that are only inherited object keys', () => {
+    expect(() => formatLeaderboardMessage([], { windowKey: 'toString' })).toThrow('Unknown leaderboard window: toString');
+    expect(() => formatLeaderboardMessage([], { windowKey: 'constructor' })).toThrow('Unknown leaderboard window');
+  });
+  
+  test("shows a live board's update time in the configured time zone", () => {
+    const liveUpdatedAt = new Date('2025-02-15T12:00:00Z');
+    
+    const eastern = formatLeaderboardMessage([], { liveUpdatedAt });
+    const london = formatLeaderboardMessage([], { liveUpdatedAt, timeZone: 'Europe/London' });
+    
+    expect(eastern.blocks[2].elements[0].text).toContain('updated 7:00 AM EST');
+    expect(london.blocks[2].elements[0].text).toContain('updated 12:00 PM GMT');
+  });
+});
+
+describe('formatInteractiveLeaderboard', () => {
+  const rows = Array.from({ length: 30 }, (_, index) => ({
+    event_name: `Scrapyard Event ${index + 1}`,
+    event_slug: `event-${index + 1}`,
+    new_sign_ups: 30 - index,
+    total_sign_ups: 100,
+    leaderboard_rank: index + 1
+  }));
+  
+  test('pages through events past the top 25', () => {
+    const message = formatInteractiveLeaderboard(rows, { page: 3 });
+    const sections = message.blocks.filter(block => block.accessory);
+    const actions = message.blocks.find(block => block.type === 'actions');
+    
+    expect(sections).toHaveLength(10);
+    expect(sections[0].text.text).toStartWith('21. *Scrapyard Event 21*');
+    expect(message.blocks[1].elements[0].text).toContain('page 3 of 3');
+    expect(actions.elements.map(element => element.action_id)).toEqual(['leaderboard_page_previous', 'leaderboard_sort']);
+    expect(JSON.parse(actions.elements[0].value)).toEqual({ windowKey: '12h', sortKey: 'new', page: 2 });
+  });
+  
+  test('opens event details from the overflow menu', () => {
+    const message = formatInteractiveLeaderboard(rows.slice(0, 1));
+    const [details] = message.blocks.find(block => block.accessory).accessory.options;
+    
+    expect(JSON.parse(details.value)).toEqual({ action: 'details', slug: 'event-1' });
+  });
+});
+
+describe('sortLeaderboard', () => {
+  test('ranks by growth with all-new events first', () => {
+    const sorted = sortLeaderboard([
+      { event_name: 'A', new_sign_ups: 10, total_sign_ups: 110 },
+      { event_name: 'B', new_sign_ups: 5, total_sign_ups: 10 },
+      { event_name: 'C', new_sign_ups: 2, total_sign_ups: 2 },
+      { event_name: 'D', new_sign_ups: 1, total_sign_ups: 2 }
+    ], 'growth');
+    
+    expect(sorted.map(event => [event.event_name, event.display_rank])).toEqual([
+      ['C', 1],
+      ['B', 2],
+      ['D', 2],
+      ['A', 4]
+    ]);
+  });
+});
+
+describe('postLeaderboard', () => {
+  test('ranks tied events together like RANK()', async () => {
+    const { warehouse, slack, bot } = setup([
+      ...attendeesFor('Scrapyard Austin', 'austin', 3, RECENT),
+      ...attendeesFor('Scrapyard Boston', 'boston', 3, RECENT),
+      ...attendeesFor('Scrapyard Chicago', 'chicago', 1, RECENT)
+    ]);
+    
+    const data = await warehouse.fetchLeaderboardData('12h');
+    expect(data.map(row => [row.event_name, row.leaderboard_rank])).toEqual([
+      ['Scrapyard Austin', 1],
+      ['Scrapyard Boston', 1],
+      ['Scrapyard Chicago', 3]
+    ]);
+    
+    await bot.postLeaderboard();
+    
+    expect(slack.posts).toHaveLength(1);
+    const rows = slack.posts[0].blocks[2].text.text.split('\n');
+    expect(rows[0]).toStartWith(':one: *Scrapyard Austin*');
+    expect(rows[1]).toStartWith(':two: *Scrapyard Boston*');
+  });
+  
+  test('only counts sign-ups inside the window', async () => {
+    const { warehouse } = setup([
+      ...attendeesFor('Scrapyard Austin', 'austin', 2, RECENT),
+      ...attendeesFor('Scrapyard Austin', 'austin', 5, LAST_WEEK, 2)
+    ]);
+    
+    const [recent] = await warehouse.fetchLeaderboardData('12h');
+    const [sinceLaunch] = await warehouse.fetchLeaderboardData('launch');
+    
+    expect(recent).toMatchObject({ new_sign_ups: 2, total_sign_ups: 7 });
+    expect(sinceLaunch).toMatchObject({ new_sign_ups: 7, total_sign_ups: 7 });
+  });
+  
+  test('posts an empty board when nobody signed up in the window', async () => {
+    const { slack, bot } = setup(attendeesFor('Scrapyard Austin', 'austin', 5, LAST_WEEK));
+    
+    await bot.postLeaderboard();
+    
+    expect(slack.posts).toHaveLength(1);
+    expect(slack.posts[0].blocks[1].text.text).toBe('No new sign-ups in the past 12 hours.');
+  });
+  
+  test('shows movement against the previous scheduled post', async () => {
+    const { warehouse, slack, bot } = setup([
+      ...attendeesFor('Scrapyard Austin', 'austin', 3, RECENT),
+      ...attendeesFor('Scrapyard Boston', 'boston', 2, RECENT)
+    ]);
+    
+    await bot.postLeaderboard();
+    warehouse.fixture.attendees.push(...attendeesFor('Scrapyard Boston', 'boston', 2, RECENT, 2));
+    await bot.postLeaderboard();
+    
+    const rows = slack.posts[1].blocks[2].text.text.split('\n');
+    expect(rows[0]).toContain('*Scrapyard Boston* ▲1 · 4↑ (+2)');
+    expect(rows[1]).toContain('*Scrapyard Austin* ▼1 · 3↑ (±0)');
+  });
+});
+
+describe('refreshLiveLeaderboards', () => {
+  test('posts and pins the board once, then edits it in place', async () => {
+    const { store, slack, bot } = setup(attendeesFor('Scrapyard Austin', 'austin', 3, RECENT));
+    
+    await bot.refreshLiveLeaderboards();
+    await bot.refreshLiveLeaderboards();
+    
+    expect(slack.posts).toHaveLength(1);
+    expect(slack.pinned).toEqual([{ channel: 'C_MAIN', timestamp: '1.000000' }]);
+    expect(slack.updates).toHaveLength(1);
+    expect(slack.updates[0]).toMatchObject({ channel: 'C_MAIN', ts: '1.000000' });
+    expect(slack.updates[0].blocks.at(-1).elements[0].text).toContain('Live leaderboard');
+    expect(store.tables.pinnedLeaderboards.get('C_MAIN')).toBe('1.000000');
+  });
+  
+  test('posts a new board when the old one was deleted', async () => {
+    const { store, slack, bot } = setup(attendeesFor('Scrapyard Austin', 'austin', 3, RECENT));
+    
+    await bot.refreshLiveLeaderboards();
+    slack.messages.delete('1.000000');
+    await bot.refreshLiveLeaderboards();
+    
+    expect(slack.posts).toHaveLength(2);
+    expect(slack.pinned).toHaveLength(2);
+    expect(store.tables.pinnedLeaderboards.get('C_MAIN')).toBe('2.000000');
+  });
+});
@@ -0,0 +1,102 @@
+import { describe, expect, test } from 'bun:test';
+import { MIGRATIONS, getPendingMigrations, createMigrator } from '../src/migrations.js';
+
+/**
+ * A stand-in for the Bun SQL client that only understands the runner's schema_migrations queries
+ */
+function createFakeSql(appliedVersions = null) {
+  const state = { applied: appliedVersions, queries: [] };
+  
+  async function db(strings, ...values) {
+    const text = strings.join('?');
+    state.queries.push(text);
+    
+    if (text.includes('to_regclass')) return [{ exists: state.applied !== null }];
+    if (text.includes('CREATE TABLE IF NOT EXISTS schema_migrations')) state.applied ??= [];
+    if (text.includes('ORDER BY version')) return state.applied.map(version => ({ version }));
+    if (text.includes('WHERE version =')) return state.applied.includes(values[0]) ? [{ version: values[0] }] : [];
+    if (text.includes('INSERT INTO schema_migrations')) state.applied.push(values[0]);
+    return [];
+  }
+  db.begin = callback => callback(db);
+  
+  return { db, state };
+}
+
+function migration(version, ran) {
+  return { version, name: `step_${version}`, async up() { ran.push(version); } };
+}
+
+describe('getPendingMigrations', () => {
+  test('returns the migrations not applied yet in order', () => {
+    const migrations = [migration(1, []), migration(2, []), migration(3, [])];
+    
+    expect(getPendingMigrations(migrations, [1, 3]).map(m => m.version)).toEqual([2]);
+    expect(getPendingMigrations(MIGRATIONS, [])).toHaveLength(MIGRATIONS.length);
+  });
+  
+  test('refuses out-of-order versions and databases migrated by a newer release', () => {
+    expect(() => getPendingMigrations([migration(2, []), migration(1, [])], [])).toThrow('increasing');
+    expect(() => getPendingMigrations([migration(1, [])], [1, 2])).toThrow('2');
+  });
+});
+
+describe('runMigrations', () => {
+  test('only lists pending migrations in a dry run', async () => {
+    const ran = [];
+    const { db, state } = createFakeSql();
+    
+    const pending = await createMigrator(db, [migration(1, ran), migration(2, ran)]).runMigrations({ dryRun: true });
+    
+    expect(pending.map(m => m.version)).toEqual([1, 2]);
+    expect(ran).toEqual([]);
+    expect(state.applied).toBeNull();
+  });
+  
+  test('applies each pending migration once and records it', async () => {
+    const ran = [];
+    const { db, state } = createFakeSql([1]);
+    const migrator = createMigrator(db, [migration(1, ran), migration(2, ran), migration(3, ran)]);
+    
+    await migrator.runMigrations();
+    await migrator.runMigrations();
+    
+    expect(ran).toEqual([2, 3]);
+    expect(state.applied).toEqual([1, 2, 3]);
+    expect(state.queries.filter(query => query.includes('pg_advisory_xact_lock'))).toHaveLength(2);
+  });
+  
+  test('creates schema_migrations while holding the lock', async () => {
+    const { db, state } = createFakeSql();
+    
+    await createMigrator(db, [migration(1, [])]).runMigrations();
+    
+    const lockAt = state.queries.findIndex(query => query.includes('pg_advisory_xact_lock'));
+    const createAt = state.queries.findIndex(query => query.includes('CREATE TABLE IF NOT EXISTS schema_migrations'));
+    expect(lockAt).toBeGreaterThanOrEqual(0);
+    expect(createAt).toBeGreaterThan(lockAt);
+    expect(state.applied).toEqual([1]);
+  });
+  
+  test('leaves leaderboard entries alone once they are keyed by slug', async () => {
+    const queries = [];
+    const tx = async strings => {
+      queries.push(strings.join('?'));
+      return [{ column_name: 'post_id' }, { column_name: 'event_slug' }];
+    };
+    
+    await MIGRATIONS.find(m => m.version === 14).up(tx);
+    
+    expect(queries).toHaveLength(1);
+  });
+  
+  test('makes every shipped migration safe to re-run', () => {
+    const statements = MIGRATIONS.map(m => m.up.toString());
+    
+    for (const statement of statements) {
+      for (const change of statement.match(/CREATE (TABLE|INDEX)[^(]*|ADD COLUMN \w+( \w+)*/g) || []) {
+        expect(change).toContain('IF NOT EXISTS');
+      }
+    }
+  });
+});
@@ -0,0 +1,312 @@
+import { describe, expect, test } from 'bun:test';
+import { createBot } from '../src/bot.js';
+import { loadConfig } from '../src/config.js';
+import { getNextMilestone, getMilestonesBetween, parsePolicyChanges, DEFAULT_MILESTONE_POLICY } from '../src/milestones.js';
+import { createFakeWarehouse, createFakeStore, createFakeSlack, registrationCampaign, attendeesFor } from './fakes.js';
+
+const NOW = new Date('2025-02-15T12:00:00Z');
+const EARLIER = new Date('2025-02-10T12:00:00Z');
+
+function setup(attendees, env = {}) {
+  const clock = { now: NOW };
+  const warehouse = createFakeWarehouse({ attendees }, () => clock.now);
+  const store = createFakeStore({ campaigns: [registrationCampaign(NOW)] });
+  const slack = createFakeSlack();
+  const config = loadConfig({ SLACK_CHANNEL: 'C_MAIN', ...env });
+  const bot = createBot({ warehouse, store, slack, config, now: () => clock.now });
+  return { clock, warehouse, store, slack, bot };
+}
+
+/**
+ * Removes an event's most recent attendees from the fixture, like a dedupe in the warehouse
+ */
+function removeAttendees(warehouse, eventSlug, count) {
+  for (let i = 0; i < count; i++) {
+    const index = warehouse.fixture.attendees.findLastIndex(attendee => attendee.event_slug === eventSlug);
+    warehouse.fixture.attendees.splice(index, 1);
+  }
+}
+
+describe('getNextMilestone', () => {
+  test('uses small steps below the large threshold and large steps above it', () => {
+    expect(getNextMilestone(9)).toBe(0);
+    expect(getNextMilestone(10)).toBe(10);
+    expect(getNextMilestone(49)).toBe(40);
+    expect(getNextMilestone(50)).toBe(40);
+    expect(getNextMilestone(60)).toBe(60);
+  });
+  
+  test('uses an explicit milestone list when the policy has one', () => {
+    const policy = { ...DEFAULT_MILESTONE_POLICY, milestones: [25, 75, 150] };
+    expect(getNextMilestone(24, policy)).toBe(0);
+    expect(getNextMilestone(80, policy)).toBe(75);
+  });
+});
+
+describe('getMilestonesBetween', () => {
+  test('lists every milestone across the large threshold', () => {
+    expect(getMilestonesBetween(30, 100)).toEqual([40, 60, 80, 100]);
+    expect(getMilestonesBetween(40, 40)).toEqual([]);
+  });
+  
+  test('uses an explicit milestone list when the policy has one', () => {
+    const policy = { ...DEFAULT_MILESTONE_POLICY, milestones: [25, 75, 150] };
+    expect(getMilestonesBetween(0, 150, policy)).toEqual([25, 75, 150]);
+  });
+});
+
+describe('parsePolicyChanges', () => {
+  test('accepts the decrease policies and rejects anything else', () => {
+    expect(parsePolicyChanges(['on_decrease=rearm'])).toEqual({ changes: { on_decrease: 'rearm' } });
+    expect(parsePolicyChanges(['on_decrease=forget']).error).toContain('on_decrease');
+  });
+});
+
+describe('checkMilestones', () => {
+  test('starts tracking a first-seen event without announcing it', async () => {
+    const { store, slack, bot } = setup(attendeesFor('Scrapyard Austin', 'austin', 35, EARLIER));
+    
+    await bot.checkMilestones();
+    
+    expect(slack.posts).toHaveLength(0);
+    expect(store.tables.tracking.get('austin')).toMatchObject({
+      last_known_count: 35,
+      last_milestone_notified: 30
+    });
+    expect(store.tables.snapshots).toHaveLength(1);
+  });
+  
+  test('announces a milestone once when the count crosses it', async () => {
+    const attendees = attendeesFor('Scrapyard Austin', 'austin', 18, EARLIER);
+    const { warehouse, store, slack, bot } = setup(attendees);
+    
+    await bot.checkMilestones();
+    warehouse.fixture.attendees.push(...attendeesFor('Scrapyard Austin', 'austin', 3, NOW, 18));
+    await bot.checkMilestones();
+    await bot.checkMilestones();
+    
+    expect(slack.posts).toHaveLength(1);
+    expect(slack.posts[0].channel).toBe('C_MAIN');
+    expect(slack.posts[0].text).toContain('Scrapyard Austin');
+    expect(store.tables.tracking.get('austin')).toMatchObject({
+      last_known_count: 21,
+      last_milestone_notified: 20
+    });
+  });
+  
+  test('loads tracking records in one query instead of once per event', async () => {
+    const { store, bot } = setup([
+      ...attendeesFor('Scrapyard Austin', 'austin', 12, EARLIER),
+      ...attendeesFor('Scrapyard Boston', 'boston', 4, EARLIER)
+    ]);
+    let lookups = 0;
+    store.fetchEventTracking = async () => { lookups++; return null; };
+    
+    await bot.checkMilestones();
+    await bot.checkMilestones();
+    
+    expect(lookups).toBe(0);
+    expect(store.tables.tracking.size).toBe(2);
+  });
+  
+  test('combines milestones passed while the bot was away into one message', async () => {
+    const { clock, warehouse, slack, bot } = setup(attendeesFor('Scrapyard Austin', 'austin', 45, EARLIER));
+    
+    await bot.checkMilestones();
+    warehouse.fixture.attendees.push(...attendeesFor('Scrapyard Austin', 'austin', 60, NOW, 45));
+    clock.now = new Date(NOW.getTime() + 3 * 60 * 60 * 1000);
+    await bot.checkMilestones();
+    
+    expect(slack.posts).toHaveLength(1);
+    expect(slack.posts[0].text).toBe('Scrapyard Austin passed 60, 80 and 100 signups while we were away!');
+  });
+  
+  test('combines milestones from a bulk import between two regular checks', async () => {
+    const { clock, warehouse, slack, bot } = setup(attendeesFor('Scrapyard Austin', 'austin', 15, EARLIER));
+    
+    await bot.checkMilestones();
+    warehouse.fixture.attendees.push(...attendeesFor('Scrapyard Austin', 'austin', 20, NOW, 15));
+    // One 15 minute interval later is the next regular check, not a catch-up
+    clock.now = new Date(NOW.getTime() + 15 * 60 * 1000);
+    await bot.checkMilestones();
+    
+    expect(slack.posts).toHaveLength(1);
+    expect(slack.posts[0].text).toBe('Scrapyard Austin passed 20 and 30 signups all at once!');
+  });
+  
+  test('holds the last milestone when the count drops by default', async () => {
+    const { warehouse, store, slack, bot } = setup(attendeesFor('Scrapyard Austin', 'austin', 22, EARLIER));
+    
+    await bot.checkMilestones();
+    removeAttendees(warehouse, 'austin', 5);
+    await bot.checkMilestones();
+    warehouse.fixture.attendees.push(...attendeesFor('Scrapyard Austin', 'austin', 5, NOW, 100));
+    await bot.checkMilestones();
+    
+    expect(slack.posts).toHaveLength(0);
+    expect(store.tables.tracking.get('austin')).toMatchObject({
+      last_known_count: 22,
+      last_milestone_notified: 20
+    });
+  });
+  
+  test('re-announces milestones lost to a drop when the policy re-arms them', async () => {
+    const { warehouse, store, slack, bot } = setup(attendeesFor('Scrapyard Austin', 'austin', 22, EARLIER));
+    store.tables.policies.set('austin', { event_slug: 'austin', on_decrease: 'rearm' });
+    
+    await bot.checkMilestones();
+    removeAttendees(warehouse, 'austin', 5);
+    await bot.checkMilestones();
+    expect(store.tables.tracking.get('austin').last_milestone_notified).toBe(10);
+    
+    warehouse.fixture.attendees.push(...attendeesFor('Scrapyard Austin', 'austin', 5, NOW, 100));
+    await bot.checkMilestones();
+    
+    expect(slack.posts).toHaveLength(1);
+    expect(slack.posts[0].text).toBe('Scrapyard Austin reached 20 signups!');
+  });
+  
+  test('counts sign-ups with differently cased emails once', async () => {
+    const attendees = [
+      ...attendeesFor('Scrapyard Austin', 'austin', 19, EARLIER),
+      { email: 'AUSTIN-0@example.com', event_name: 'Scrapyard Austin', event_slug: 'austin', created_at: EARLIER }
+    ];
+    const { store, bot } = setup(attendees);
+    
+    await bot.checkMilestones();
+    
+    expect(store.tables.tracking.get('austin').last_known_count).toBe(19);
+  });
+  
+  test('holds back milestones past the large threshold until they clear the growth gate', async () => {
+    const { warehouse, slack, bot } = setup(attendeesFor('Scrapyard Austin', 'austin', 100, EARLIER));
+    
+    await bot.checkMilestones();
+    // 120 is only 20 above the last milestone of 100, which doesn't clear 100 * 1.2 until it reaches 120
+    warehouse.fixture.attendees.push(...attendeesFor('Scrapyard Austin', 'austin', 19, NOW, 100));
+    await bot.checkMilestones();
+    expect(slack.posts).toHaveLength(0);
+    
+    warehouse.fixture.attendees.push(...attendeesFor('Scrapyard Austin', 'austin', 1, NOW, 119));
+    await bot.checkMilestones();
+    expect(slack.posts).toHaveLength(1);
+  });
+  
+  test('lists milestones held back by the growth gate in the next announcement', async () => {
+    const { warehouse, store, slack, bot } = setup(attendeesFor('Scrapyard Austin', 'austin', 100, EARLIER));
+    store.tables.policies.set('austin', { event_slug: 'austin', growth_gate: 1.5 });
+    
+    await bot.checkMilestones();
+    // 120 and 140 don't clear 100 * 1.5, so they're held back at their own checks
+    warehouse.fixture.attendees.push(...attendeesFor('Scrapyard Austin', 'austin', 20, NOW, 100));
+    await bot.checkMilestones();
+    warehouse.fixture.attendees.push(...attendeesFor('Scrapyard Austin', 'austin', 20, NOW, 120));
+    await bot.checkMilestones();
+    expect(slack.posts).toHaveLength(0);
+    
+    warehouse.fixture.attendees.push(...attendeesFor('Scrapyard Austin', 'austin', 20, NOW, 140));
+    await bot.checkMilestones();
+    expect(slack.posts).toHaveLength(1);
+    expect(slack.posts[0].text).toBe('Scrapyard Austin passed 120, 140 and 160 signups since our last update!');
+  });
+  
+  test('follows per-event policies', async () => {
+    const { warehouse, store, slack, bot } = setup(attendeesFor('Scrapyard Austin', 'austin', 4, EARLIER));
+    store.tables.policies.set('austin', { event_slug: 'austin', small_step: 5, min_count: 5 });
+    
+    await bot.checkMilestones();
+    warehouse.fixture.attendees.push(...attendeesFor('Scrapyard Austin', 'austin', 1, NOW, 4));
+    await bot.checkMilestones();
+    
+    expect(slack.posts).toHaveLength(1);
+  });
+  
+  test("doesn't announce milestones below the policy's min_count", async () => {
+    const { warehouse, store, slack, bot } = setup(attendeesFor('Scrapyard Austin', 'austin', 4, EARLIER));
+    store.tables.policies.set('austin', { event_slug: 'austin', small_step: 5, min_count: 7 });
+    
+    await bot.checkMilestones();
+    // 8 sign-ups pass 5, which is below min_count
+    warehouse.fixture.attendees.push(...attendeesFor('Scrapyard Austin', 'austin', 4, NOW, 4));
+    await bot.checkMilestones();
+    expect(slack.posts).toHaveLength(0);
+    expect(store.tables.tracking.get('austin')).toMatchObject({ last_known_count: 8, last_milestone_notified: 0 });
+    
+    warehouse.fixture.attendees.push(...attendeesFor('Scrapyard Austin', 'austin', 2, NOW, 8));
+    await bot.checkMilestones();
+    expect(slack.posts).toHaveLength(1);
+    expect(slack.posts[0].text).toContain('10');
+  });
+  
+  test('posts milestones for regional events to their region channel', async () => {
+    const { warehouse, store, slack, bot } = setup(
+      attendeesFor('Scrapyard London', 'london', 9, EARLIER),
+      { REGION_CHANNELS: 'europe=C_EUROPE' }
+    );
+    store.tables.regions.set('london', 'europe');
+    
+    await bot.checkMilestones();
+    warehouse.fixture.attendees.push(...attendeesFor('Scrapyard London', 'london', 1, NOW, 9));
+    await bot.checkMilestones();
+    
+    expect(slack.posts.map(post => post.channel)).toEqual(['C_EUROPE']);
+  });
+  
+  test('keeps milestones when an event is renamed', async () => {
+    const { warehouse, store, slack, bot } = setup(attendeesFor('Scrapyard Austin', 'austin', 18, EARLIER));
+    
+    await bot.checkMilestones();
+    for (const attendee of warehouse.fixture.attendees) {
+      attendee.event_name = 'Scrapyard Austin TX';
+    }
+    warehouse.fixture.attendees.push(...attendeesFor('Scrapyard Austin TX', 'austin', 3, NOW, 18));
+    await bot.checkMilestones();
+    
+    expect(slack.posts).toHaveLength(1);
+    expect(slack.posts[0].text).toContain('Scrapyard Austin TX');
+    expect(store.tables.tracking.size).toBe(1);
+    expect(store.tables.tracking.get('austin')).toMatchObject({ event_name: 'Scrapyard Austin TX', last_milestone_notified: 20 });
+  });
+  
+  test('carries milestones and their thread over to the slug an event was merged into', async () => {
+    const { warehouse, store, slack, bot } = setup(attendeesFor('Scrapyard SF', 'sf', 18, EARLIER));
+    
+    await bot.checkMilestones();
+    warehouse.fixture.attendees.push(...attendeesFor('Scrapyard SF', 'sf', 3, NOW, 18));
+    await bot.checkMilestones();
+    for (const attendee of warehouse.fixture.attendees) {
+      attendee.event_slug = 'san-francisco';
+    }
+    await store.mergeEvents('sf', 'san-francisco', 'U_ADMIN');
+    await bot.checkMilestones();
+    warehouse.fixture.attendees.push(...attendeesFor('Scrapyard SF', 'san-francisco', 9, NOW, 21));
+    await bot.checkMilestones();
+    
+    expect(slack.posts).toHaveLength(2);
+    expect(slack.posts[1]).toMatchObject({ thread_ts: store.tables.outbox[0].ts, reply_broadcast: true });
+    expect(store.tables.tracking.has('sf')).toBe(false);
+  });
+  
+  test('counts sign-ups still under a merged slug towards the event it was merged into', async () => {
+    const { warehouse, store, slack, bot } = setup([
+      ...attendeesFor('Scrapyard SF', 'sf', 8, EARLIER),
+      ...attendeesFor('Scrapyard San Francisco', 'san-francisco', 8, EARLIER, 8)
+    ]);
+    await store.mergeEvents('sf', 'san-francisco', 'U_ADMIN');
+    
+    await bot.checkMilestones();
+    
+    expect([...store.tables.tracking.keys()]).toEqual(['san-francisco']);
+    expect(store.tables.tracking.get('san-francisco').last_known_count).toBe(16);
+    expect(slack.posts).toHaveLength(0);
+  });
+  
+  test('does nothing outside the phases that enable milestones', async () => {
+    const { store, bot } = setup(attendeesFor('Scrapyard Austin', 'austin', 20, EARLIER));
+    store.tables.campaigns.clear();
+    
+    await bot.checkMilestones();
+    
+    expect(store.tables.tracking.size).toBe(0);
+  });
+});
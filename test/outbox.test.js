@@ -0,0 +1,196 @@
+import { describe, expect, test } from 'bun:test';
+import { createBot } from '../src/bot.js';
+import { loadConfig } from '../src/config.js';
+import { getOutboxRetry, OUTBOX_MAX_ATTEMPTS } from '../src/outbox.js';
+import { createFakeWarehouse, createFakeStore, createFakeSlack, registrationCampaign, attendeesFor } from './fakes.js';
+
+const NOW = new Date('2025-02-15T12:00:00Z');
+const EARLIER = new Date('2025-02-10T12:00:00Z');
+
+function rateLimitError(retryAfter) {
+  return Object.assign(new Error('A rate limit was exceeded'), { code: 'slack_webapi_rate_limited_error', retryAfter });
+}
+
+function setup() {
+  const clock = { now: NOW };
+  const warehouse = createFakeWarehouse({ attendees: attendeesFor('Scrapyard Austin', 'austin', 9, EARLIER) }, () => clock.now);
+  const store = createFakeStore({ campaigns: [registrationCampaign(NOW)], now: () => clock.now });
+  const config = loadConfig({ SLACK_CHANNEL: 'C_MAIN' });
+  
+  // Each replica has its own Slack client so tests can tell who sent what
+  const createReplica = workerId => {
+    const slack = createFakeSlack();
+    const bot = createBot({ warehouse, store, slack, config, now: () => clock.now, workerId });
+    return { slack, bot };
+  };
+  
+  /**
+   * Adds a sign-up so Austin crosses the 10 milestone
+   */
+  const crossMilestone = () => {
+    warehouse.fixture.attendees.push(...attendeesFor('Scrapyard Austin', 'austin', 1, NOW, 9));
+  };
+  
+  return { clock, warehouse, store, createReplica, crossMilestone };
+}
+
+describe('getOutboxRetry', () => {
+  test('waits as long as Slack asks after a rate limit', () => {
+    expect(getOutboxRetry(rateLimitError(7), 1)).toEqual({ retry: true, delaySeconds: 7 });
+  });
+  
+  test('backs off exponentially for other errors', () => {
+    expect(getOutboxRetry(new Error('socket hang up'), 1).delaySeconds).toBe(30);
+    expect(getOutboxRetry(new Error('socket hang up'), 3).delaySeconds).toBe(120);
+    expect(getOutboxRetry(new Error('socket hang up'), 7).delaySeconds).toBe(30 * 60);
+  });
+  
+  test('gives up on rejected requests and after too many attempts', () => {
+    const rejected = Object.assign(new Error('An API error occurred: channel_not_found'), {
+      code: 'slack_webapi_platform_error',
+      data: { error: 'channel_not_found' }
+    });
+    expect(getOutboxRetry(rejected, 1)).toEqual({ retry: false });
+    expect(getOutboxRetry(new Error('socket hang up'), OUTBOX_MAX_ATTEMPTS)).toEqual({ retry: false });
+  });
+});
+
+describe('milestone outbox', () => {
+  test('stores the Slack ts of each sent milestone', async () => {
+    const { store, createReplica, crossMilestone } = setup();
+    const { slack, bot } = createReplica('a');
+    
+    await bot.checkMilestones();
+    crossMilestone();
+    await bot.checkMilestones();
+    
+    expect(slack.posts).toHaveLength(1);
+    expect(store.tables.outbox).toHaveLength(1);
+    expect(store.tables.outbox[0]).toMatchObject({ status: 'sent', ts: '1.000000', milestone: 10, channel_id: 'C_MAIN' });
+  });
+  
+  test('replies to the first milestone thread for later milestones', async () => {
+    const { warehouse, store, createReplica, crossMilestone } = setup();
+    const { slack, bot } = createReplica('a');
+    
+    await bot.checkMilestones();
+    crossMilestone();
+    await bot.checkMilestones();
+    warehouse.fixture.attendees.push(...attendeesFor('Scrapyard Austin', 'austin', 10, NOW, 10));
+    await bot.checkMilestones();
+    warehouse.fixture.attendees.push(...attendeesFor('Scrapyard Austin', 'austin', 10, NOW, 20));
+    await bot.checkMilestones();
+    
+    expect(slack.posts).toHaveLength(3);
+    expect(slack.posts[0].thread_ts).toBeUndefined();
+    expect(slack.posts[1]).toMatchObject({ thread_ts: '1.000000', reply_broadcast: true });
+    expect(slack.posts[2]).toMatchObject({ thread_ts: '1.000000', reply_broadcast: true });
+    expect(store.tables.outbox.map(row => row.thread_ts)).toEqual([null, '1.000000', '1.000000']);
+  });
+  
+  test('queues subscriber DMs alongside the channel post', async () => {
+    const { store, createReplica, crossMilestone } = setup();
+    const { slack, bot } = createReplica('a');
+    store.tables.subscriptions.push({ user_id: 'U_ORGANIZER', event_slug: 'austin', last_digest_rank: null });
+    
+    await bot.checkMilestones();
+    crossMilestone();
+    await bot.checkMilestones();
+    
+    expect(slack.posts.map(post => post.channel)).toEqual(['C_MAIN', 'U_ORGANIZER']);
+  });
+  
+  test('announces a milestone once when two replicas check at the same time', async () => {
+    const { store, createReplica, crossMilestone } = setup();
+    const first = createReplica('a');
+    const second = createReplica('b');
+    
+    await first.bot.checkMilestones();
+    crossMilestone();
+    await Promise.all([first.bot.checkMilestones(), second.bot.checkMilestones()]);
+    await Promise.all([first.bot.deliverOutbox(), second.bot.deliverOutbox()]);
+    
+    expect(first.slack.posts.length + second.slack.posts.length).toBe(1);
+    expect(store.tables.outbox).toHaveLength(1);
+  });
+  
+  test('retries after a rate limit without posting twice', async () => {
+    const { clock, store, createReplica, crossMilestone } = setup();
+    const { slack, bot } = createReplica('a');
+    
+    await bot.checkMilestones();
+    crossMilestone();
+    slack.failures.push(rateLimitError(30));
+    await bot.checkMilestones();
+    expect(store.tables.outbox[0]).toMatchObject({ status: 'pending', attempts: 1 });
+    
+    // Not due yet
+    await bot.deliverOutbox();
+    expect(slack.posts).toHaveLength(0);
+    
+    clock.now = new Date(NOW.getTime() + 31 * 1000);
+    await bot.deliverOutbox();
+    await bot.checkMilestones();
+    
+    expect(slack.posts).toHaveLength(1);
+    expect(store.tables.outbox[0]).toMatchObject({ status: 'sent', attempts: 2 });
+  });
+  
+  test('retries recording a send instead of posting the row again', async () => {
+    const { clock, warehouse, store, crossMilestone } = setup();
+    const slack = createFakeSlack();
+    let failures = 1;
+    const flakyStore = {
+      ...store,
+      async markOutboxSent(...args) {
+        if (failures-- > 0) {
+          throw new Error('connection reset');
+        }
+        return store.markOutboxSent(...args);
+      }
+    };
+    const bot = createBot({ warehouse, store: flakyStore, slack, config: loadConfig({ SLACK_CHANNEL: 'C_MAIN' }), now: () => clock.now });
+    
+    await bot.checkMilestones();
+    crossMilestone();
+    await bot.checkMilestones();
+    clock.now = new Date(NOW.getTime() + 301 * 1000);
+    await bot.deliverOutbox();
+    clock.now = new Date(NOW.getTime() + 602 * 1000);
+    await bot.deliverOutbox();
+    
+    expect(slack.posts).toHaveLength(1);
+    expect(store.tables.outbox[0]).toMatchObject({ status: 'sent', ts: '1.000000' });
+  });
+  
+  test("doesn't repost a row whose worker died after posting it", async () => {
+    const { clock, warehouse, store, createReplica, crossMilestone } = setup();
+    const survivor = createReplica('b');
+    
+    // A replica in the same workspace that posts but dies before it can record the send
+    const crashedStore = { ...store, markOutboxSent: async () => { throw new Error('process killed'); } };
+    const crashed = createBot({
+      warehouse,
+      store: crashedStore,
+      slack: survivor.slack,
+      config: loadConfig({ SLACK_CHANNEL: 'C_MAIN' }),
+      now: () => clock.now,
+      workerId: 'a'
+    });
+    
+    await survivor.bot.checkMilestones();
+    crossMilestone();
+    await crashed.checkMilestones();
+    expect(survivor.slack.posts).toHaveLength(1);
+    
+    // The claim still holds, so the survivor leaves the row alone
+    await survivor.bot.deliverOutbox();
+    expect(store.tables.outbox[0]).toMatchObject({ status: 'pending', claimed_by: 'a' });
+    
+    // Once it lapses, the survivor finds the crashed replica's post and records it instead of posting again
+    clock.now = new Date(NOW.getTime() + 301 * 1000);
+    await survivor.bot.deliverOutbox();
+    expect(survivor.slack.posts).toHaveLength(1);
+    expect(store.tables.outbox[0]).toMatchObject({ status: 'sent', claimed_by: 'b', ts: '1.000000' });
+  });
+});
@@ -0,0 +1,17 @@
+import { describe, expect, test } from 'bun:test';
+import { getDailySignups } from '../src/snapshots.js';
+
+const NOW = new Date('2025-02-15T12:00:00Z');
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('getDailySignups', () => {
+  test('splits snapshot totals into new sign-ups per day', () => {
+    const snapshots = [
+      { total_sign_ups: 10, captured_at: new Date(NOW.getTime() - 10 * DAY) },
+      { total_sign_ups: 14, captured_at: new Date(NOW.getTime() - 2.5 * DAY) },
+      { total_sign_ups: 20, captured_at: new Date(NOW.getTime() - 0.5 * DAY) }
+    ];
+    
+    expect(getDailySignups(snapshots, NOW, 4)).toEqual([0, 4, 0, 6]);
+  });
+});
@@ -0,0 +1,110 @@
+import { describe, expect, test } from 'bun:test';
+import { createBot } from '../src/bot.js';
+import { loadConfig } from '../src/config.js';
+import { buildEventSchedule } from '../src/schedules.js';
+import { findStalledEvents, shouldNudge } from '../src/stalls.js';
+import { createFakeWarehouse, createFakeStore, createFakeSlack, registrationCampaign } from './fakes.js';
+
+const NOW = new Date('2025-02-15T12:00:00Z');
+const DAY = 24 * 60 * 60 * 1000;
+
+function tracking(eventSlug, count, quietDays, extra = {}) {
+  return {
+    event_slug: eventSlug,
+    event_name: `Scrapyard ${eventSlug[0].toUpperCase()}${eventSlug.slice(1)}`,
+    last_known_count: count,
+    last_milestone_notified: 0,
+    last_updated_at: new Date(NOW.getTime() - quietDays * DAY),
+    stall_notified_at: null,
+    ...extra
+  };
+}
+
+describe('findStalledEvents', () => {
+  test('flags events quiet for the whole window, quietest first', () => {
+    const records = new Map([
+      ['austin', tracking('austin', 12, 6)],
+      ['boston', tracking('boston', 30, 2)],
+      ['chicago', tracking('chicago', 8, 9)]
+    ]);
+    
+    const stalled = findStalledEvents(records, { now: NOW, stallDays: 5, schedules: new Map(), campaign: registrationCampaign(NOW), lastIncreases: new Map() });
+    
+    expect(stalled.map(event => [event.event_slug, event.quietDays])).toEqual([['chicago', 9], ['austin', 6]]);
+  });
+  
+  test('counts quiet days from the last increase in sign-ups, not the last change to the record', () => {
+    // Renamed yesterday and lost a sign-up three days ago, but last grew six days ago
+    const records = new Map([['austin', tracking('austin', 12, 1)]]);
+    const lastIncreases = new Map([['austin', new Date(NOW.getTime() - 6 * DAY)]]);
+    
+    const stalled = findStalledEvents(records, { now: NOW, stallDays: 5, schedules: new Map(), campaign: registrationCampaign(NOW), lastIncreases });
+    
+    expect(stalled.map(event => [event.event_slug, event.quietDays])).toEqual([['austin', 6]]);
+  });
+  
+  test('leaves out events that have already started locally', () => {
+    const records = new Map([['austin', tracking('austin', 12, 6)]]);
+    const schedules = new Map([['austin', buildEventSchedule('America/Chicago', '2025-02-14T10:00')]]);
+    
+    expect(findStalledEvents(records, { now: NOW, stallDays: 5, schedules, campaign: registrationCampaign(NOW), lastIncreases: new Map() })).toEqual([]);
+  });
+});
+
+describe('shouldNudge', () => {
+  test('nudges once per stall', () => {
+    const lastIncreaseAt = new Date(NOW.getTime() - 6 * DAY);
+    const stalled = extra => tracking('austin', 12, 1, { last_increase_at: lastIncreaseAt, ...extra });
+    
+    expect(shouldNudge(stalled())).toBe(true);
+    expect(shouldNudge(stalled({ stall_notified_at: new Date(NOW.getTime() - 2 * DAY) }))).toBe(false);
+    expect(shouldNudge(stalled({ stall_notified_at: new Date(NOW.getTime() - 7 * DAY) }))).toBe(true);
+  });
+});
+
+describe('checkStalledEvents', () => {
+  function setup(env = {}) {
+    const store = createFakeStore({ campaigns: [registrationCampaign(NOW)], now: () => NOW });
+    store.tables.tracking.set('austin', tracking('austin', 12, 6));
+    store.tables.tracking.set('boston', tracking('boston', 30, 1));
+    store.tables.subscriptions.push({ user_id: 'U_ORGANIZER', event_slug: 'austin' });
+    const slack = createFakeSlack();
+    const config = loadConfig({ SLACK_CHANNEL: 'C_MAIN', CORE_TEAM_CHANNEL: 'C_CORE', ...env });
+    const bot = createBot({ warehouse: createFakeWarehouse({}, () => NOW), store, slack, config, now: () => NOW });
+    return { store, slack, bot };
+  }
+  
+  test('reports stalled events to the core team without nudging by default', async () => {
+    const { slack, bot } = setup();
+    
+    await bot.checkStalledEvents();
+    
+    expect(slack.posts).toHaveLength(1);
+    expect(slack.posts[0].channel).toBe('C_CORE');
+    expect(slack.posts[0].blocks[1].text.text).toBe('• *Scrapyard Austin* · 12 sign-ups · quiet for 6 days · 1 organizer subscribed');
+  });
+  
+  test('reports an event whose count only dropped since its last increase', async () => {
+    const { store, slack, bot } = setup();
+    store.tables.snapshots.push(
+      { event_name: 'Scrapyard Boston', event_slug: 'boston', total_sign_ups: 31, captured_at: new Date(NOW.getTime() - 8 * DAY) },
+      { event_name: 'Scrapyard Boston', event_slug: 'boston', total_sign_ups: 30, captured_at: new Date(NOW.getTime() - DAY) }
+    );
+    
+    await bot.checkStalledEvents();
+    
+    expect(slack.posts[0].blocks[1].text.text).toContain('• *Scrapyard Boston* · 30 sign-ups · quiet for 8 days');
+  });
+  
+  test('nudges subscribed organizers once when nudges are on', async () => {
+    const { store, slack, bot } = setup({ STALL_NUDGES: 'true' });
+    
+    await bot.checkStalledEvents();
+    await bot.checkStalledEvents();
+    
+    const nudges = slack.posts.filter(post => post.channel === 'U_ORGANIZER');
+    expect(nudges).toHaveLength(1);
+    expect(nudges[0].text).toBe("Scrapyard Austin hasn't had any new sign-ups in 6 days");
+    expect(store.tables.tracking.get('austin').stall_notified_at).toEqual(NOW);
+  });
+});
@@ -0,0 +1,84 @@
+import { describe, expect, test } from 'bun:test';
+import { createCachedWarehouse } from '../src/warehouse.js';
+
+const NOW = new Date('2025-02-15T12:00:00Z');
+
+function setup() {
+  const clock = { now: NOW };
+  const calls = [];
+  const pending = [];
+  
+  // Each query waits until the test resolves it, so overlapping callers can be checked
+  const warehouse = {
+    fetchLeaderboardData: windowKey => new Promise((resolve, reject) => {
+      calls.push(`leaderboard:${windowKey}`);
+      pending.push({ resolve, reject });
+    }),
+    fetchAllEventsData: async () => {
+      calls.push('events');
+      return [{ event_name: 'Scrapyard Austin', total_sign_ups: calls.length }];
+    },
+    fetchEventGoals: async () => {
+      calls.push('goals');
+      if (calls.filter(call => call === 'goals').length === 1) {
+        throw new Error('statement timeout');
+      }
+      return [{ event_slug: 'austin', capacity: '120' }];
+    },
+    ping: async () => {}
+  };
+  
+  const cached = createCachedWarehouse(warehouse, { ttlSeconds: 30, now: () => clock.now });
+  return { clock, calls, pending, cached };
+}
+
+describe('createCachedWarehouse', () => {
+  test('shares one in-flight query between concurrent callers', async () => {
+    const { calls, pending, cached } = setup();
+    
+    const first = cached.fetchLeaderboardData('12h');
+    const second = cached.fetchLeaderboardData();
+    const other = cached.fetchLeaderboardData('7d');
+    pending.forEach(({ resolve }, index) => resolve([{ index }]));
+    
+    expect(await first).toBe(await second);
+    expect(await other).toEqual([{ index: 1 }]);
+    expect(calls).toEqual(['leaderboard:12h', 'leaderboard:7d']);
+  });
+  
+  test('reuses results until they expire', async () => {
+    const { clock, calls, cached } = setup();
+    
+    await cached.fetchAllEventsData();
+    clock.now = new Date(NOW.getTime() + 29 * 1000);
+    await cached.fetchAllEventsData();
+    expect(calls).toHaveLength(1);
+    
+    clock.now = new Date(NOW.getTime() + 31 * 1000);
+    const refreshed = await cached.fetchAllEventsData();
+    expect(calls).toHaveLength(2);
+    expect(refreshed[0].total_sign_ups).toBe(2);
+  });
+  
+  test("doesn't keep a failed query", async () => {
+    const { calls, pending, cached } = setup();
+    
+    const failed = cached.fetchLeaderboardData('24h');
+    pending[0].reject(new Error('connection reset'));
+    await expect(failed).rejects.toThrow('connection reset');
+    
+    const retried = cached.fetchLeaderboardData('24h');
+    pending[1].resolve([]);
+    expect(await retried).toEqual([]);
+    expect(calls).toEqual(['leaderboard:24h', 'leaderboard:24h']);
+  });
+  
+  test("doesn't serve a failed goals query as no goals until it expires", async () => {
+    const { calls, cached } = setup();
+    
+    await expect(cached.fetchEventGoals()).rejects.toThrow('statement timeout');
+    
+    expect(await cached.fetchEventGoals()).toEqual([{ event_slug: 'austin', capacity: '120' }]);
+    expect(calls).toEqual(['goals', 'goals']);
+  });
+});